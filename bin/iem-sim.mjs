@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Command-line runner for the simulation engine.
+ *
+ *   iem-sim <design.json> [-o results.csv]
+ *
+ * The design file uses the app's state shape, except that each driver's
+ * `frd` / `zma` may be a path (relative to the design file) instead of
+ * parsed data. Writes CSV to stdout unless -o is given.
+ * Exits 1 on malformed input, 2 on bad usage.
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import {
+    getSourceVoltage,
+    importMeasurement,
+    resultsToCsv,
+    simulate,
+    validateDesign
+} from '../src/engine/index.js';
+
+const USAGE = 'Usage: iem-sim <design.json> [-o results.csv]';
+
+const parseArgs = (argv) => {
+    const args = { designPath: null, outPath: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-o' || arg === '--output') {
+            args.outPath = argv[++i];
+            if (!args.outPath) return null;
+        } else if (arg === '-h' || arg === '--help') {
+            return null;
+        } else if (!args.designPath) {
+            args.designPath = arg;
+        } else {
+            return null;
+        }
+    }
+    return args.designPath ? args : null;
+};
+
+// Replace a driver's frd/zma path with parsed points
+const loadMeasurement = async (value, type, baseDir, label) => {
+    if (typeof value !== 'string') return value ?? null;
+
+    const filePath = path.resolve(baseDir, value);
+    let text;
+    try {
+        text = await readFile(filePath, 'utf8');
+    } catch (err) {
+        throw new Error(`${label}: cannot read ${filePath} (${err.code || err.message})`);
+    }
+    const { data, report } = importMeasurement(text, type);
+    if (data.length === 0) {
+        throw new Error(`${label}: no data points found in ${filePath}`);
+    }
+    if (report.skippedCount > 0) {
+        console.error(`iem-sim: ${label}: skipped ${report.skippedCount} unreadable line(s) in ${filePath} (line ${report.skipped.map(s => s.line).join(', ')})`);
+    }
+    if (report.outOfOrder > 0 || report.duplicates > 0) {
+        console.error(`iem-sim: ${label}: sorted ${report.outOfOrder} out-of-order and dropped ${report.duplicates} duplicate frequencies in ${filePath}`);
+    }
+    return data;
+};
+
+const loadDesignFile = async (designPath) => {
+    let design;
+    try {
+        design = JSON.parse(await readFile(designPath, 'utf8'));
+    } catch (err) {
+        throw new Error(`Cannot load design ${designPath}: ${err.message}`);
+    }
+    if (!design || !Array.isArray(design.drivers)) {
+        throw new Error('"drivers" must be an array');
+    }
+
+    const baseDir = path.dirname(path.resolve(designPath));
+    design.drivers = await Promise.all(design.drivers.map(async (driver, idx) => ({
+        frdCompensated: true,
+        polarity: false,
+        ...driver,
+        frd: await loadMeasurement(driver?.frd, 'frd', baseDir, `drivers[${idx}].frd`),
+        zma: await loadMeasurement(driver?.zma, 'zma', baseDir, `drivers[${idx}].zma`)
+    })));
+    design.crossoverElements = design.crossoverElements || [];
+
+    validateDesign(design);
+    return design;
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    let design;
+    try {
+        design = await loadDesignFile(args.designPath);
+    } catch (err) {
+        console.error(`iem-sim: ${err.message}`);
+        return 1;
+    }
+
+    const points = simulate(design, {
+        sourceVoltage: getSourceVoltage(design.sourcePreset || 'apple', design.customVoltage ?? 1.0)
+    });
+    const csv = resultsToCsv(points, design.drivers);
+
+    if (args.outPath) {
+        await writeFile(args.outPath, csv);
+    } else {
+        process.stdout.write(csv);
+    }
+    return 0;
+};
+
+main().then(code => {
+    process.exitCode = code;
+}, err => {
+    console.error(`iem-sim: ${err.message}`);
+    process.exitCode = 1;
+});
@@ -1,123 +1,255 @@
-import React, { useState } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { Plus, Trash2, Play, Download, Info, ChevronUp, ChevronDown, Zap } from 'lucide-react';
-
-// A small constant to prevent division by zero and log(0)
-const EPSILON = 1e-12;
-
-// Source presets with typical output voltages
-const SOURCE_PRESETS = {
-    raw: { name: 'Raw Audio (Phone)', voltage: 0.5 },
-    apple: { name: 'Apple Dongle', voltage: 1.0 },
-    jcally: { name: 'JCally JA04', voltage: 2.0 },
-    desktop: { name: 'Desktop DAC', voltage: 4.0 },
-    custom: { name: 'Custom', voltage: 1.0 }
+import React, { useCallback, useEffect, useState } from 'react';
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Plus, Trash2, Play, Download, Info, Zap, Save, FolderOpen, Link, Undo2, Redo2, FileCode, FileUp, BookmarkPlus, Library } from 'lucide-react';
+
+import {
+    DEFAULT_AVERAGING,
+    DEFAULT_EAR_SIMULATOR,
+    DEFAULT_EXTRAPOLATION,
+    DEFAULT_FREQUENCY_GRID,
+    DELAY_UNITS,
+    DEFAULT_TARGET_SETTINGS,
+    SHARED_PATH,
+    SOURCE_PRESETS,
+    analyzePhase,
+    appendLadderToNetlist,
+    computeDeviation,
+    decodeShareLink,
+    driverFromLibraryEntry,
+    encodeShareLink,
+    exportSpiceNetlist,
+    EXTRAPOLATION_MODELS,
+    FREQUENCY_GRID_LIMITS,
+    getFrequencyGrid,
+    getFrequencyTicks,
+    getSourceVoltage,
+    getTargetLevel,
+    hasPhaseData,
+    ladderToNetlist,
+    importMeasurement,
+    parseProject,
+    parseSpiceNetlist,
+    parseTargetCurve,
+    resultsToCsv,
+    serializeProject,
+    simulate,
+    splitExtrapolated,
+    unwrapSeries,
+    withMeasurements,
+    ZMA_EXTRAPOLATION_MODELS
+} from './engine';
+import AcousticPathEditor from './components/AcousticPathEditor';
+import CompensationPanel from './components/CompensationPanel';
+import DriverLibrary from './components/DriverLibrary';
+import ElementLadder from './components/ElementLadder';
+import FilterWizard from './components/FilterWizard';
+import ImpedanceModelEditor from './components/ImpedanceModelEditor';
+import ImportReport from './components/ImportReport';
+import MeasurementList from './components/MeasurementList';
+import NetlistEditor from './components/NetlistEditor';
+import OptimizerPanel from './components/OptimizerPanel';
+import TimeResponseChart from './components/TimeResponseChart';
+import TolerancePanel from './components/TolerancePanel';
+import useAutosave from './hooks/useAutosave';
+import useDesignHistory from './hooks/useDesignHistory';
+import useDriverLibrary from './hooks/useDriverLibrary';
+
+// Triggers a browser download of `content` as `filename`
+const downloadFile = (content, filename, type) => {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
 };
 
+const INITIAL_DESIGN = {
+    drivers: [],
+    crossoverElements: [],
+    earSimulator: DEFAULT_EAR_SIMULATOR,
+    sourcePreset: 'apple',
+    customVoltage: 1.0,
+    frequencyGrid: DEFAULT_FREQUENCY_GRID,
+    target: null
+};
+
+const CHART_TABS = [
+    { key: 'magnitude', label: 'Magnitude Response' },
+    { key: 'individual', label: 'Individual Drivers' },
+    { key: 'impedance', label: 'Impedance' },
+    { key: 'phase', label: 'Impedance Phase' },
+    { key: 'acoustic', label: 'Acoustic Phase' },
+    { key: 'groupDelay', label: 'Group Delay' },
+    { key: 'excess', label: 'Excess Phase' },
+    { key: 'time', label: 'Impulse / Step' }
+];
+
+// Tabs plotted on the wrapped ±180° phase axis
+const PHASE_TABS = ['phase', 'acoustic', 'excess'];
+
 const IEMCrossoverSimulator = () => {
     // State management
-    const [drivers, setDrivers] = useState([]);
-    const [crossoverElements, setCrossoverElements] = useState([]);
+    // The design itself lives in an undo/redo history; everything else is view state.
+    const { design, commit, undo, redo, canUndo, canRedo } = useDesignHistory(INITIAL_DESIGN);
+    const { drivers, crossoverElements, earSimulator, sourcePreset, customVoltage, frequencyGrid = DEFAULT_FREQUENCY_GRID, target } = design;
+    const { savedSession, saveError, dismissSavedSession } = useAutosave(design);
+    const driverLibrary = useDriverLibrary();
+
     const [simulationData, setSimulationData] = useState(null);
+    const [imports, setImports] = useState({});
     const [activeTab, setActiveTab] = useState('magnitude');
+    const [phaseUnwrapped, setPhaseUnwrapped] = useState(false);
     const [showInfo, setShowInfo] = useState(false);
-    const [sourcePreset, setSourcePreset] = useState('apple');
-    const [customVoltage, setCustomVoltage] = useState(1.0);
-
-    const [earSimulator, setEarSimulator] = useState({
-        enabled: true,
-        canalVolume: 1.0, // in cc
-        canalLength: 1.2, // in cm
-        drumCompliance: 1.0, // multiplier
-        leakage: 0.0 // 0-1 range
-    });
+    const [showLibrary, setShowLibrary] = useState(false);
+    const [projectError, setProjectError] = useState(null);
+    const [shareMeasurements, setShareMeasurements] = useState(true);
+    const [shareStatus, setShareStatus] = useState(null);
+    const [spiceStatus, setSpiceStatus] = useState(null);
+    const [spiceExporting, setSpiceExporting] = useState(false);
+    const [targetError, setTargetError] = useState(null);
+
+    // Each setter records one undo step. `key` merges rapid edits of the same field.
+    const setDesignField = (field, update, key) => commit(d => ({
+        ...d,
+        [field]: typeof update === 'function' ? update(d[field]) : update
+    }), key);
+    const setDrivers = (update, key) => setDesignField('drivers', update, key);
+    const setCrossoverElements = (update, key) => setDesignField('crossoverElements', update, key);
+    const setEarSimulator = (update, key) => setDesignField('earSimulator', update, key);
+    const setSourcePreset = (update) => setDesignField('sourcePreset', update);
+    const setCustomVoltage = (update) => setDesignField('customVoltage', update, 'customVoltage');
+    const setTarget = (update, key) => setDesignField('target', update, key);
+    const updateFrequencyGrid = (field, value) => setDesignField('frequencyGrid', { ...frequencyGrid, [field]: value }, `frequencyGrid.${field}`);
+    const gridError = frequencyGrid.stop <= frequencyGrid.start ? 'Stop frequency must be above the start frequency' : null;
 
-    // Utility functions
-    /**
-     * Parses FRD (Freq, SPL, Phase) and ZMA (Freq, Impedance, Phase) data.
-     * Assumes 3 columns for FRD, 2 or 3 for ZMA.
-     */
-    const parseFrequencyData = (text, type) => {
-        const lines = text.trim().split('\n');
-        const data = [];
-
-        for (const line of lines) {
-            if (line.trim() === '' || line.startsWith('*') || line.startsWith('#')) continue;
-
-            const parts = line.trim().split(/\s+/);
-            if (parts.length >= 2) {
-                const freq = parseFloat(parts[0]);
-                const val1 = parseFloat(parts[1]);
-                let phase = 0; // Default phase
-
-                if (parts.length >= 3) {
-                    phase = parseFloat(parts[2]) || 0;
-                }
-
-                if (!isNaN(freq) && !isNaN(val1)) {
-                    if (type === 'frd') {
-                        // FRD: Freq, SPL, Phase
-                        data.push({ freq, spl: val1, phase: phase });
-                    } else if (type === 'zma') {
-                        // ZMA: Freq, Impedance, Phase
-                        data.push({ freq, impedance: val1, phase: phase });
-                    }
-                }
-            }
-        }
-        return data;
+    const handleFileUpload = async (e, driverIndex, type) => {
+        const files = [...e.target.files];
+        e.target.value = ''; // Allow re-importing the same files
+        if (files.length === 0) return;
+
+        const idBase = Date.now();
+        const sources = await Promise.all(files.map(async (file, i) => ({
+            text: await file.text(),
+            fileName: file.name,
+            fileId: idBase + i
+        })));
+        applyImports(driverIndex, type, sources);
     };
 
+    // Imports measurement files into a driver's measurement set (replacing
+    // files with the same id) as one undo step. Each file's report, with its
+    // text for re-mapping columns, is kept in view state: an upload replaces
+    // the list, a re-mapped file only its own entry.
+    const applyImports = (driverIndex, type, sources, options) => {
+        const driver = drivers[driverIndex];
+        const imported = sources.map(source => ({ source, ...importMeasurement(source.text, type, options) }));
+        const reports = imported.map(({ source, report, data }) => ({ ...source, report, pointCount: data.length }));
+        const key = `${driver.id}:${type}`;
+        setImports(prev => ({
+            ...prev,
+            [key]: options
+                ? (prev[key] || []).map(entry => reports.find(r => r.fileId === entry.fileId) || entry)
+                : reports
+        }));
 
-    const handleFileUpload = async (e, driverIndex, type) => {
-        const file = e.target.files[0];
-        if (!file) return;
-
-        const text = await file.text();
-        const data = parseFrequencyData(text, type);
+        const files = imported
+            .filter(({ data }) => data.length >= 2)
+            .map(({ source, data }) => ({ id: source.fileId, name: source.fileName, data }));
+        if (files.length === 0) return;
+
+        const field = type === 'zma' ? 'zmaMeasurements' : 'frdMeasurements';
+        setDrivers(prev => prev.map((d, i) => {
+            if (i !== driverIndex) return d;
+            // Data loaded before measurement sets existed becomes the first file
+            const current = d[field] || {
+                files: d[type] ? [{ id: `${d.id}-${type}`, name: 'Measurement 1', data: d[type] }] : [],
+                mode: DEFAULT_AVERAGING,
+                activeId: null
+            };
+            const replaced = current.files.map(file => files.find(f => f.id === file.id) || file);
+            const added = files.filter(f => !current.files.some(file => file.id === f.id));
+            const next = withMeasurements(d, type, { ...current, files: [...replaced, ...added] });
+
+            // A driver's first FRD picks minimum phase when it has no phase,
+            // so summation stays meaningful; later imports keep the setting
+            const firstFrd = type === 'frd' && !(d.frd && d.frd.length > 0);
+            return firstFrd ? { ...next, minimumPhase: !hasPhaseData(next.frd) } : next;
+        }));
+    };
 
-        setDrivers(prev => {
-            const updated = [...prev];
-            if (type === 'frd') {
-                updated[driverIndex].frd = data;
-            } else {
-                updated[driverIndex].zma = data;
-            }
-            return updated;
-        });
+    const updateMeasurements = (driverIndex, type, measurements) => {
+        setDrivers(prev => prev.map((d, i) => i === driverIndex ? withMeasurements(d, type, measurements) : d));
     };
 
     // Driver management
+    const newDriver = (fields) => ({
+        id: Date.now(),
+        name: `Driver ${drivers.length + 1}`,
+        frd: null,
+        zma: null,
+        polarity: false,
+        frdCompensated: true, // NEW: Assume FRD is already compensated by default
+        delay: 0,
+        delayUnit: 'us',
+        levelTrim: 0,
+        frdExtrapolation: DEFAULT_EXTRAPOLATION,
+        zmaExtrapolation: DEFAULT_EXTRAPOLATION,
+        ...fields
+    });
+
     const addDriver = () => {
-        setDrivers([...drivers, {
-            id: Date.now(),
-            name: `Driver ${drivers.length + 1}`,
-            frd: null,
-            zma: null,
-            polarity: false,
-            frdCompensated: true // NEW: Assume FRD is already compensated by default
-        }]);
+        setDrivers([...drivers, newDriver()]);
+    };
+
+    const addLibraryDriver = (entry) => {
+        setDrivers([...drivers, newDriver(driverFromLibraryEntry(entry))]);
+    };
+
+    // Opens the library so the saved entry is visible
+    const saveToLibrary = (driver) => {
+        driverLibrary.saveDriver(driver);
+        setShowLibrary(true);
     };
 
     const removeDriver = (index) => {
-        setDrivers(drivers.filter((_, i) => i !== index));
-        setCrossoverElements(crossoverElements.filter(el => el.driverIndex !== index));
+        commit(d => ({
+            ...d,
+            drivers: d.drivers.filter((_, i) => i !== index),
+            crossoverElements: d.crossoverElements.filter(el => el.driverIndex !== index)
+        }));
     };
 
     const togglePolarity = (index) => {
-        setDrivers(prev => {
-            const updated = [...prev];
-            updated[index].polarity = !updated[index].polarity;
-            return updated;
-        });
+        setDrivers(prev => prev.map((driver, i) =>
+            i === index ? { ...driver, polarity: !driver.polarity } : driver
+        ));
     };
 
-    const updateDriverField = (index, field, value) => {
-        setDrivers(prev => {
-            const updated = [...prev];
-            updated[index][field] = value;
-            return updated;
-        });
+    const updateDriverField = (index, field, value, key = `driver:${index}:${field}`) => {
+        setDrivers(prev => prev.map((driver, i) =>
+            i === index ? { ...driver, [field]: value } : driver
+        ), key);
+    };
+
+    // Moves the driver's ladder elements into an equivalent editable netlist
+    const convertDriverToNetlist = (index) => {
+        commit(d => ({
+            ...d,
+            drivers: d.drivers.map((driver, i) => i === index
+                ? { ...driver, netlist: ladderToNetlist(d.crossoverElements.filter(el => el.driverIndex === index)) }
+                : driver),
+            crossoverElements: d.crossoverElements.filter(el => el.driverIndex !== index)
+        }));
+    };
+
+    const convertDriverToLadder = (index) => {
+        if (drivers[index].netlist.components.length > 0
+            && !window.confirm('Switching back to a ladder discards this netlist. Continue?')) {
+            return;
+        }
+        updateDriverField(index, 'netlist', null);
     };
 
     // Crossover element management
@@ -139,10 +271,50 @@ const IEMCrossoverSimulator = () => {
         }]);
     };
 
+    // Adds a block of designed elements nearest the driver, or replaces its chain
+    const insertCrossoverElements = (driverIndex, elements, replace) => {
+        const netlist = drivers[driverIndex].netlist;
+        if (netlist) {
+            const baseId = Date.now();
+            const ladder = elements.map((el, i) => ({ esr: 0.05, dcr: 0.1, ...el, id: baseId + i, order: i }));
+            updateDriverField(driverIndex, 'netlist', replace
+                ? ladderToNetlist(ladder)
+                : appendLadderToNetlist(netlist, ladder));
+            return;
+        }
+
+        setCrossoverElements(prev => {
+            const kept = replace ? prev.filter(el => el.driverIndex !== driverIndex) : prev;
+            const driverElements = kept.filter(el => el.driverIndex === driverIndex);
+            const firstOrder = driverElements.length > 0
+                ? Math.max(...driverElements.map(el => el.order)) + 1
+                : 0;
+            const baseId = Date.now();
+
+            return [...kept, ...elements.map((el, i) => ({
+                esr: 0.05,
+                dcr: 0.1,
+                ...el,
+                id: baseId + i,
+                driverIndex,
+                order: firstOrder + i
+            }))];
+        });
+    };
+
     const updateCrossoverElement = (id, field, value) => {
-        setCrossoverElements(crossoverElements.map(el =>
-            el.id === id ? { ...el, [field]: value } : el
-        ));
+        setCrossoverElements(prev => prev.map(el => {
+            if (el.id !== id) return el;
+            const updated = { ...el, [field]: value };
+            // Switching type: make sure the new type's value fields exist
+            if (field === 'type' && value === 'branch') {
+                return { resistance: 10, inductance: 0, capacitance: 10, ...updated };
+            }
+            if (field === 'type' && updated.value === undefined) {
+                return { ...updated, value: 10 };
+            }
+            return updated;
+        }), `element:${id}:${field}`);
     };
 
     const removeCrossoverElement = (id) => {
@@ -171,427 +343,196 @@ const IEMCrossoverSimulator = () => {
         }));
     };
 
-    // Complex number operations
-    const complexAdd = (a, b) => ({
-        real: a.real + b.real,
-        imag: a.imag + b.imag
-    });
+    // Target curve
+    const handleTargetUpload = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
 
-    const complexMultiply = (a, b) => ({
-        real: a.real * b.real - a.imag * b.imag,
-        imag: a.real * b.imag + a.imag * b.real
-    });
+        try {
+            const points = parseTargetCurve(await file.text());
+            setTarget({ ...DEFAULT_TARGET_SETTINGS, ...target, name: file.name, points });
+            setTargetError(null);
+        } catch (err) {
+            setTargetError(`${file.name}: ${err.message}`);
+        }
+    };
 
-    const complexDivide = (a, b) => {
-        const denom = b.real * b.real + b.imag * b.imag;
-        // IEEE Check: Avoid division by zero
-        if (Math.abs(denom) < EPSILON) return { real: 0, imag: 0 };
-        return {
-            real: (a.real * b.real + a.imag * b.imag) / denom,
-            imag: (a.imag * b.real - a.real * b.imag) / denom
-        };
+    const updateTargetField = (field, value) => {
+        setTarget(prev => ({ ...prev, [field]: value }), `target:${field}`);
     };
 
-    const complexMagnitude = (z) => Math.sqrt(z.real * z.real + z.imag * z.imag);
-    const complexPhase = (z) => Math.atan2(z.imag, z.real) * 180 / Math.PI;
+    const applyOptimizedValues = (values) => {
+        setCrossoverElements(prev => prev.map(el =>
+            values[el.id] !== undefined ? { ...el, value: values[el.id] } : el
+        ));
+    };
 
-    const parallelImpedance = (z1, z2) => {
-        return complexDivide(
-            complexMultiply(z1, z2),
-            complexAdd(z1, z2)
+    const runSimulation = () => {
+        const results = simulate(
+            { drivers, crossoverElements, earSimulator },
+            { sourceVoltage: getSourceVoltage(sourcePreset, customVoltage), frequencies: getFrequencyGrid(frequencyGrid, drivers) }
         );
+        setSimulationData(analyzePhase(results, drivers.length));
     };
 
-    // Helper for a parallel RLC branch
-    const parallelRLC = (R, L, C, omega) => {
-        // IEEE Check: Use EPSILON as floor
-        if (R < EPSILON) R = EPSILON;
-        if (L < EPSILON) L = EPSILON;
-        if (C < EPSILON) C = EPSILON;
-
-        const Z_R = { real: R, imag: 0 };
-        const Z_L = { real: 0, imag: omega * L };
-        // IEEE Check: Avoid division by zero at DC
-        const Z_C = { real: 0, imag: (omega > EPSILON) ? -1 / (omega * C) : -1 / (EPSILON * C) };
-
-        const Y_R = { real: 1 / R, imag: 0 };
-        const Y_L = { real: 0, imag: -1 / (omega * L + EPSILON) };
-        const Y_C = { real: 0, imag: omega * C };
-
-        const Y_total = complexAdd(Y_R, complexAdd(Y_L, Y_C));
-
-        return complexDivide({ real: 1, imag: 0 }, Y_total);
+    // Export results
+    const exportResults = () => {
+        if (!simulationData) return;
+        downloadFile(resultsToCsv(simulationData), 'iem_simulation.csv', 'text/csv');
     };
 
-    // Pre-calculated acoustic impedance magnitude at 200 Hz for reference
-    const Z_EAR_REF_MAG = 163.5;
-
-    const getEarSimulatorImpedance = (freq) => {
-        if (!earSimulator.enabled) {
-            return { real: Z_EAR_REF_MAG, imag: 0 };
+    // SPICE netlists
+    const exportSpice = async () => {
+        if (gridError) {
+            setSpiceStatus(gridError);
+            return;
         }
-
-        const omega = 2 * Math.PI * freq;
-
-        // --- Standard IEC 60318-4 Equivalent Circuit Parameters ---
-        const R0 = 155.8;
-        const L0_base = 0.0076;
-        const R1 = 292;
-        const L1 = 0.021;
-        const C1_base = 200e-9;
-        const R2 = 1437;
-        const L2 = 0.106;
-        const C2_base = 30e-9;
-
-        // --- Apply Simulator Settings ---
-        const L0_scaled = L0_base * (earSimulator.canalLength / 1.2);
-        const C1_scaled = C1_base * (earSimulator.canalVolume / 1.0);
-        const C2_scaled = C2_base * earSimulator.drumCompliance;
-
-        // --- Calculate Circuit Impedance ---
-        const Z_branch0 = { real: R0, imag: omega * L0_scaled };
-        const Z_branch1 = parallelRLC(R1, L1, C1_scaled, omega);
-        const Z_branch2 = parallelRLC(R2, L2, C2_scaled, omega);
-
-        let Zear = complexAdd(Z_branch0, complexAdd(Z_branch1, Z_branch2));
-
-        if (earSimulator.leakage > 0) {
-            const R_leak = 1e9 / (1 + earSimulator.leakage * 100);
-            Zear = parallelImpedance(Zear, { real: R_leak, imag: 0 });
+        setSpiceExporting(true);
+        setSpiceStatus('Fitting driver models for the netlist…');
+        try {
+            const cir = await exportSpiceNetlist(
+                { drivers, crossoverElements },
+                { sourceVoltage: getSourceVoltage(sourcePreset, customVoltage), frequencies: getFrequencyGrid(frequencyGrid, drivers) }
+            );
+            downloadFile(cir, 'iem_crossover.cir', 'text/plain');
+            setSpiceStatus(null);
+        } catch (err) {
+            setSpiceStatus(`Could not export: ${err.message}`);
+        } finally {
+            setSpiceExporting(false);
         }
-
-        return Zear;
     };
 
-    // Interpolation helper for frequency data
-    const interpolateFrequencyData = (data, targetFreq, getValue) => {
-        if (!data || data.length === 0) return null;
-
-        let lowerIdx = -1;
-        let upperIdx = -1;
-
-        for (let i = 0; i < data.length; i++) {
-            if (data[i].freq <= targetFreq) {
-                lowerIdx = i;
-            }
-            if (data[i].freq >= targetFreq && upperIdx === -1) {
-                upperIdx = i;
-                break;
-            }
-        }
+    // Replaces the crossover with the imported ladders: shared path first,
+    // then one ladder per driver (adding drivers when the file has more)
+    const importSpice = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
 
-        if (lowerIdx === -1 && upperIdx !== -1) return getValue(data[upperIdx]);
-        if (lowerIdx !== -1 && upperIdx === -1) return getValue(data[lowerIdx]); // Just use last point, no rolloff
-        if (lowerIdx === upperIdx) return getValue(data[lowerIdx]);
-
-        const lower = data[lowerIdx];
-        const upper = data[upperIdx];
-
-        if (upper.freq - lower.freq < EPSILON) return getValue(lower);
-
-        // ACCURACY FIX: Interpolate frequency on a log scale
-        const logLowerFreq = Math.log10(lower.freq);
-        const logUpperFreq = Math.log10(upper.freq);
-        // Handle edge case where freqs are too close
-        const freqRange = logUpperFreq - logLowerFreq;
-        if (freqRange < EPSILON) return getValue(lower);
-
-        const t = (Math.log10(targetFreq) - logLowerFreq) / freqRange;
-
-        const lowerVal = getValue(lower);
-        const upperVal = getValue(upper);
-
-        if (typeof lowerVal === 'number' && typeof upperVal === 'number') {
-            // Interpolate SPL/Impedance in log domain (linear in dB/log-Ohms)
-            if (getValue === ((p) => p.spl) || getValue === ((p) => p.impedance)) {
-                // Check for log(0)
-                if (lowerVal <= EPSILON || upperVal <= EPSILON) {
-                    return lowerVal + (upperVal - lowerVal) * t; // Fallback to linear
-                }
-                const logLower = Math.log10(lowerVal);
-                const logUpper = Math.log10(upperVal);
-                return Math.pow(10, logLower + (logUpper - logLower) * t);
-            }
-            // Linear for phase (Note: does not handle phase wrap, but good enough)
-            return lowerVal + (upperVal - lowerVal) * t;
+        try {
+            const { shared, ladders, skipped } = parseSpiceNetlist(await file.text());
+            const baseId = Date.now();
+            commit(d => {
+                const imported = [
+                    ...shared.map(el => ({ ...el, driverIndex: SHARED_PATH })),
+                    ...ladders.flatMap((ladder, idx) => ladder.map(el => ({ ...el, driverIndex: idx })))
+                ].map((el, i) => ({ ...el, id: baseId + i }));
+                const drivers = ladders.map((_, idx) => d.drivers[idx]
+                    ? { ...d.drivers[idx], netlist: null }
+                    : { id: baseId + imported.length + idx, name: `Driver ${idx + 1}`, frd: null, zma: null, polarity: false, frdCompensated: true });
+
+                return {
+                    ...d,
+                    drivers: [...drivers, ...d.drivers.slice(ladders.length)],
+                    crossoverElements: [
+                        ...imported,
+                        ...d.crossoverElements.filter(el => el.driverIndex !== SHARED_PATH && el.driverIndex >= ladders.length)
+                    ]
+                };
+            });
+            setSpiceStatus(skipped.length > 0
+                ? `Imported ${file.name}; ignored ${skipped.join('; ')}`
+                : `Imported ${file.name}`);
+        } catch (err) {
+            setSpiceStatus(`Could not import ${file.name}: ${err.message}`);
         }
-
-        return lowerVal;
     };
 
-    /**
-     * Calculates the crossover's effect on the driver.
-     *
-     * THIS IS THE CORRECTED, TOPOLOGICALLY-AWARE VERSION.
-     * It builds the impedance and transfer function by starting
-     * at the driver and working outwards, respecting component order.
-     */
-    const calculateCrossoverImpedanceAndTransfer = (
-        freq,
-        elements,
-        driverImpedanceData,
-        sourceVoltage,
-        frdCompensated
-    ) => {
-        const omega = 2 * Math.PI * freq;
-
-        // --- 1. Get Driver ELECTRICAL Impedance (from ZMA file) ---
-        let Zdriver = { real: 8, imag: 0 }; // Default if no ZMA
-        if (driverImpedanceData && driverImpedanceData.length > 0) {
-            const impedanceMag = interpolateFrequencyData(
-                driverImpedanceData, freq, (p) => p.impedance || 8
-            );
-            const phaseDeg = interpolateFrequencyData(
-                driverImpedanceData, freq, (p) => p.phase || 0
-            );
-
-            if (impedanceMag !== null && phaseDeg !== null) {
-                const phaseRad = (phaseDeg * Math.PI) / 180;
-                Zdriver = {
-                    real: impedanceMag * Math.cos(phaseRad),
-                    imag: impedanceMag * Math.sin(phaseRad)
-                };
-            }
-        }
+    // Project files
+    const saveProject = () => {
+        const project = serializeProject({ drivers, crossoverElements, earSimulator, sourcePreset, customVoltage, frequencyGrid, target });
+        downloadFile(JSON.stringify(project, null, 2), 'iem_project.json', 'application/json');
+    };
 
-        // --- 2. Calculate Circuit Impedance and Transfer Function ---
-        // We start at the driver (load) and work outwards to the source.
-        let Z_current = Zdriver;
-        // H_current is the transfer function: (Voltage AT THE DRIVER) / (Voltage at the CURRENT point in the chain)
-        let H_current = { real: 1, imag: 0 }; // At the driver, V_driver / V_driver = 1.
-
-        // Sort elements DESCENDING by order (e.g., 2, 1, 0...)
-        // This processes components from the driver outwards.
-        const sortedElements = [...elements].sort((a, b) => b.order - a.order);
-
-        for (const element of sortedElements) {
-            let Zelement;
-            const value = element.value;
-
-            // Get Z for the component, including parasitics
-            if (element.type === 'capacitor') {
-                const Zcap = { real: 0, imag: (omega > EPSILON) ? -1 / (omega * value * 1e-6) : -1 / (EPSILON * value * 1e-6) };
-                const Zesr = { real: element.esr || 0, imag: 0 }; // ADD ESR
-                Zelement = complexAdd(Zcap, Zesr);
-            } else if (element.type === 'inductor') {
-                const Zind = { real: 0, imag: omega * value * 1e-3 };
-                const Zdcr = { real: element.dcr || 0, imag: 0 }; // ADD DCR
-                Zelement = complexAdd(Zind, Zdcr);
-            } else { // Resistor
-                Zelement = { real: value, imag: 0 };
-            }
+    const openProject = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow re-opening the same file
+        if (!file) return;
 
-            // Now apply this element to the chain
-            if (element.series) {
-                // Element is in SERIES with the current network.
-                // The new "input" is before this series element.
-                // This forms a voltage divider.
-                //
-                // V_out = V_in * (Z_current / (Zelement + Z_current))
-                // The voltage at the driver is H_current * V_out.
-                // So, H_new (V_driver / V_in) = H_current * (Z_current / (Zelement + Z_current))
-
-                H_current = complexMultiply(
-                    H_current,
-                    complexDivide(Z_current, complexAdd(Zelement, Z_current))
-                );
-
-                // The new total impedance is the sum.
-                Z_current = complexAdd(Z_current, Zelement);
-
-            } else {
-                // Element is in PARALLEL with the current network.
-                // The voltage across the parallel combo is the same as the
-                // voltage across Z_current, so the transfer function H_current
-                // (V_driver / V_current_input) does not change.
-
-                // The new total impedance is the parallel combination.
-                Z_current = parallelImpedance(Z_current, Zelement);
-            }
+        try {
+            loadProjectState(parseProject(await file.text()));
+        } catch (err) {
+            setProjectError(`Could not open ${file.name}: ${err.message}`);
         }
-
-        // After the loop:
-        // Z_current is the final Z_total_electrical seen by the source.
-        const Z_total_electrical = Z_current;
-        // H_current is the final H_electrical (V_driver / V_source)
-        const H_electrical = H_current;
-
-
-        // --- 3. Calculate ELECTRICAL Voltage Transfer Function ---
-        const electricalGainDb = 20 * Math.log10(complexMagnitude(H_electrical) + EPSILON);
-        const electricalPhaseDeg = complexPhase(H_electrical); // THIS IS THE CRITICAL NEW VALUE
-
-        // --- 4. Calculate ACOUSTIC Gain (from Ear Simulator) ---
-        const Zear_acoustic = getEarSimulatorImpedance(freq);
-        const Zear_magnitude = complexMagnitude(Zear_acoustic);
-
-        const earBoostDb = (earSimulator.enabled && !frdCompensated)
-            ? 20 * Math.log10((Zear_magnitude / Z_EAR_REF_MAG) + EPSILON)
-            : 0;
-
-        // --- 5. Calculate Final GAIN (to be applied to FRD) ---
-        const voltageGainDb = 20 * Math.log10(sourceVoltage + EPSILON);
-        const totalGainDb = electricalGainDb + voltageGainDb + earBoostDb;
-
-        return {
-            impedanceMagnitude: complexMagnitude(Z_total_electrical),
-            impedancePhase: complexPhase(Z_total_electrical),
-            totalGainDb: totalGainDb, // The total dB change to apply to the SPL
-            electricalPhaseDeg: electricalPhaseDeg // The phase shift from the crossover
-        };
     };
 
-    /**
-     * Run simulation
-     * THIS VERSION CORRECTLY SEPARATES IMPEDANCE AND SPL CALCULATION,
-     * FIXING THE "0 OHM" BUG.
-     */
-    const runSimulation = () => {
-        const freqRange = [];
-        // More points for smoother curve
-        for (let f = 20; f <= 20000; f *= 1.015) {
-            freqRange.push(f);
-        }
-
-        const sourceVoltage = sourcePreset === 'custom'
-            ? customVoltage
-            : SOURCE_PRESETS[sourcePreset].voltage;
-
-        const results = freqRange.map(freq => {
-            const point = { freq: freq };
-
-            let totalAdmittance = { real: 0, imag: 0 }; // Admittance Y = 1/Z
-            let driversInParallel = 0;
-            let complexPressures = []; // For acoustic summation
-
-            drivers.forEach((driver, idx) => {
-                // BUGFIX: Only skip if driver is truly empty.
-                if (!driver.frd && !driver.zma && crossoverElements.filter(el => el.driverIndex === idx).length === 0) {
-                    return; // Skip this driver
-                }
-
-                const driverElements = crossoverElements.filter(el => el.driverIndex === idx);
-
-                // --- 1. ELECTRICAL & IMPEDANCE CALCULATION ---
-                // This section runs regardless of whether an FRD is present.
-                // It calculates the driver's contribution to the system's total impedance.
-
-                // Call the calculation function. It will use the driver's ZMA
-                // and the crossover components.
-                const result = calculateCrossoverImpedanceAndTransfer(
-                    freq,
-                    driverElements,
-                    driver.zma,
-                    sourceVoltage,
-                    driver.frdCompensated
-                );
-
-                // BUGFIX: Check for ZMA or components. A driver with only an FRD
-                // and no ZMA/crossover has no electrical impedance (it's an "ideal" driver,
-                // which isn't realistic, but we'll treat it as open-circuit).
-                // The "no components" case is handled by the new calc function.
-                if (driver.zma || driverElements.length > 0) {
-                    point[`driver${idx}_impedance`] = result.impedanceMagnitude;
-                    point[`driver${idx}_phase`] = result.impedancePhase;
-
-                    // Convert Mag/Phase back to complex Z
-                    const Z = {
-                        real: result.impedanceMagnitude * Math.cos((result.impedancePhase * Math.PI) / 180),
-                        imag: result.impedanceMagnitude * Math.sin((result.impedancePhase * Math.PI) / 180)
-                    };
-
-                    // Convert Z to Y (Admittance) and add to the total
-                    const Y = complexDivide({ real: 1, imag: 0 }, Z);
-                    totalAdmittance = complexAdd(totalAdmittance, Y);
-                    driversInParallel++;
-                }
-
-
-                // --- 2. ACOUSTIC & SPL CALCULATION ---
-                // This section only runs if an FRD file is present.
-                if (driver.frd) {
-                    // Get base SPL and ACOUSTIC phase from FRD
-                    const baseSpl = interpolateFrequencyData(driver.frd, freq, (p) => p.spl);
-                    const baseAcousticPhase = interpolateFrequencyData(driver.frd, freq, (p) => p.phase || 0);
-
-                    if (baseSpl !== null) {
-                        // --- Total SPL (Magnitude) ---
-                        const finalDriverSpl = baseSpl + result.totalGainDb;
-                        point[`driver${idx}_spl`] = finalDriverSpl;
-
-                        // --- Total Phase (Angle) ---
-                        const polarityPhase = driver.polarity ? 180 : 0;
-                        const finalDriverPhaseDeg = baseAcousticPhase + result.electricalPhaseDeg + polarityPhase;
-
-                        // --- Convert to Complex Pressure ---
-                        const pressureMag = Math.pow(10, finalDriverSpl / 20);
-                        const phaseRad = (finalDriverPhaseDeg * Math.PI) / 180;
-
-                        const complexPressure = {
-                            real: pressureMag * Math.cos(phaseRad),
-                            imag: pressureMag * Math.sin(phaseRad)
-                        };
-                        complexPressures.push(complexPressure);
-                    }
-                }
-            }); // --- End of driver loop ---
-
-            // --- 5. Sum Acoustic Pressures ---
-            if (complexPressures.length > 0) {
-                const totalComplexPressure = complexPressures.reduce(
-                    (a, b) => complexAdd(a, b), { real: 0, imag: 0 }
-                );
-                const totalPressureMag = complexMagnitude(totalComplexPressure);
-
-                point.total_spl = (totalPressureMag > EPSILON)
-                    ? 20 * Math.log10(totalPressureMag)
-                    : -200;
-            }
-
-            // --- 6. Finalize Total Impedance ---
-            // BUGFIX: This block now runs correctly even if only a ZMA was provided.
-            if (driversInParallel > 0) {
-                const Z_total = complexDivide({ real: 1, imag: 0 }, totalAdmittance);
-                point.total_impedance = complexMagnitude(Z_total);
-                point.total_phase = complexPhase(Z_total);
-            } else if (drivers.length > 0 && driversInParallel === 0) {
-                // Case: Drivers were added but had no ZMA or crossover (e.g., FRD only).
-                // System impedance is effectively infinite (open circuit).
-                point.total_impedance = 1e9; // Set to a very high impedance
-                point.total_phase = 0;
-            }
-
-            return point;
-        });
-
-        setSimulationData(results);
+    // Replaces the whole design as a single undo step; stable, as the
+    // share-link effect below runs it once
+    const loadProjectState = useCallback((project) => {
+        commit(() => project);
+        setSimulationData(null);
+        setProjectError(null);
+    }, [commit]);
+
+    const restoreSavedSession = () => {
+        loadProjectState(savedSession.project);
+        dismissSavedSession();
     };
 
-    // Export results
-    const exportResults = () => {
-        if (!simulationData) return;
-        let csv = 'Frequency(Hz),Total SPL(dB),Total Impedance(Ohm),Total Phase(deg)\n';
-        simulationData.forEach(point => {
-            csv += `${point.freq.toFixed(2)},${point.total_spl?.toFixed(2) || ''},${point.total_impedance?.toFixed(2) || ''},${point.total_phase?.toFixed(2) || ''}\n`;
-        });
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'iem_simulation.csv';
-        a.click();
-        URL.revokeObjectURL(url);
+    // Share links
+    const copyShareLink = async () => {
+        try {
+            const { fragment, measurementsIncluded } = await encodeShareLink(
+                { drivers, crossoverElements, earSimulator, sourcePreset, customVoltage, frequencyGrid, target },
+                { includeMeasurements: shareMeasurements }
+            );
+            const url = `${window.location.origin}${window.location.pathname}#${fragment}`;
+            window.history.replaceState(null, '', `#${fragment}`);
+            await navigator.clipboard.writeText(url);
+            setShareStatus(shareMeasurements && !measurementsIncluded
+                ? 'Link copied (measurements left out - too large)'
+                : 'Link copied');
+        } catch (err) {
+            setShareStatus(`Could not create link: ${err.message}`);
+        }
     };
 
-    const getUnitLabel = (type) => {
-        if (type === 'capacitor') return 'uF';
-        if (type === 'inductor') return 'mH';
-        return 'Ohm';
-    };
+    // Open a design shared through the URL fragment on first load
+    useEffect(() => {
+        decodeShareLink(window.location.hash)
+            .then(project => {
+                if (project) loadProjectState(project);
+            })
+            .catch(err => setProjectError(`Could not open shared link: ${err.message}`));
+    }, [loadProjectState]);
+
+    // Target overlay and deviation follow the latest simulation
+    const showUnwrapped = phaseUnwrapped && PHASE_TABS.includes(activeTab);
+    const plottedData = simulationData && showUnwrapped
+        ? unwrapSeries(simulationData, [
+            'total_phase',
+            'total_spl_phase',
+            'total_min_phase',
+            'total_excess_phase',
+            ...drivers.map((_, idx) => `driver${idx}_spl_phase`)
+        ])
+        : simulationData;
+    const splitData = plottedData && splitExtrapolated(plottedData, [
+        'total_spl',
+        'total_impedance',
+        ...drivers.map((_, idx) => `driver${idx}_spl`)
+    ]);
+    const chartData = splitData && target
+        ? splitData.map(point => ({ ...point, target_spl: getTargetLevel(target.points, point.freq, target) }))
+        : splitData;
+    const hasExtrapolation = (key) => !!simulationData && simulationData.some(p => p[`${key}_extrapolated`]);
+    const deviation = simulationData && target
+        ? computeDeviation(simulationData, target.points, target)
+        : null;
+
+    // The axis follows the grid of the latest simulation
+    const frequencyDomain = simulationData && simulationData.length > 0
+        ? [simulationData[0].freq, simulationData[simulationData.length - 1].freq]
+        : [frequencyGrid.start, frequencyGrid.stop];
+
+    const formatDb = (value) => value === null ? '-' : `${value >= 0 ? '+' : ''}${value.toFixed(2)} dB`;
 
     const getYAxisLabel = () => {
         if (activeTab === 'impedance') return 'Impedance (Ohm)';
-        if (activeTab === 'phase') return 'Phase (degrees)';
+        if (PHASE_TABS.includes(activeTab)) return 'Phase (degrees)';
+        if (activeTab === 'groupDelay') return 'Group Delay (ms)';
         return 'SPL (dB)';
     };
 
@@ -606,13 +547,25 @@ const IEMCrossoverSimulator = () => {
     };
 
     const getPhaseRange = () => {
-        if (activeTab !== 'phase') return ['auto', 'auto'];
+        if (!PHASE_TABS.includes(activeTab) || showUnwrapped) return ['auto', 'auto'];
         return [-180, 180];
     };
 
+    // Scaled to the total; driver curves spike in their stopbands and are clipped
+    const getGroupDelayRange = () => {
+        if (!simulationData || activeTab !== 'groupDelay') return ['auto', 'auto'];
+        const delays = simulationData.map(p => p.total_group_delay).filter(Number.isFinite);
+        if (delays.length === 0) return [0, 1];
+        const min = Math.min(0, ...delays);
+        const max = Math.max(...delays);
+        const padding = Math.max(0.05, (max - min) * 0.1);
+        return [min - padding, max + padding].map(value => Math.round(value * 100) / 100);
+    };
+
     const getYAxisDomain = () => {
         if (activeTab === 'impedance') return getImpedanceRange();
-        if (activeTab === 'phase') return getPhaseRange();
+        if (PHASE_TABS.includes(activeTab)) return getPhaseRange();
+        if (activeTab === 'groupDelay') return getGroupDelayRange();
         return ['auto', 'auto'];
     };
 
@@ -632,15 +585,129 @@ const IEMCrossoverSimulator = () => {
                                 Advanced RLC Network Designer with IEC 60318-4 Ear Simulator
                             </p>
                         </div>
-                        <button
-                            onClick={() => setShowInfo(!showInfo)}
-                            className="self-start lg:self-auto p-3 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
-                            aria-label="Toggle information panel"
-                        >
-                            <Info size={24} />
-                        </button>
+                        <div className="flex items-center gap-2 self-start lg:self-auto">
+                            <button
+                                onClick={undo}
+                                disabled={!canUndo}
+                                className="p-2 text-gray-700 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+                                aria-label="Undo"
+                                title="Undo (Ctrl+Z)"
+                            >
+                                <Undo2 size={20} />
+                            </button>
+                            <button
+                                onClick={redo}
+                                disabled={!canRedo}
+                                className="p-2 text-gray-700 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+                                aria-label="Redo"
+                                title="Redo (Ctrl+Shift+Z)"
+                            >
+                                <Redo2 size={20} />
+                            </button>
+                            <button
+                                onClick={saveProject}
+                                className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                            >
+                                <Save size={18} /> Save Project
+                            </button>
+                            <label className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors cursor-pointer">
+                                <FolderOpen size={18} /> Open Project
+                                <input
+                                    type="file"
+                                    accept=".json"
+                                    onChange={openProject}
+                                    className="hidden"
+                                />
+                            </label>
+                            <button
+                                onClick={exportSpice}
+                                disabled={spiceExporting}
+                                className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-wait transition-colors"
+                            >
+                                <FileCode size={18} /> Export SPICE
+                            </button>
+                            <label className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors cursor-pointer">
+                                <FileUp size={18} /> Import SPICE
+                                <input
+                                    type="file"
+                                    accept=".cir,.net,.sp,.spice,.txt"
+                                    onChange={importSpice}
+                                    className="hidden"
+                                />
+                            </label>
+                            <button
+                                onClick={copyShareLink}
+                                className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                            >
+                                <Link size={18} /> Share Link
+                            </button>
+                            <label className="flex items-center gap-1 text-xs text-gray-600" title="Embed down-sampled FRD/ZMA data in the link">
+                                <input
+                                    type="checkbox"
+                                    checked={shareMeasurements}
+                                    onChange={(e) => setShareMeasurements(e.target.checked)}
+                                    className="w-4 h-4 rounded text-blue-600 focus:ring-blue-500"
+                                />
+                                with data
+                            </label>
+                            <button
+                                onClick={() => setShowInfo(!showInfo)}
+                                className="p-3 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                                aria-label="Toggle information panel"
+                            >
+                                <Info size={24} />
+                            </button>
+                        </div>
                     </div>
 
+                    {savedSession && (
+                        <div className="mt-4 flex flex-col md:flex-row md:justify-between md:items-center gap-3 bg-blue-50 border border-blue-200 text-blue-800 rounded-lg p-3 text-sm">
+                            <span>
+                                Restore your last session
+                                {savedSession.savedAt && ` from ${new Date(savedSession.savedAt).toLocaleString()}`}?
+                            </span>
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={restoreSavedSession}
+                                    className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                                >
+                                    Restore
+                                </button>
+                                <button
+                                    onClick={dismissSavedSession}
+                                    className="px-3 py-1 border border-blue-300 rounded-lg hover:bg-blue-100 transition-colors"
+                                >
+                                    Start Fresh
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {saveError && (
+                        <p className="mt-2 text-sm text-red-600">{saveError}</p>
+                    )}
+
+                    {shareStatus && (
+                        <p className="mt-2 text-sm text-gray-600 lg:text-right">{shareStatus}</p>
+                    )}
+
+                    {spiceStatus && (
+                        <p className="mt-2 text-sm text-gray-600 lg:text-right">{spiceStatus}</p>
+                    )}
+
+                    {projectError && (
+                        <div className="mt-4 flex justify-between items-start gap-4 bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 text-sm">
+                            <span>{projectError}</span>
+                            <button
+                                onClick={() => setProjectError(null)}
+                                className="font-semibold hover:text-red-900"
+                                aria-label="Dismiss error"
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    )}
+
                     {showInfo && (
                         <div className="mt-4 bg-gradient-to-r from-blue-50 to-indigo-50 border border-blue-200 rounded-lg p-4 text-sm">
                             <h3 className="font-semibold mb-3 text-lg">Advanced Features</h3>
@@ -735,7 +802,7 @@ const IEMCrossoverSimulator = () => {
                                 type="number"
                                 step="0.1"
                                 value={earSimulator.canalVolume}
-                                onChange={(e) => setEarSimulator({ ...earSimulator, canalVolume: parseFloat(e.target.value) || 1.0 })}
+                                onChange={(e) => setEarSimulator({ ...earSimulator, canalVolume: parseFloat(e.target.value) || 1.0 }, 'earSimulator.canalVolume')}
                                 className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
                             />
                         </div>
@@ -748,7 +815,7 @@ const IEMCrossoverSimulator = () => {
                                 type="number"
                                 step="0.1"
                                 value={earSimulator.canalLength}
-                                onChange={(e) => setEarSimulator({ ...earSimulator, canalLength: parseFloat(e.target.value) || 1.2 })}
+                                onChange={(e) => setEarSimulator({ ...earSimulator, canalLength: parseFloat(e.target.value) || 1.2 }, 'earSimulator.canalLength')}
                                 className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
                             />
                         </div>
@@ -761,7 +828,7 @@ const IEMCrossoverSimulator = () => {
                                 type="number"
                                 step="0.1"
                                 value={earSimulator.drumCompliance}
-                                onChange={(e) => setEarSimulator({ ...earSimulator, drumCompliance: parseFloat(e.target.value) || 1.0 })}
+                                onChange={(e) => setEarSimulator({ ...earSimulator, drumCompliance: parseFloat(e.target.value) || 1.0 }, 'earSimulator.drumCompliance')}
                                 className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
                             />
                         </div>
@@ -776,7 +843,7 @@ const IEMCrossoverSimulator = () => {
                                 min="0"
                                 max="1"
                                 value={earSimulator.leakage}
-                                onChange={(e) => setEarSimulator({ ...earSimulator, leakage: parseFloat(e.target.value) || 0.0 })}
+                                onChange={(e) => setEarSimulator({ ...earSimulator, leakage: parseFloat(e.target.value) || 0.0 }, 'earSimulator.leakage')}
                                 className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
                             />
                         </div>
@@ -790,12 +857,53 @@ const IEMCrossoverSimulator = () => {
                         <div className="bg-white rounded-xl shadow-lg p-6">
                             <div className="flex justify-between items-center mb-4">
                                 <h2 className="text-xl font-semibold">Drivers</h2>
-                                <button
-                                    onClick={addDriver}
-                                    className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
-                                >
-                                    <Plus size={18} /> Add Driver
-                                </button>
+                                <div className="flex items-center gap-2">
+                                    <button
+                                        onClick={() => setShowLibrary(!showLibrary)}
+                                        className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${showLibrary
+                                            ? 'bg-gray-300 text-gray-800'
+                                            : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                                            }`}
+                                        aria-expanded={showLibrary}
+                                    >
+                                        <Library size={18} /> Library
+                                    </button>
+                                    <button
+                                        onClick={addDriver}
+                                        className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                                    >
+                                        <Plus size={18} /> Add Driver
+                                    </button>
+                                </div>
+                            </div>
+
+                            {showLibrary && (
+                                <DriverLibrary
+                                    library={driverLibrary}
+                                    onAdd={addLibraryDriver}
+                                    onExport={(text) => downloadFile(text, 'iem_driver_library.json', 'application/json')}
+                                />
+                            )}
+
+                            <div className="border-2 border-dashed border-gray-300 rounded-lg p-4 mb-4">
+                                <div className="flex justify-between items-center mb-2">
+                                    <div>
+                                        <h3 className="text-sm font-semibold">Shared Input Path</h3>
+                                        <p className="text-xs text-gray-500">Elements between the source and the split to every driver</p>
+                                    </div>
+                                    <button
+                                        onClick={() => addCrossoverElement(SHARED_PATH)}
+                                        className="text-xs px-3 py-1 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                                    >
+                                        + Add Element
+                                    </button>
+                                </div>
+                                <ElementLadder
+                                    elements={crossoverElements.filter(el => el.driverIndex === SHARED_PATH)}
+                                    onUpdate={updateCrossoverElement}
+                                    onRemove={removeCrossoverElement}
+                                    onMove={moveElement}
+                                />
                             </div>
 
                             <div className="space-y-4 max-h-[800px] overflow-y-auto pr-2">
@@ -820,6 +928,14 @@ const IEMCrossoverSimulator = () => {
                                                 >
                                                     {driver.polarity ? '-180°' : '0°'}
                                                 </button>
+                                                <button
+                                                    onClick={() => saveToLibrary(driver)}
+                                                    className="text-gray-600 hover:text-blue-700 p-1"
+                                                    title="Save to driver library (replaces an entry with the same name)"
+                                                    aria-label={`Save ${driver.name} to the driver library`}
+                                                >
+                                                    <BookmarkPlus size={18} />
+                                                </button>
                                                 <button
                                                     onClick={() => removeDriver(idx)}
                                                     className="text-red-600 hover:text-red-800 p-1"
@@ -833,12 +949,13 @@ const IEMCrossoverSimulator = () => {
                                         <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
                                             <div>
                                                 <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor={`frd-file-${idx}`}>
-                                                    FRD File (Freq, SPL, Phase)
+                                                    FRD Files (Freq, SPL, Phase)
                                                 </label>
                                                 <input
                                                     id={`frd-file-${idx}`}
                                                     type="file"
-                                                    accept=".frd,.txt"
+                                                    accept=".frd,.txt,.csv"
+                                                    multiple
                                                     onChange={(e) => handleFileUpload(e, idx, 'frd')}
                                                     className="text-sm w-full file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
                                                 />
@@ -847,16 +964,55 @@ const IEMCrossoverSimulator = () => {
                                                         ✔ Loaded: {driver.frd.length} points
                                                     </span>
                                                 )}
+                                                {driver.frdMeasurements && driver.frdMeasurements.files.length > 1 && (
+                                                    <MeasurementList
+                                                        measurements={driver.frdMeasurements}
+                                                        onChange={(next) => updateMeasurements(idx, 'frd', next)}
+                                                    />
+                                                )}
+                                                {(imports[`${driver.id}:frd`] || []).map((entry, _, reports) => (
+                                                    <div key={entry.fileId}>
+                                                        {reports.length > 1 && (
+                                                            <span className="text-xs font-medium text-gray-600 mt-1 block truncate" title={entry.fileName}>
+                                                                {entry.fileName}
+                                                            </span>
+                                                        )}
+                                                        {entry.pointCount < 2 && (
+                                                            <span className="text-xs text-red-600 mt-1 block">
+                                                                No data rows found in {entry.fileName}
+                                                            </span>
+                                                        )}
+                                                        <ImportReport
+                                                            report={entry.report}
+                                                            type="frd"
+                                                            onRemap={(options) => applyImports(idx, 'frd', [entry], options)}
+                                                        />
+                                                    </div>
+                                                ))}
+                                                {driver.frd && (
+                                                    <select
+                                                        value={driver.frdExtrapolation ?? DEFAULT_EXTRAPOLATION}
+                                                        onChange={(e) => updateDriverField(idx, 'frdExtrapolation', e.target.value)}
+                                                        className="text-xs border border-gray-300 rounded-lg px-2 py-1 mt-1 bg-white w-full focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                                        aria-label="FRD extrapolation beyond the measured range"
+                                                        title="How the file is continued beyond its measured range"
+                                                    >
+                                                        {Object.entries(EXTRAPOLATION_MODELS).map(([key, label]) => (
+                                                            <option key={key} value={key}>Beyond data: {label}</option>
+                                                        ))}
+                                                    </select>
+                                                )}
                                             </div>
 
                                             <div>
                                                 <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor={`zma-file-${idx}`}>
-                                                    ZMA File (Freq, Z, Phase)
+                                                    ZMA Files (Freq, Z, Phase)
                                                 </label>
                                                 <input
                                                     id={`zma-file-${idx}`}
                                                     type="file"
-                                                    accept=".zma,.txt"
+                                                    accept=".zma,.txt,.csv"
+                                                    multiple
                                                     onChange={(e) => handleFileUpload(e, idx, 'zma')}
                                                     className="text-sm w-full file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-purple-50 file:text-purple-700 hover:file:bg-purple-100"
                                                 />
@@ -865,6 +1021,44 @@ const IEMCrossoverSimulator = () => {
                                                         ✔ Loaded: {driver.zma.length} points
                                                     </span>
                                                 )}
+                                                {driver.zmaMeasurements && driver.zmaMeasurements.files.length > 1 && (
+                                                    <MeasurementList
+                                                        measurements={driver.zmaMeasurements}
+                                                        onChange={(next) => updateMeasurements(idx, 'zma', next)}
+                                                    />
+                                                )}
+                                                {(imports[`${driver.id}:zma`] || []).map((entry, _, reports) => (
+                                                    <div key={entry.fileId}>
+                                                        {reports.length > 1 && (
+                                                            <span className="text-xs font-medium text-gray-600 mt-1 block truncate" title={entry.fileName}>
+                                                                {entry.fileName}
+                                                            </span>
+                                                        )}
+                                                        {entry.pointCount < 2 && (
+                                                            <span className="text-xs text-red-600 mt-1 block">
+                                                                No data rows found in {entry.fileName}
+                                                            </span>
+                                                        )}
+                                                        <ImportReport
+                                                            report={entry.report}
+                                                            type="zma"
+                                                            onRemap={(options) => applyImports(idx, 'zma', [entry], options)}
+                                                        />
+                                                    </div>
+                                                ))}
+                                                {driver.zma && (
+                                                    <select
+                                                        value={driver.zmaExtrapolation ?? DEFAULT_EXTRAPOLATION}
+                                                        onChange={(e) => updateDriverField(idx, 'zmaExtrapolation', e.target.value)}
+                                                        className="text-xs border border-gray-300 rounded-lg px-2 py-1 mt-1 bg-white w-full focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                                        aria-label="ZMA extrapolation beyond the measured range"
+                                                        title="How the file is continued beyond its measured range"
+                                                    >
+                                                        {Object.entries(ZMA_EXTRAPOLATION_MODELS).map(([key, label]) => (
+                                                            <option key={key} value={key}>Beyond data: {label}</option>
+                                                        ))}
+                                                    </select>
+                                                )}
                                             </div>
                                         </div>
 
@@ -882,130 +1076,188 @@ const IEMCrossoverSimulator = () => {
                                             </label>
                                         </div>
 
+                                        <div className="flex items-center gap-2 mb-3">
+                                            <input
+                                                id={`min-phase-check-${idx}`}
+                                                type="checkbox"
+                                                checked={!!driver.minimumPhase}
+                                                onChange={(e) => updateDriverField(idx, 'minimumPhase', e.target.checked)}
+                                                className="w-4 h-4 rounded text-blue-600 focus:ring-blue-500"
+                                            />
+                                            <label htmlFor={`min-phase-check-${idx}`} className="block text-sm font-medium text-gray-700">
+                                                Minimum phase from magnitude
+                                            </label>
+                                            {driver.frd && !hasPhaseData(driver.frd) && (
+                                                <span className="text-xs text-amber-600">FRD has no phase column</span>
+                                            )}
+                                        </div>
+
+                                        <div className="grid grid-cols-2 gap-3 mb-3">
+                                            <div>
+                                                <label className="block text-xs text-gray-500" htmlFor={`delay-${idx}`}>Delay</label>
+                                                <div className="flex gap-1">
+                                                    <input
+                                                        id={`delay-${idx}`}
+                                                        type="number"
+                                                        step={driver.delayUnit === 'mm' ? 0.1 : 1}
+                                                        value={driver.delay ?? 0}
+                                                        onChange={(e) => updateDriverField(idx, 'delay', parseFloat(e.target.value) || 0)}
+                                                        className="text-sm border border-gray-300 rounded-lg px-2 py-1 w-full focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                                    />
+                                                    <select
+                                                        value={driver.delayUnit ?? 'us'}
+                                                        onChange={(e) => updateDriverField(idx, 'delayUnit', e.target.value)}
+                                                        className="text-sm border border-gray-300 rounded-lg px-2 py-1 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                                        aria-label="Delay unit"
+                                                    >
+                                                        {Object.entries(DELAY_UNITS).map(([key, label]) => (
+                                                            <option key={key} value={key}>{label}</option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+                                            </div>
+                                            <div>
+                                                <label className="block text-xs text-gray-500" htmlFor={`trim-${idx}`}>Level trim (dB)</label>
+                                                <input
+                                                    id={`trim-${idx}`}
+                                                    type="number"
+                                                    step="0.1"
+                                                    value={driver.levelTrim ?? 0}
+                                                    onChange={(e) => updateDriverField(idx, 'levelTrim', parseFloat(e.target.value) || 0)}
+                                                    className="text-sm border border-gray-300 rounded-lg px-2 py-1 w-full focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                                />
+                                            </div>
+                                        </div>
+
 
                                         <div className="border-t-2 border-gray-300 pt-3 mt-3">
                                             <div className="flex justify-between items-center mb-3">
                                                 <h3 className="text-sm font-semibold">Crossover Elements</h3>
-                                                <button
-                                                    onClick={() => addCrossoverElement(idx)}
-                                                    className="text-xs px-3 py-1 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
-                                                >
-                                                    + Add Element
-                                                </button>
+                                                <div className="flex items-center gap-2">
+                                                    <div className="flex rounded-lg border border-gray-300 overflow-hidden text-xs" role="group" aria-label="Network topology">
+                                                        <button
+                                                            onClick={() => driver.netlist && convertDriverToLadder(idx)}
+                                                            className={`px-2 py-1 ${!driver.netlist ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+                                                        >
+                                                            Ladder
+                                                        </button>
+                                                        <button
+                                                            onClick={() => !driver.netlist && convertDriverToNetlist(idx)}
+                                                            className={`px-2 py-1 ${driver.netlist ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+                                                        >
+                                                            Netlist
+                                                        </button>
+                                                    </div>
+                                                    {!driver.netlist && (
+                                                        <button
+                                                            onClick={() => addCrossoverElement(idx)}
+                                                            className="text-xs px-3 py-1 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                                                        >
+                                                            + Add Element
+                                                        </button>
+                                                    )}
+                                                </div>
                                             </div>
 
-                                            <div className="space-y-2">
-                                                {crossoverElements
-                                                    .filter(el => el.driverIndex === idx)
-                                                    .sort((a, b) => a.order - b.order)
-                                                    .map((element, elemIdx, arr) => (
-                                                        <div key={element.id} className="p-3 rounded-lg border border-gray-200 bg-white">
-                                                            <div className="flex gap-2 items-center">
-                                                                <div className="flex flex-col gap-1">
-                                                                    <button
-                                                                        onClick={() => moveElement(element.id, 'up')}
-                                                                        disabled={elemIdx === 0}
-                                                                        className="p-1 hover:bg-gray-100 rounded disabled:opacity-30 disabled:cursor-not-allowed"
-                                                                        aria-label="Move element up"
-                                                                    >
-                                                                        <ChevronUp size={16} />
-                                                                    </button>
-                                                                    <button
-                                                                        onClick={() => moveElement(element.id, 'down')}
-                                                                        disabled={elemIdx === arr.length - 1}
-                                                                        className="p-1 hover:bg-gray-100 rounded disabled:opacity-30 disabled:cursor-not-allowed"
-                                                                        aria-label="Move element down"
-                                                                    >
-                                                                        <ChevronDown size={16} />
-                                                                    </button>
-                                                                </div>
-
-                                                                <select
-                                                                    value={element.type}
-                                                                    onChange={(e) => updateCrossoverElement(element.id, 'type', e.target.value)}
-                                                                    className="text-sm border border-gray-300 rounded-lg px-2 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
-                                                                    aria-label="Element type"
-                                                                >
-                                                                    <option value="capacitor">Capacitor</option>
-                                                                    <option value="inductor">Inductor</option>
-                                                                    <option value="resistor">Resistor</option>
-                                                                </select>
-
-                                                                <input
-                                                                    type="number"
-                                                                    step="0.1"
-                                                                    value={element.value}
-                                                                    onChange={(e) => updateCrossoverElement(element.id, 'value', parseFloat(e.target.value) || 0)}
-                                                                    className="text-sm border border-gray-300 rounded-lg px-2 py-2 w-24 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                                                                    aria-label="Element value"
-                                                                />
-                                                                <span className="text-xs text-gray-600 font-medium min-w-[35px]">
-                                                                    {getUnitLabel(element.type)}
-                                                                </span>
-
-                                                                <select
-                                                                    value={element.series}
-                                                                    onChange={(e) => updateCrossoverElement(element.id, 'series', e.target.value === 'true')}
-                                                                    className="text-sm border border-gray-300 rounded-lg px-2 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
-                                                                    aria-label="Element position"
-                                                                >
-                                                                    <option value="true">Series</option>
-                                                                    <option value="false">Parallel</option>
-                                                                </select>
-
-                                                                <button
-                                                                    onClick={() => removeCrossoverElement(element.id)}
-                                                                    className="text-red-600 hover:text-red-800 ml-auto p-1"
-                                                                    aria-label="Remove element"
-                                                                >
-                                                                    <Trash2 size={16} />
-                                                                </button>
-                                                            </div>
-
-                                                            {/* NEW: DCR and ESR Inputs */}
-                                                            <div className="mt-2 flex gap-4">
-                                                                {element.type === 'inductor' && (
-                                                                    <div className="flex-1">
-                                                                        <label className="text-xs text-gray-500">DCR (Ohm)</label>
-                                                                        <input
-                                                                            type="number"
-                                                                            step="0.01"
-                                                                            value={element.dcr}
-                                                                            onChange={(e) => updateCrossoverElement(element.id, 'dcr', parseFloat(e.target.value) || 0)}
-                                                                            className="text-sm border border-gray-300 rounded-lg px-2 py-1 w-full focus:outline-none focus:ring-2 focus:ring-blue-500"
-                                                                        />
-                                                                    </div>
-                                                                )}
-                                                                {element.type === 'capacitor' && (
-                                                                    <div className="flex-1">
-                                                                        <label className="text-xs text-gray-500">ESR (Ohm)</label>
-                                                                        <input
-                                                                            type="number"
-                                                                            step="0.01"
-                                                                            value={element.esr}
-                                                                            onChange={(e) => updateCrossoverElement(element.id, 'esr', parseFloat(e.target.value) || 0)}
-                                                                            className="text-sm border border-gray-300 rounded-lg px-2 py-1 w-full focus:outline-none focus:ring-2 focus:ring-blue-500"
-                                                                        />
-                                                                    </div>
-                                                                )}
-                                                            </div>
-                                                        </div>
-                                                    ))}
-                                            </div>
+                                            {driver.netlist ? (
+                                                <NetlistEditor
+                                                    netlist={driver.netlist}
+                                                    onChange={(netlist, key) => updateDriverField(idx, 'netlist', netlist, key)}
+                                                />
+                                            ) : (
+                                                <ElementLadder
+                                                    elements={crossoverElements.filter(el => el.driverIndex === idx)}
+                                                    onUpdate={updateCrossoverElement}
+                                                    onRemove={removeCrossoverElement}
+                                                    onMove={moveElement}
+                                                />
+                                            )}
+                                        </div>
+
+                                        <div className="border-t-2 border-gray-300 pt-3 mt-3">
+                                            <h3 className="text-sm font-semibold mb-3">Acoustic Path</h3>
+                                            <AcousticPathEditor
+                                                path={driver.acousticPath}
+                                                onChange={(path, key) => updateDriverField(idx, 'acousticPath', path, key)}
+                                            />
+                                        </div>
+
+                                        <div className="border-t-2 border-gray-300 pt-3 mt-3">
+                                            <h3 className="text-sm font-semibold mb-3">Impedance Model</h3>
+                                            <ImpedanceModelEditor
+                                                model={driver.impedanceModel ?? null}
+                                                zma={driver.zma}
+                                                onChange={(model, key) => updateDriverField(idx, 'impedanceModel', model, key && `driver:${idx}:${key}`)}
+                                            />
                                         </div>
                                     </div>
                                 ))}
                             </div>
                         </div>
+
+                        <FilterWizard drivers={drivers} onInsert={insertCrossoverElements} />
+
+                        <CompensationPanel drivers={drivers} onInsert={insertCrossoverElements} />
                     </div>
 
                     {/* Simulation Panel */}
                     <div className="space-y-4">
                         <div className="bg-white rounded-xl shadow-lg p-6">
+                            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4 items-end">
+                                <div>
+                                    <label htmlFor="grid-start" className="block text-xs text-gray-500">Start (Hz)</label>
+                                    <input
+                                        id="grid-start"
+                                        type="number"
+                                        step="1"
+                                        min={FREQUENCY_GRID_LIMITS.minFrequency}
+                                        max={FREQUENCY_GRID_LIMITS.maxFrequency}
+                                        value={frequencyGrid.start}
+                                        onChange={(e) => updateFrequencyGrid('start', Math.min(FREQUENCY_GRID_LIMITS.maxFrequency, Math.max(FREQUENCY_GRID_LIMITS.minFrequency, parseFloat(e.target.value) || FREQUENCY_GRID_LIMITS.minFrequency)))}
+                                        className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    />
+                                </div>
+                                <div>
+                                    <label htmlFor="grid-stop" className="block text-xs text-gray-500">Stop (Hz)</label>
+                                    <input
+                                        id="grid-stop"
+                                        type="number"
+                                        step="1000"
+                                        min={FREQUENCY_GRID_LIMITS.minFrequency}
+                                        max={FREQUENCY_GRID_LIMITS.maxFrequency}
+                                        value={frequencyGrid.stop}
+                                        onChange={(e) => updateFrequencyGrid('stop', Math.min(FREQUENCY_GRID_LIMITS.maxFrequency, Math.max(FREQUENCY_GRID_LIMITS.minFrequency, parseFloat(e.target.value) || FREQUENCY_GRID_LIMITS.maxFrequency)))}
+                                        className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    />
+                                </div>
+                                <div>
+                                    <label htmlFor="grid-ppo" className="block text-xs text-gray-500">Points / Octave</label>
+                                    <input
+                                        id="grid-ppo"
+                                        type="number"
+                                        step="any"
+                                        min="1"
+                                        max={FREQUENCY_GRID_LIMITS.maxPointsPerOctave}
+                                        value={Number(frequencyGrid.pointsPerOctave.toFixed(2))}
+                                        disabled={frequencyGrid.useMeasured}
+                                        onChange={(e) => updateFrequencyGrid('pointsPerOctave', Math.min(FREQUENCY_GRID_LIMITS.maxPointsPerOctave, Math.max(1, parseFloat(e.target.value) || 1)))}
+                                        className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                                    />
+                                </div>
+                                <label className="flex items-center gap-2 text-sm text-gray-700 pb-1" title="Simulate at every FRD/ZMA frequency inside the range">
+                                    <input
+                                        type="checkbox"
+                                        checked={frequencyGrid.useMeasured}
+                                        onChange={(e) => updateFrequencyGrid('useMeasured', e.target.checked)}
+                                    />
+                                    Measured frequencies
+                                </label>
+                            </div>
+                            {gridError && <p className="text-xs text-red-600 -mt-2 mb-4">{gridError}</p>}
                             <div className="flex gap-3 mb-6">
                                 <button
                                     onClick={runSimulation}
-                                    disabled={drivers.length === 0}
+                                    disabled={drivers.length === 0 || !!gridError}
                                     className="flex items-center justify-center gap-2 px-6 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed flex-1 transition-colors font-semibold"
                                 >
                                     <Play size={20} /> Run Simulation
@@ -1024,122 +1276,286 @@ const IEMCrossoverSimulator = () => {
                             {simulationData && (
                                 <div className="space-y-4">
                                     <div className="flex gap-2 flex-wrap">
-                                        <button
-                                            onClick={() => setActiveTab('magnitude')}
-                                            className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'magnitude'
-                                                ? 'bg-blue-600 text-white shadow-md'
-                                                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-                                                }`}
-                                        >
-                                            Magnitude Response
-                                        </button>
-                                        <button
-                                            onClick={() => setActiveTab('individual')}
-                                            className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'individual'
-                                                ? 'bg-blue-600 text-white shadow-md'
-                                                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-                                                }`}
-                                        >
-                                            Individual Drivers
-                                        </button>
-                                        <button
-                                            onClick={() => setActiveTab('impedance')}
-                                            className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'impedance'
-                                                ? 'bg-blue-600 text-white shadow-md'
-                                                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-                                                }`}
-                                        >
-                                            Impedance
-                                        </button>
-                                        <button
-                                            onClick={() => setActiveTab('phase')}
-                                            className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === 'phase'
-                                                ? 'bg-blue-600 text-white shadow-md'
-                                                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-                                                }`}
-                                        >
-                                            Phase Response
-                                        </button>
+                                        {CHART_TABS.map(tab => (
+                                            <button
+                                                key={tab.key}
+                                                onClick={() => setActiveTab(tab.key)}
+                                                className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${activeTab === tab.key
+                                                    ? 'bg-blue-600 text-white shadow-md'
+                                                    : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                                                    }`}
+                                            >
+                                                {tab.label}
+                                            </button>
+                                        ))}
+                                        {PHASE_TABS.includes(activeTab) && (
+                                            <label className="flex items-center gap-2 text-sm text-gray-700 ml-auto">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={phaseUnwrapped}
+                                                    onChange={(e) => setPhaseUnwrapped(e.target.checked)}
+                                                />
+                                                Unwrapped phase
+                                            </label>
+                                        )}
                                     </div>
 
-                                    <div className="bg-gray-50 rounded-lg p-4 border-2 border-gray-200">
-                                        <ResponsiveContainer width="100%" height={500}>
-                                            <LineChart data={simulationData}>
-                                                <CartesianGrid strokeDasharray="3 3" stroke="#ccc" />
-                                                <XAxis
-                                                    dataKey="freq"
-                                                    type="number"
-                                                    scale="log"
-                                                    domain={[20, 20000]}
-                                                    ticks={[20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000]}
-                                                    tickFormatter={(value) => value >= 1000 ? `${value / 1000}k` : value}
-                                                    label={{ value: 'Frequency (Hz)', position: 'insideBottom', offset: -10 }}
-                                                    stroke="#666"
-                                                />
-                                                <YAxis
-                                                    label={{ value: getYAxisLabel(), angle: -90, position: 'insideLeft' }}
-                                                    domain={getYAxisDomain()}
-                                                    stroke="#666"
-                                                />
-                                                <Tooltip
-                                                    contentStyle={{ backgroundColor: 'rgba(255, 255, 255, 0.95)', border: '1px solid #ccc', borderRadius: '8px' }}
-                                                    formatter={(value) => {
-                                                        if (activeTab === 'impedance') return `${value.toFixed(2)} Ohm`;
-                                                        if (activeTab === 'phase') return `${value.toFixed(1)} deg`;
-                                                        return `${value.toFixed(2)} dB`;
-                                                    }}
-                                                    labelFormatter={(value) => `${value.toFixed(0)} Hz`}
-                                                />
-                                                <Legend />
-
-                                                {activeTab === 'magnitude' && (
-                                                    <Line
-                                                        type="monotone"
-                                                        dataKey="total_spl"
-                                                        stroke="#2563eb"
-                                                        strokeWidth={3}
-                                                        name="Total Response"
-                                                        dot={false}
+                                    {activeTab === 'time' ? (
+                                        <TimeResponseChart
+                                            points={simulationData}
+                                            drivers={drivers}
+                                            onExport={(csv) => downloadFile(csv, 'iem_time_response.csv', 'text/csv')}
+                                        />
+                                    ) : (
+                                        <div className="bg-gray-50 rounded-lg p-4 border-2 border-gray-200">
+                                            <ResponsiveContainer width="100%" height={500}>
+                                                <ComposedChart data={chartData}>
+                                                    <CartesianGrid strokeDasharray="3 3" stroke="#ccc" />
+                                                    <XAxis
+                                                        dataKey="freq"
+                                                        type="number"
+                                                        scale="log"
+                                                        domain={frequencyDomain}
+                                                        ticks={getFrequencyTicks(...frequencyDomain)}
+                                                        tickFormatter={(value) => value >= 1000 ? `${value / 1000}k` : value}
+                                                        label={{ value: 'Frequency (Hz)', position: 'insideBottom', offset: -10 }}
+                                                        stroke="#666"
                                                     />
-                                                )}
-
-                                                {activeTab === 'individual' && drivers.map((driver, idx) => (
-                                                    <Line
-                                                        key={idx}
-                                                        type="monotone"
-                                                        dataKey={`driver${idx}_spl`}
-                                                        stroke={`hsl(${idx * 360 / Math.max(drivers.length, 1)}, 70%, 50%)`}
-                                                        strokeWidth={2}
-                                                        name={driver.name}
-                                                        dot={false}
-                                                        strokeDasharray={driver.polarity ? "5 5" : "0"}
+                                                    <YAxis
+                                                        label={{ value: getYAxisLabel(), angle: -90, position: 'insideLeft' }}
+                                                        domain={getYAxisDomain()}
+                                                        allowDataOverflow={activeTab === 'groupDelay'}
+                                                        stroke="#666"
                                                     />
-                                                ))}
-
-                                                {activeTab === 'impedance' && (
-                                                    <Line
-                                                        type="monotone"
-                                                        dataKey="total_impedance"
-                                                        stroke="#10b981"
-                                                        strokeWidth={3}
-                                                        name="Total Impedance"
-                                                        dot={false}
+                                                    <Tooltip
+                                                        contentStyle={{ backgroundColor: 'rgba(255, 255, 255, 0.95)', border: '1px solid #ccc', borderRadius: '8px' }}
+                                                        formatter={(value) => {
+                                                            if (Array.isArray(value)) return `${value[0].toFixed(2)} – ${value[1].toFixed(2)} dB`;
+                                                            if (activeTab === 'impedance') return `${value.toFixed(2)} Ohm`;
+                                                            if (PHASE_TABS.includes(activeTab)) return `${value.toFixed(1)} deg`;
+                                                            if (activeTab === 'groupDelay') return `${value.toFixed(3)} ms`;
+                                                            return `${value.toFixed(2)} dB`;
+                                                        }}
+                                                        labelFormatter={(value) => `${value.toFixed(0)} Hz`}
                                                     />
-                                                )}
+                                                    <Legend />
+
+                                                    {activeTab === 'magnitude' && (
+                                                        <Line
+                                                            type="monotone"
+                                                            dataKey="total_spl"
+                                                            stroke="#2563eb"
+                                                            strokeWidth={3}
+                                                            name="Total Response"
+                                                            dot={false}
+                                                        />
+                                                    )}
+
+                                                    {activeTab === 'magnitude' && hasExtrapolation('total_spl') && (
+                                                        <Line
+                                                            type="monotone"
+                                                            dataKey="total_spl_extrapolated_value"
+                                                            stroke="#2563eb"
+                                                            strokeWidth={2}
+                                                            strokeDasharray="2 4"
+                                                            strokeOpacity={0.6}
+                                                            name="Total Response (extrapolated)"
+                                                            dot={false}
+                                                        />
+                                                    )}
+
+                                                    {activeTab === 'magnitude' && target && (
+                                                        <Line
+                                                            type="monotone"
+                                                            dataKey="target_spl"
+                                                            stroke="#f59e0b"
+                                                            strokeWidth={2}
+                                                            strokeDasharray="6 4"
+                                                            name={`Target (${target.name})`}
+                                                            dot={false}
+                                                        />
+                                                    )}
+
+                                                    {activeTab === 'individual' && drivers.map((driver, idx) => (
+                                                        <Area
+                                                            key={`spread-${idx}`}
+                                                            type="monotone"
+                                                            dataKey={`driver${idx}_spl_band`}
+                                                            stroke="none"
+                                                            fill={`hsl(${idx * 360 / Math.max(drivers.length, 1)}, 70%, 50%)`}
+                                                            fillOpacity={0.15}
+                                                            name={`${driver.name} (spread)`}
+                                                            legendType="none"
+                                                            isAnimationActive={false}
+                                                        />
+                                                    ))}
 
-                                                {activeTab === 'phase' && (
-                                                    <Line
-                                                        type="monotone"
-                                                        dataKey="total_phase"
-                                                        stroke="#8b5cf6"
-                                                        strokeWidth={3}
-                                                        name="Total Phase"
-                                                        dot={false}
-                                                    />
-                                                )}
-                                            </LineChart>
-                                        </ResponsiveContainer>
-                                    </div>
+                                                    {activeTab === 'individual' && drivers.map((driver, idx) => (
+                                                        <Line
+                                                            key={idx}
+                                                            type="monotone"
+                                                            dataKey={`driver${idx}_spl`}
+                                                            stroke={`hsl(${idx * 360 / Math.max(drivers.length, 1)}, 70%, 50%)`}
+                                                            strokeWidth={2}
+                                                            name={driver.name}
+                                                            dot={false}
+                                                            strokeDasharray={driver.polarity ? "5 5" : "0"}
+                                                        />
+                                                    ))}
+
+                                                    {activeTab === 'individual' && drivers.map((driver, idx) => (
+                                                        <Line
+                                                            key={`extrapolated-${idx}`}
+                                                            type="monotone"
+                                                            dataKey={`driver${idx}_spl_extrapolated_value`}
+                                                            stroke={`hsl(${idx * 360 / Math.max(drivers.length, 1)}, 70%, 50%)`}
+                                                            strokeWidth={1.5}
+                                                            strokeDasharray="2 4"
+                                                            strokeOpacity={0.6}
+                                                            name={`${driver.name} (extrapolated)`}
+                                                            legendType="none"
+                                                            dot={false}
+                                                        />
+                                                    ))}
+
+                                                    {activeTab === 'impedance' && (
+                                                        <Line
+                                                            type="monotone"
+                                                            dataKey="total_impedance"
+                                                            stroke="#10b981"
+                                                            strokeWidth={3}
+                                                            name="Total Impedance"
+                                                            dot={false}
+                                                        />
+                                                    )}
+
+                                                    {activeTab === 'impedance' && hasExtrapolation('total_impedance') && (
+                                                        <Line
+                                                            type="monotone"
+                                                            dataKey="total_impedance_extrapolated_value"
+                                                            stroke="#10b981"
+                                                            strokeWidth={2}
+                                                            strokeDasharray="2 4"
+                                                            strokeOpacity={0.6}
+                                                            name="Total Impedance (extrapolated)"
+                                                            dot={false}
+                                                        />
+                                                    )}
+
+                                                    {activeTab === 'phase' && (
+                                                        <Line
+                                                            type="monotone"
+                                                            dataKey="total_phase"
+                                                            stroke="#8b5cf6"
+                                                            strokeWidth={3}
+                                                            name="Total Impedance Phase"
+                                                            dot={false}
+                                                        />
+                                                    )}
+
+                                                    {activeTab === 'acoustic' && (
+                                                        <Line
+                                                            type="monotone"
+                                                            dataKey="total_spl_phase"
+                                                            stroke="#2563eb"
+                                                            strokeWidth={3}
+                                                            name="Total Acoustic Phase"
+                                                            dot={false}
+                                                        />
+                                                    )}
+
+                                                    {activeTab === 'groupDelay' && (
+                                                        <Line
+                                                            type="monotone"
+                                                            dataKey="total_group_delay"
+                                                            stroke="#2563eb"
+                                                            strokeWidth={3}
+                                                            name="Total Group Delay"
+                                                            dot={false}
+                                                        />
+                                                    )}
+
+                                                    {(activeTab === 'acoustic' || activeTab === 'groupDelay') && drivers.map((driver, idx) => (
+                                                        <Line
+                                                            key={idx}
+                                                            type="monotone"
+                                                            dataKey={activeTab === 'acoustic' ? `driver${idx}_spl_phase` : `driver${idx}_group_delay`}
+                                                            stroke={`hsl(${idx * 360 / Math.max(drivers.length, 1)}, 70%, 50%)`}
+                                                            strokeWidth={1.5}
+                                                            name={driver.name}
+                                                            dot={false}
+                                                            strokeDasharray={driver.polarity ? "5 5" : "0"}
+                                                        />
+                                                    ))}
+
+                                                    {activeTab === 'excess' && (
+                                                        <Line
+                                                            type="monotone"
+                                                            dataKey="total_excess_phase"
+                                                            stroke="#dc2626"
+                                                            strokeWidth={3}
+                                                            name="Excess Phase"
+                                                            dot={false}
+                                                        />
+                                                    )}
+
+                                                    {activeTab === 'excess' && (
+                                                        <Line
+                                                            type="monotone"
+                                                            dataKey="total_min_phase"
+                                                            stroke="#6b7280"
+                                                            strokeWidth={2}
+                                                            strokeDasharray="6 4"
+                                                            name="Minimum Phase (of total magnitude)"
+                                                            dot={false}
+                                                        />
+                                                    )}
+
+                                                    {activeTab === 'excess' && (
+                                                        <Line
+                                                            type="monotone"
+                                                            dataKey="total_spl_phase"
+                                                            stroke="#2563eb"
+                                                            strokeWidth={1.5}
+                                                            name="Total Acoustic Phase"
+                                                            dot={false}
+                                                        />
+                                                    )}
+                                                </ComposedChart>
+                                            </ResponsiveContainer>
+                                        </div>
+                                    )}
+
+                                    {activeTab === 'magnitude' && deviation && (
+                                        <div className="border border-amber-200 bg-amber-50 rounded-lg p-4">
+                                            <div className="flex justify-between items-center mb-2">
+                                                <h3 className="text-sm font-semibold">Deviation from Target</h3>
+                                                <span className="text-sm font-semibold text-amber-800">
+                                                    Weighted RMS: {deviation.weightedRms.toFixed(2)} dB
+                                                </span>
+                                            </div>
+                                            <table className="w-full text-sm">
+                                                <thead>
+                                                    <tr className="text-left text-gray-600">
+                                                        <th className="font-medium py-1">Band</th>
+                                                        <th className="font-medium py-1">Range</th>
+                                                        <th className="font-medium py-1 text-right">Mean</th>
+                                                        <th className="font-medium py-1 text-right">RMS</th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {deviation.bands.map(band => (
+                                                        <tr key={band.key} className="border-t border-amber-100">
+                                                            <td className="py-1">{band.name}</td>
+                                                            <td className="py-1 text-gray-600">{band.min}–{band.max >= 1000 ? `${band.max / 1000}k` : band.max} Hz</td>
+                                                            <td className="py-1 text-right">{formatDb(band.mean)}</td>
+                                                            <td className="py-1 text-right">{band.rms === null ? '-' : `${band.rms.toFixed(2)} dB`}</td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        </div>
+                                    )}
                                 </div>
                             )}
 
@@ -1151,6 +1567,83 @@ const IEMCrossoverSimulator = () => {
                                 </div>
                             )}
                         </div>
+
+                        {/* Target Curve */}
+                        <div className="bg-white rounded-xl shadow-lg p-6">
+                            <div className="flex justify-between items-center mb-4">
+                                <h2 className="text-xl font-semibold">Target Curve</h2>
+                                {target && (
+                                    <button
+                                        onClick={() => setTarget(null)}
+                                        className="text-red-600 hover:text-red-800 p-1"
+                                        aria-label="Remove target curve"
+                                    >
+                                        <Trash2 size={18} />
+                                    </button>
+                                )}
+                            </div>
+                            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="target-file">
+                                        Target File (FRD/CSV)
+                                    </label>
+                                    <input
+                                        id="target-file"
+                                        type="file"
+                                        accept=".frd,.txt,.csv"
+                                        onChange={handleTargetUpload}
+                                        className="text-sm w-full file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-amber-50 file:text-amber-700 hover:file:bg-amber-100"
+                                    />
+                                    {target && (
+                                        <span className="text-xs text-green-600 mt-1 block">
+                                            ✔ {target.name}: {target.points.length} points
+                                        </span>
+                                    )}
+                                    {targetError && (
+                                        <span className="text-xs text-red-600 mt-1 block">{targetError}</span>
+                                    )}
+                                </div>
+                                <div>
+                                    <label htmlFor="target-offset" className="block text-sm font-medium text-gray-700 mb-1">
+                                        Level Offset (dB)
+                                    </label>
+                                    <input
+                                        id="target-offset"
+                                        type="number"
+                                        step="0.5"
+                                        value={target ? target.offset : DEFAULT_TARGET_SETTINGS.offset}
+                                        disabled={!target}
+                                        onChange={(e) => updateTargetField('offset', parseFloat(e.target.value) || 0)}
+                                        className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                                    />
+                                </div>
+                                <div>
+                                    <label htmlFor="target-tilt" className="block text-sm font-medium text-gray-700 mb-1">
+                                        Tilt (dB/octave @ 1 kHz)
+                                    </label>
+                                    <input
+                                        id="target-tilt"
+                                        type="number"
+                                        step="0.1"
+                                        value={target ? target.tilt : DEFAULT_TARGET_SETTINGS.tilt}
+                                        disabled={!target}
+                                        onChange={(e) => updateTargetField('tilt', parseFloat(e.target.value) || 0)}
+                                        className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                                    />
+                                </div>
+                            </div>
+                        </div>
+
+                        <OptimizerPanel
+                            design={design}
+                            sourceVoltage={getSourceVoltage(sourcePreset, customVoltage)}
+                            onAccept={applyOptimizedValues}
+                        />
+
+                        <TolerancePanel
+                            design={design}
+                            sourceVoltage={getSourceVoltage(sourcePreset, customVoltage)}
+                        />
                     </div>
                 </div>
 
@@ -0,0 +1,133 @@
+import React, { useId } from 'react';
+import { Trash2 } from 'lucide-react';
+
+import { ACOUSTIC_SOURCES, DAMPER_RATINGS, DEFAULT_ACOUSTIC_PATH } from '../engine';
+
+const inputClass = 'text-sm border border-gray-300 rounded-lg px-2 py-1 w-full focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const NEW_ELEMENTS = {
+    tube: { type: 'tube', length: 10, diameter: 1.0 },
+    damper: { type: 'damper', rating: 1500 },
+    bore: { type: 'bore', length: 5, diameter: 1.5 }
+};
+
+const ELEMENT_LABELS = { tube: 'Tube', damper: 'Damper', bore: 'Nozzle bore' };
+
+/**
+ * Editor for a driver's acoustic path: tubes, dampers and the nozzle bore,
+ * listed from the driver to the ear. Changes are reported as
+ * `onChange(path, historyKey)`; an empty path is reported as null.
+ */
+const AcousticPathEditor = ({ path, onChange }) => {
+    const current = path || DEFAULT_ACOUSTIC_PATH;
+    const ratingsId = useId();
+
+    const update = (next, key) => {
+        onChange(next.elements.length > 0 ? next : null, key);
+    };
+
+    const updateElement = (id, field, value) => {
+        update({
+            ...current,
+            elements: current.elements.map(el => el.id === id ? { ...el, [field]: value } : el)
+        }, `acoustic:${id}:${field}`);
+    };
+
+    const addElement = (type) => {
+        update({ ...current, elements: [...current.elements, { ...NEW_ELEMENTS[type], id: Date.now() }] });
+    };
+
+    const removeElement = (id) => {
+        update({ ...current, elements: current.elements.filter(el => el.id !== id) });
+    };
+
+    return (
+        <div className="space-y-2">
+            <datalist id={ratingsId}>
+                {DAMPER_RATINGS.map(rating => <option key={rating} value={rating} />)}
+            </datalist>
+
+            {current.elements.length > 0 && (
+                <select
+                    value={current.source}
+                    onChange={(e) => update({ ...current, source: e.target.value })}
+                    className="text-sm border border-gray-300 rounded-lg px-2 py-1 bg-white w-full focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    aria-label="Acoustic source type"
+                >
+                    {Object.entries(ACOUSTIC_SOURCES).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                    ))}
+                </select>
+            )}
+
+            {current.elements.map(element => (
+                <div key={element.id} className="p-3 rounded-lg border border-gray-200 bg-white flex gap-3 items-end">
+                    <span className="text-sm font-medium w-24 pb-1">{ELEMENT_LABELS[element.type]}</span>
+                    {element.type === 'damper' ? (
+                        <div className="flex-1">
+                            <label className="text-xs text-gray-500">Rating (acoustic Ohm)</label>
+                            <input
+                                type="number"
+                                step="10"
+                                min="0"
+                                list={ratingsId}
+                                value={element.rating}
+                                onChange={(e) => updateElement(element.id, 'rating', parseFloat(e.target.value) || 0)}
+                                className={inputClass}
+                            />
+                        </div>
+                    ) : (
+                        <>
+                            <div className="flex-1">
+                                <label className="text-xs text-gray-500">Length (mm)</label>
+                                <input
+                                    type="number"
+                                    step="0.5"
+                                    min="0"
+                                    value={element.length}
+                                    onChange={(e) => updateElement(element.id, 'length', parseFloat(e.target.value) || 0)}
+                                    className={inputClass}
+                                />
+                            </div>
+                            <div className="flex-1">
+                                <label className="text-xs text-gray-500">Diameter (mm)</label>
+                                <input
+                                    type="number"
+                                    step="0.1"
+                                    min="0.1"
+                                    value={element.diameter}
+                                    onChange={(e) => updateElement(element.id, 'diameter', parseFloat(e.target.value) || 0.1)}
+                                    className={inputClass}
+                                />
+                            </div>
+                        </>
+                    )}
+                    <button
+                        onClick={() => removeElement(element.id)}
+                        className="text-red-600 hover:text-red-800 p-1"
+                        aria-label="Remove acoustic element"
+                    >
+                        <Trash2 size={16} />
+                    </button>
+                </div>
+            ))}
+
+            <div className="flex items-center justify-between gap-2">
+                <p className="text-xs text-gray-500">Driver → ear</p>
+                <div className="flex gap-2">
+                    {Object.keys(NEW_ELEMENTS).map(type => (
+                        <button
+                            key={type}
+                            onClick={() => addElement(type)}
+                            className="text-xs px-3 py-1 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                        >
+                            + {ELEMENT_LABELS[type]}
+                        </button>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AcousticPathEditor;
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Activity } from 'lucide-react';
+
+import { analyzeImpedance, compensateImpedance, designNotch, designZobel } from '../engine';
+
+const roundValue = (value) => Number(value.toPrecision(3));
+
+const describeBranch = (branch) => [
+    `${roundValue(branch.resistance)} Ohm`,
+    branch.inductance > 0 && `${roundValue(branch.inductance)} mH`,
+    branch.capacitance > 0 && `${roundValue(branch.capacitance)} uF`
+].filter(Boolean).join(' + ');
+
+/**
+ * Proposes a Zobel and/or resonance notch for a driver's ZMA, plots the
+ * compensated impedance against the raw curve and hands the branches to
+ * `onInsert(driverIndex, elements, replace)`.
+ */
+const CompensationPanel = ({ drivers, onInsert }) => {
+    const [driverIndex, setDriverIndex] = useState(0);
+    const [useZobel, setUseZobel] = useState(true);
+    const [useNotch, setUseNotch] = useState(true);
+
+    const candidates = drivers
+        .map((driver, idx) => ({ driver, idx }))
+        .filter(({ driver }) => driver.zma && driver.zma.length > 0);
+
+    if (candidates.length === 0) return null;
+
+    const selected = candidates.find(c => c.idx === driverIndex) || candidates[0];
+
+    let analysis = null;
+    let error = null;
+    try {
+        analysis = analyzeImpedance(selected.driver.zma);
+    } catch (err) {
+        error = err.message;
+    }
+
+    const zobel = analysis && useZobel ? designZobel(analysis) : null;
+    const notch = analysis && useNotch ? designNotch(analysis) : null;
+    const branches = [zobel, notch].filter(Boolean).map(branch => ({
+        ...branch,
+        resistance: roundValue(branch.resistance),
+        inductance: roundValue(branch.inductance),
+        capacitance: roundValue(branch.capacitance)
+    }));
+    const curves = analysis ? compensateImpedance(selected.driver.zma, branches) : [];
+
+    return (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+            <div className="flex items-center gap-2 mb-4">
+                <Activity className="text-purple-600" size={22} />
+                <h2 className="text-xl font-semibold">Impedance Compensation</h2>
+            </div>
+
+            <div className="flex flex-wrap items-end gap-4 mb-4">
+                <div>
+                    <label htmlFor="comp-driver" className="block text-sm font-medium text-gray-700 mb-1">Driver</label>
+                    <select
+                        id="comp-driver"
+                        value={selected.idx}
+                        onChange={(e) => setDriverIndex(parseInt(e.target.value, 10))}
+                        className="text-sm border border-gray-300 rounded-lg px-2 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        {candidates.map(({ driver, idx }) => (
+                            <option key={driver.id} value={idx}>{driver.name}</option>
+                        ))}
+                    </select>
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={useZobel}
+                        onChange={(e) => setUseZobel(e.target.checked)}
+                        className="w-4 h-4 rounded text-blue-600 focus:ring-blue-500"
+                    />
+                    Zobel
+                </label>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={useNotch}
+                        onChange={(e) => setUseNotch(e.target.checked)}
+                        className="w-4 h-4 rounded text-blue-600 focus:ring-blue-500"
+                    />
+                    Resonance Notch
+                </label>
+            </div>
+
+            {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+            {analysis && (
+                <div className="text-sm text-gray-700 space-y-1 mb-4">
+                    <p>
+                        Re ≈ {analysis.re.toFixed(2)} Ohm, Le ≈ {(analysis.le * 1e3).toFixed(3)} mH
+                        {analysis.peak
+                            ? `, resonance at ${analysis.peak.freq.toFixed(0)} Hz (${analysis.peak.zmax.toFixed(1)} Ohm)`
+                            : ', no resonance peak found'}
+                    </p>
+                    {zobel && <p>Zobel: {describeBranch(zobel)} across the driver</p>}
+                    {useNotch && !notch && <p className="text-gray-500">No notch needed.</p>}
+                    {notch && <p>Notch: {describeBranch(notch)} across the driver</p>}
+                </div>
+            )}
+
+            {curves.length > 0 && (
+                <div className="bg-gray-50 rounded-lg p-2 border border-gray-200 mb-4">
+                    <ResponsiveContainer width="100%" height={240}>
+                        <LineChart data={curves}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#ccc" />
+                            <XAxis
+                                dataKey="freq"
+                                type="number"
+                                scale="log"
+                                domain={['dataMin', 'dataMax']}
+                                tickFormatter={(value) => value >= 1000 ? `${(value / 1000).toFixed(0)}k` : value.toFixed(0)}
+                                stroke="#666"
+                            />
+                            <YAxis domain={[0, 'auto']} stroke="#666" />
+                            <Tooltip
+                                formatter={(value) => `${value.toFixed(2)} Ohm`}
+                                labelFormatter={(value) => `${value.toFixed(0)} Hz`}
+                            />
+                            <Legend />
+                            <Line type="monotone" dataKey="raw" stroke="#9ca3af" strokeWidth={2} name="Raw" dot={false} />
+                            <Line type="monotone" dataKey="compensated" stroke="#8b5cf6" strokeWidth={2} name="Compensated" dot={false} />
+                        </LineChart>
+                    </ResponsiveContainer>
+                </div>
+            )}
+
+            <div className="flex justify-end">
+                <button
+                    onClick={() => onInsert(selected.idx, branches, false)}
+                    disabled={branches.length === 0}
+                    className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+                >
+                    Insert Across Driver
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default CompensationPanel;
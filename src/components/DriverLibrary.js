@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, Download, FileUp, Pencil } from 'lucide-react';
+
+import { searchLibrary } from '../engine';
+
+/**
+ * Searchable list of saved drivers. `library` is the useDriverLibrary
+ * result; `onAdd(entry)` adds an entry to the design and
+ * `onExport(text)` downloads the library bundle.
+ */
+const DriverLibrary = ({ library, onAdd, onExport }) => {
+    const [query, setQuery] = useState('');
+    const [editingId, setEditingId] = useState(null);
+    const [status, setStatus] = useState(null);
+    const results = searchLibrary(library.entries, query);
+
+    const importFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow importing the same file again
+        if (!file) return;
+
+        try {
+            const count = await library.importBundle(await file.text());
+            setStatus(`Imported ${count} driver${count === 1 ? '' : 's'} from ${file.name}`);
+        } catch (err) {
+            setStatus(`Could not import ${file.name}: ${err.message}`);
+        }
+    };
+
+    const saveNotes = (entry, notes) => {
+        setEditingId(null);
+        if (notes !== entry.notes) library.updateEntry({ ...entry, notes });
+    };
+
+    return (
+        <div className="border border-gray-200 rounded-lg p-4 mb-4 bg-gray-50">
+            <div className="flex justify-between items-center gap-2 mb-2">
+                <h3 className="text-sm font-semibold">Driver Library</h3>
+                <div className="flex items-center gap-2">
+                    <button
+                        onClick={() => onExport(library.exportBundle())}
+                        disabled={library.entries.length === 0}
+                        className="flex items-center gap-1 text-xs px-2 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-50 transition-colors"
+                    >
+                        <Download size={12} /> Export
+                    </button>
+                    <label className="flex items-center gap-1 text-xs px-2 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 cursor-pointer transition-colors">
+                        <FileUp size={12} /> Import
+                        <input type="file" accept=".json,application/json" onChange={importFile} className="hidden" />
+                    </label>
+                </div>
+            </div>
+
+            <input
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search by name or notes"
+                className="w-full text-sm border border-gray-300 rounded-lg px-3 py-1 mb-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                aria-label="Search driver library"
+            />
+
+            {library.error && <p className="text-xs text-red-600 mb-2">{library.error}</p>}
+            {status && <p className="text-xs text-gray-600 mb-2">{status}</p>}
+
+            {library.entries.length === 0 ? (
+                <p className="text-xs text-gray-500">No saved drivers yet. Use the save button on a driver to add it here.</p>
+            ) : results.length === 0 ? (
+                <p className="text-xs text-gray-500">No drivers match “{query}”.</p>
+            ) : (
+                <div className="space-y-2 max-h-64 overflow-y-auto pr-1">
+                    {results.map(entry => (
+                        <div key={entry.id} className="bg-white border border-gray-200 rounded p-2">
+                            <div className="flex justify-between items-center gap-2">
+                                <div className="min-w-0">
+                                    <span className="text-sm font-medium block truncate" title={entry.name}>{entry.name}</span>
+                                    <span className="text-xs text-gray-500">
+                                        {[entry.frd && 'FRD', entry.zma && 'ZMA', entry.impedanceModel && 'Z model', entry.polarity && 'inverted'].filter(Boolean).join(' · ') || 'No measurements'}
+                                    </span>
+                                </div>
+                                <div className="flex items-center gap-1 shrink-0">
+                                    <button
+                                        onClick={() => onAdd(entry)}
+                                        className="flex items-center gap-1 text-xs px-2 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors"
+                                        aria-label={`Add ${entry.name} to the design`}
+                                    >
+                                        <Plus size={12} /> Add
+                                    </button>
+                                    <button
+                                        onClick={() => setEditingId(editingId === entry.id ? null : entry.id)}
+                                        className="text-gray-500 hover:text-gray-700 p-1"
+                                        aria-label={`Edit notes for ${entry.name}`}
+                                    >
+                                        <Pencil size={12} />
+                                    </button>
+                                    <button
+                                        onClick={() => library.removeEntry(entry.id)}
+                                        className="text-red-600 hover:text-red-800 p-1"
+                                        aria-label={`Delete ${entry.name} from the library`}
+                                    >
+                                        <Trash2 size={12} />
+                                    </button>
+                                </div>
+                            </div>
+                            {editingId === entry.id ? (
+                                <textarea
+                                    defaultValue={entry.notes}
+                                    onBlur={(e) => saveNotes(entry, e.target.value)}
+                                    rows={2}
+                                    autoFocus
+                                    className="mt-1 w-full text-xs border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    aria-label={`Notes for ${entry.name}`}
+                                />
+                            ) : entry.notes && (
+                                <p className="mt-1 text-xs text-gray-600 whitespace-pre-wrap">{entry.notes}</p>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DriverLibrary;
@@ -0,0 +1,131 @@
+import React from 'react';
+import { ChevronDown, ChevronUp, Trash2 } from 'lucide-react';
+
+import { BRANCH_FIELDS, BRANCH_FIELD_LABELS, ELEMENT_UNITS } from '../engine';
+
+/**
+ * Editor for one ladder of crossover elements, listed from the source
+ * (top) to the load (bottom). Edits go through `onUpdate(id, field, value)`,
+ * `onRemove(id)` and `onMove(id, 'up' | 'down')`.
+ */
+const ElementLadder = ({ elements, onUpdate, onRemove, onMove }) => (
+    <div className="space-y-2">
+        {[...elements]
+            .sort((a, b) => a.order - b.order)
+            .map((element, elemIdx, arr) => (
+                <div key={element.id} className="p-3 rounded-lg border border-gray-200 bg-white">
+                    <div className="flex gap-2 items-center">
+                        <div className="flex flex-col gap-1">
+                            <button
+                                onClick={() => onMove(element.id, 'up')}
+                                disabled={elemIdx === 0}
+                                className="p-1 hover:bg-gray-100 rounded disabled:opacity-30 disabled:cursor-not-allowed"
+                                aria-label="Move element up"
+                            >
+                                <ChevronUp size={16} />
+                            </button>
+                            <button
+                                onClick={() => onMove(element.id, 'down')}
+                                disabled={elemIdx === arr.length - 1}
+                                className="p-1 hover:bg-gray-100 rounded disabled:opacity-30 disabled:cursor-not-allowed"
+                                aria-label="Move element down"
+                            >
+                                <ChevronDown size={16} />
+                            </button>
+                        </div>
+
+                        <select
+                            value={element.type}
+                            onChange={(e) => onUpdate(element.id, 'type', e.target.value)}
+                            className="text-sm border border-gray-300 rounded-lg px-2 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            aria-label="Element type"
+                        >
+                            <option value="capacitor">Capacitor</option>
+                            <option value="inductor">Inductor</option>
+                            <option value="resistor">Resistor</option>
+                            <option value="branch">RLC Branch</option>
+                        </select>
+
+                        {element.type !== 'branch' && (
+                            <>
+                                <input
+                                    type="number"
+                                    step="0.1"
+                                    value={element.value}
+                                    onChange={(e) => onUpdate(element.id, 'value', parseFloat(e.target.value) || 0)}
+                                    className="text-sm border border-gray-300 rounded-lg px-2 py-2 w-24 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    aria-label="Element value"
+                                />
+                                <span className="text-xs text-gray-600 font-medium min-w-[35px]">
+                                    {ELEMENT_UNITS[element.type] || 'Ohm'}
+                                </span>
+                            </>
+                        )}
+
+                        <select
+                            value={element.series}
+                            onChange={(e) => onUpdate(element.id, 'series', e.target.value === 'true')}
+                            className="text-sm border border-gray-300 rounded-lg px-2 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            aria-label="Element position"
+                        >
+                            <option value="true">Series</option>
+                            <option value="false">Parallel</option>
+                        </select>
+
+                        <button
+                            onClick={() => onRemove(element.id)}
+                            className="text-red-600 hover:text-red-800 ml-auto p-1"
+                            aria-label="Remove element"
+                        >
+                            <Trash2 size={16} />
+                        </button>
+                    </div>
+
+                    {/* NEW: DCR and ESR Inputs */}
+                    <div className="mt-2 flex gap-4">
+                        {element.type === 'inductor' && (
+                            <div className="flex-1">
+                                <label className="text-xs text-gray-500">DCR (Ohm)</label>
+                                <input
+                                    type="number"
+                                    step="0.01"
+                                    value={element.dcr}
+                                    onChange={(e) => onUpdate(element.id, 'dcr', parseFloat(e.target.value) || 0)}
+                                    className="text-sm border border-gray-300 rounded-lg px-2 py-1 w-full focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+                        )}
+                        {element.type === 'capacitor' && (
+                            <div className="flex-1">
+                                <label className="text-xs text-gray-500">ESR (Ohm)</label>
+                                <input
+                                    type="number"
+                                    step="0.01"
+                                    value={element.esr}
+                                    onChange={(e) => onUpdate(element.id, 'esr', parseFloat(e.target.value) || 0)}
+                                    className="text-sm border border-gray-300 rounded-lg px-2 py-1 w-full focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+                        )}
+                        {element.type === 'branch' && BRANCH_FIELDS.map(field => (
+                            <div key={field} className="flex-1">
+                                <label className="text-xs text-gray-500">
+                                    {BRANCH_FIELD_LABELS[field]}
+                                </label>
+                                <input
+                                    type="number"
+                                    step="0.1"
+                                    min="0"
+                                    value={element[field]}
+                                    onChange={(e) => onUpdate(element.id, field, parseFloat(e.target.value) || 0)}
+                                    className="text-sm border border-gray-300 rounded-lg px-2 py-1 w-full focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            ))}
+    </div>
+);
+
+export default ElementLadder;
@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import { Wand2 } from 'lucide-react';
+
+import { ELEMENT_UNITS, FILTER_FAMILIES, FILTER_TYPES, synthesizeFilter, usesImpedanceModel } from '../engine';
+
+// Component values are rounded to three significant figures before insertion
+const roundValue = (value) => Number(value.toPrecision(3));
+
+/**
+ * Designs Butterworth / Linkwitz-Riley / Bessel sections against a driver's
+ * ZMA (or impedance model) and hands the resulting elements to `onInsert(driverIndex, elements, replace)`.
+ */
+const FilterWizard = ({ drivers, onInsert }) => {
+    const [driverIndex, setDriverIndex] = useState(0);
+    const [family, setFamily] = useState('butterworth');
+    const [order, setOrder] = useState(2);
+    const [type, setType] = useState('lowpass');
+    const [frequency, setFrequency] = useState(2000);
+    const [highFrequency, setHighFrequency] = useState(8000);
+    const [replace, setReplace] = useState(true);
+
+    // The selected driver may have been removed since
+    const selectedIndex = Math.min(driverIndex, drivers.length - 1);
+    const driver = drivers[selectedIndex];
+    const orders = FILTER_FAMILIES[family].orders;
+
+    let design = null;
+    let error = null;
+    if (driver) {
+        try {
+            const modelLoad = usesImpedanceModel(driver);
+            design = synthesizeFilter({ family, order, type, frequency, highFrequency }, modelLoad ? null : driver.zma, driver.impedanceModel);
+        } catch (err) {
+            error = err.message;
+        }
+    }
+
+    const changeFamily = (next) => {
+        setFamily(next);
+        const allowed = FILTER_FAMILIES[next].orders;
+        if (!allowed.includes(order)) setOrder(allowed[0]);
+    };
+
+    const insert = () => {
+        onInsert(selectedIndex, design.elements.map(el => ({ ...el, value: roundValue(el.value) })), replace);
+    };
+
+    if (drivers.length === 0) return null;
+
+    return (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+            <div className="flex items-center gap-2 mb-4">
+                <Wand2 className="text-green-600" size={22} />
+                <h2 className="text-xl font-semibold">Filter Wizard</h2>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mb-4">
+                <div>
+                    <label htmlFor="wizard-driver" className="block text-sm font-medium text-gray-700 mb-1">Driver</label>
+                    <select
+                        id="wizard-driver"
+                        value={selectedIndex}
+                        onChange={(e) => setDriverIndex(parseInt(e.target.value, 10))}
+                        className="w-full text-sm border border-gray-300 rounded-lg px-2 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        {drivers.map((d, idx) => (
+                            <option key={d.id} value={idx}>{d.name}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="wizard-family" className="block text-sm font-medium text-gray-700 mb-1">Family</label>
+                    <select
+                        id="wizard-family"
+                        value={family}
+                        onChange={(e) => changeFamily(e.target.value)}
+                        className="w-full text-sm border border-gray-300 rounded-lg px-2 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        {Object.entries(FILTER_FAMILIES).map(([key, spec]) => (
+                            <option key={key} value={key}>{spec.name}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="wizard-order" className="block text-sm font-medium text-gray-700 mb-1">Order</label>
+                    <select
+                        id="wizard-order"
+                        value={order}
+                        onChange={(e) => setOrder(parseInt(e.target.value, 10))}
+                        className="w-full text-sm border border-gray-300 rounded-lg px-2 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        {orders.map(o => (
+                            <option key={o} value={o}>{o} ({o * 6} dB/oct)</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="wizard-type" className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                    <select
+                        id="wizard-type"
+                        value={type}
+                        onChange={(e) => setType(e.target.value)}
+                        className="w-full text-sm border border-gray-300 rounded-lg px-2 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        {Object.entries(FILTER_TYPES).map(([key, name]) => (
+                            <option key={key} value={key}>{name}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="wizard-freq" className="block text-sm font-medium text-gray-700 mb-1">
+                        {type === 'bandpass' ? 'Low Corner (Hz)' : 'Crossover (Hz)'}
+                    </label>
+                    <input
+                        id="wizard-freq"
+                        type="number"
+                        value={frequency}
+                        onChange={(e) => setFrequency(parseFloat(e.target.value) || 0)}
+                        className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                </div>
+                {type === 'bandpass' && (
+                    <div>
+                        <label htmlFor="wizard-high-freq" className="block text-sm font-medium text-gray-700 mb-1">High Corner (Hz)</label>
+                        <input
+                            id="wizard-high-freq"
+                            type="number"
+                            value={highFrequency}
+                            onChange={(e) => setHighFrequency(parseFloat(e.target.value) || 0)}
+                            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                    </div>
+                )}
+            </div>
+
+            {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+            {design && (
+                <div className="mb-4 text-sm">
+                    <p className="text-gray-600 mb-2">
+                        Load: {design.loads.map(l => `${l.ohms.toFixed(2)} Ohm @ ${l.freq} Hz`).join(', ')}
+                        {usesImpedanceModel(driver) && ' (from the impedance model)'}
+                        {!driver.zma && !driver.impedanceModel && ' (no ZMA loaded, assuming 8 Ohm)'}
+                    </p>
+                    <ol className="list-decimal list-inside space-y-1 text-gray-700">
+                        {design.elements.map((el, i) => (
+                            <li key={i}>
+                                {el.series ? 'Series' : 'Parallel'} {el.type}: {roundValue(el.value)} {ELEMENT_UNITS[el.type]}
+                            </li>
+                        ))}
+                    </ol>
+                    <p className="text-xs text-gray-500 mt-1">Listed from the source towards the driver.</p>
+                </div>
+            )}
+
+            <div className="flex items-center justify-between gap-3">
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={replace}
+                        onChange={(e) => setReplace(e.target.checked)}
+                        className="w-4 h-4 rounded text-blue-600 focus:ring-blue-500"
+                    />
+                    Replace the driver's existing elements
+                </label>
+                <button
+                    onClick={insert}
+                    disabled={!design}
+                    className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+                >
+                    Insert Elements
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default FilterWizard;
@@ -0,0 +1,169 @@
+import React, { useId, useState } from 'react';
+import { Trash2 } from 'lucide-react';
+
+import {
+    DEFAULT_IMPEDANCE_MODELS,
+    IMPEDANCE_MODEL_PARAMETERS,
+    IMPEDANCE_MODEL_TYPES,
+    fitImpedanceModel
+} from '../engine';
+
+const inputClass = 'text-sm border border-gray-300 rounded-lg px-2 py-1 w-full focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * Editor for a driver's parametric impedance model (Re, semi-inductance,
+ * resonance), entered by hand or fitted to its `zma`. Changes are
+ * reported as `onChange(model, historyKey)`; removing it reports null.
+ */
+const ImpedanceModelEditor = ({ model, zma, onChange }) => {
+    const [fitType, setFitType] = useState('ba');
+    const [status, setStatus] = useState(null);
+    // { step, steps } while a fit runs
+    const [fitProgress, setFitProgress] = useState(null);
+    const overrideId = useId();
+    const hasZma = !!zma && zma.length > 0;
+
+    const fit = async (type) => {
+        setStatus(null);
+        setFitProgress({ step: 0, steps: 1 });
+        try {
+            const result = await fitImpedanceModel(zma, type, { onProgress: setFitProgress });
+            onChange({ ...result.model, overrideZma: model ? !!model.overrideZma : false });
+            setStatus(`Fitted to ${zma.length} ZMA points, ${result.rmsError.toFixed(2)} dB RMS error`);
+        } catch (err) {
+            setStatus(`Could not fit: ${err.message}`);
+        } finally {
+            setFitProgress(null);
+        }
+    };
+
+    const fitLabel = fitProgress
+        ? `Fitting… ${Math.round(100 * fitProgress.step / fitProgress.steps)}%`
+        : 'Fit to ZMA';
+
+    const updateParameter = (key, value) => {
+        const { min, max } = IMPEDANCE_MODEL_PARAMETERS[key];
+        if (!Number.isFinite(value)) return;
+        onChange({ ...model, [key]: Math.min(max, Math.max(min, value)) }, `impedanceModel:${key}`);
+    };
+
+    if (!model) {
+        return (
+            <div className="space-y-2">
+                <p className="text-xs text-gray-500">
+                    {hasZma
+                        ? 'The ZMA is the electrical load. A model can be fitted to it, for example to replace a partial measurement.'
+                        : 'No ZMA loaded: the driver is a flat 8 Ohm load. Enter a model or load a ZMA to fit one.'}
+                </p>
+                <div className="flex flex-wrap gap-2">
+                    {Object.entries(IMPEDANCE_MODEL_TYPES).map(([type, label]) => (
+                        <button
+                            key={type}
+                            onClick={() => onChange(DEFAULT_IMPEDANCE_MODELS[type])}
+                            className="text-xs px-3 py-1 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
+                        >
+                            + {label} model
+                        </button>
+                    ))}
+                    {hasZma && (
+                        <div className="flex gap-1">
+                            <select
+                                value={fitType}
+                                onChange={(e) => setFitType(e.target.value)}
+                                className="text-xs border border-gray-300 rounded-lg px-2 py-1 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                aria-label="Driver type to fit"
+                            >
+                                {Object.entries(IMPEDANCE_MODEL_TYPES).map(([key, label]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                            <button
+                                onClick={() => fit(fitType)}
+                                disabled={!!fitProgress}
+                                className="text-xs px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-blue-400 disabled:cursor-wait transition-colors"
+                            >
+                                {fitLabel}
+                            </button>
+                        </div>
+                    )}
+                </div>
+                {status && <p className="text-xs text-red-600">{status}</p>}
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-2">
+            <div className="flex items-center gap-2">
+                <select
+                    value={model.type}
+                    onChange={(e) => onChange({ ...model, type: e.target.value })}
+                    className="text-sm border border-gray-300 rounded-lg px-2 py-1 bg-white flex-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    aria-label="Driver type"
+                >
+                    {Object.entries(IMPEDANCE_MODEL_TYPES).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                    ))}
+                </select>
+                {hasZma && (
+                    <button
+                        onClick={() => fit(model.type)}
+                        disabled={!!fitProgress}
+                        className="text-xs px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-blue-400 disabled:cursor-wait transition-colors"
+                    >
+                        {fitLabel}
+                    </button>
+                )}
+                <button
+                    onClick={() => {
+                        setStatus(null);
+                        onChange(null);
+                    }}
+                    className="text-red-600 hover:text-red-800 p-1"
+                    aria-label="Remove impedance model"
+                >
+                    <Trash2 size={16} />
+                </button>
+            </div>
+
+            <div className="grid grid-cols-3 gap-2">
+                {Object.entries(IMPEDANCE_MODEL_PARAMETERS).map(([key, { label, unit, min, max }]) => (
+                    <div key={key}>
+                        <label className="text-xs text-gray-500">{label}{unit && ` (${unit})`}</label>
+                        <input
+                            type="number"
+                            step="any"
+                            min={min}
+                            max={max}
+                            value={model[key]}
+                            onChange={(e) => updateParameter(key, parseFloat(e.target.value))}
+                            className={inputClass}
+                        />
+                    </div>
+                ))}
+            </div>
+
+            {hasZma ? (
+                <div className="flex items-center gap-2">
+                    <input
+                        id={overrideId}
+                        type="checkbox"
+                        checked={!!model.overrideZma}
+                        onChange={(e) => onChange({ ...model, overrideZma: e.target.checked })}
+                        className="w-4 h-4 rounded text-blue-600 focus:ring-blue-500"
+                    />
+                    <label htmlFor={overrideId} className="text-sm text-gray-700">
+                        Use the model instead of the ZMA
+                    </label>
+                </div>
+            ) : (
+                <p className="text-xs text-gray-500">No ZMA loaded: the model is the driver's electrical load.</p>
+            )}
+            {status && (
+                <p className={`text-xs ${status.startsWith('Could not') ? 'text-red-600' : 'text-gray-600'}`}>{status}</p>
+            )}
+        </div>
+    );
+};
+
+export default ImpedanceModelEditor;
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+
+import { PHASE_UNITS } from '../engine';
+
+const selectClass = 'text-xs border border-gray-300 rounded px-1 py-0.5 bg-white w-full focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * What the importer detected in a measurement file, its warnings, and
+ * column / phase-unit mapping. Changes are reported as
+ * `onRemap({ columns, phaseUnit })` for the file to be imported again.
+ */
+const ImportReport = ({ report, type, onRemap }) => {
+    const [mapping, setMapping] = useState(false);
+    const showMapping = mapping || report.ambiguous;
+
+    const columnNames = Array.from({ length: report.columnCount }, (_, i) =>
+        report.header ? report.header[i] : `Column ${i + 1}`
+    );
+    // Keep the mapping open once the user has touched it
+    const applyMapping = (options) => {
+        setMapping(true);
+        onRemap(options);
+    };
+    const remap = (field, value) => applyMapping({
+        columns: { ...report.columns, [field]: value },
+        phaseUnit: report.phaseUnit
+    });
+
+    const details = [
+        report.delimiterLabel,
+        report.decimalComma && 'decimal comma',
+        report.header ? 'header row' : 'no header',
+        report.phaseUnit ? `phase in ${PHASE_UNITS[report.phaseUnit].toLowerCase()}` : 'no phase column'
+    ].filter(Boolean);
+
+    const warnings = [];
+    if (report.skippedCount > 0) {
+        const lines = report.skipped.map(s => s.line).join(', ');
+        warnings.push(`${report.skippedCount} line${report.skippedCount === 1 ? '' : 's'} skipped (line ${lines}${report.skippedCount > report.skipped.length ? ', …' : ''})`);
+    }
+    if (report.outOfOrder > 0) warnings.push(`${report.outOfOrder} out-of-order frequencies sorted`);
+    if (report.duplicates > 0) warnings.push(`${report.duplicates} duplicate frequencies dropped`);
+    if (report.columnsGuessed) warnings.push('Columns could not be identified; check the mapping below');
+    if (report.phaseUnitGuessed) warnings.push('Phase unit could not be identified (degrees assumed); check the mapping below');
+
+    return (
+        <div className="mt-1 space-y-1">
+            <div className="flex justify-between gap-2 text-xs text-gray-500">
+                <span>{details.join(' · ')}</span>
+                {report.columnCount > 0 && !report.ambiguous && (
+                    <button onClick={() => setMapping(!mapping)} className="text-blue-600 hover:text-blue-800">
+                        {mapping ? 'Hide columns' : 'Columns…'}
+                    </button>
+                )}
+            </div>
+            {warnings.map(warning => (
+                <span key={warning} className="text-xs text-amber-600 block">{warning}</span>
+            ))}
+            {report.skipped.length > 0 && (
+                <span className="text-xs text-gray-400 block truncate" title={report.skipped.map(s => `${s.line}: ${s.text}`).join('\n')}>
+                    e.g. line {report.skipped[0].line}: “{report.skipped[0].text}”
+                </span>
+            )}
+            {showMapping && report.columnCount > 0 && (
+                <div className="grid grid-cols-4 gap-1">
+                    <label className="text-xs text-gray-500">
+                        Frequency
+                        <select value={report.columns.freq} onChange={(e) => remap('freq', Number(e.target.value))} className={selectClass}>
+                            {columnNames.map((name, i) => <option key={i} value={i}>{name}</option>)}
+                        </select>
+                    </label>
+                    <label className="text-xs text-gray-500">
+                        {type === 'zma' ? 'Impedance' : 'SPL'}
+                        <select value={report.columns.value} onChange={(e) => remap('value', Number(e.target.value))} className={selectClass}>
+                            {columnNames.map((name, i) => <option key={i} value={i}>{name}</option>)}
+                        </select>
+                    </label>
+                    <label className="text-xs text-gray-500">
+                        Phase
+                        <select
+                            value={report.columns.phase ?? ''}
+                            onChange={(e) => remap('phase', e.target.value === '' ? null : Number(e.target.value))}
+                            className={selectClass}
+                        >
+                            <option value="">None</option>
+                            {columnNames.map((name, i) => <option key={i} value={i}>{name}</option>)}
+                        </select>
+                    </label>
+                    <label className="text-xs text-gray-500">
+                        Phase unit
+                        <select
+                            value={report.phaseUnit ?? 'deg'}
+                            disabled={report.columns.phase === null}
+                            onChange={(e) => applyMapping({ columns: report.columns, phaseUnit: e.target.value })}
+                            className={selectClass}
+                        >
+                            {Object.entries(PHASE_UNITS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                    </label>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ImportReport;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { Trash2 } from 'lucide-react';
+
+import { AVERAGING_MODES } from '../engine';
+
+// Select values: an averaging mode, or `file:<id>` for a single measurement
+const FILE_PREFIX = 'file:';
+
+/**
+ * The measurement files attached to one driver slot (FRD or ZMA) and how
+ * they combine: an average, or one file as the active measurement.
+ * Changes are reported as `onChange(measurements)`.
+ */
+const MeasurementList = ({ measurements, onChange }) => {
+    const { files, mode, activeId } = measurements;
+    const active = files.find(f => f.id === activeId) || files[0];
+    const selected = mode === 'single' ? `${FILE_PREFIX}${active.id}` : mode;
+
+    const select = (value) => {
+        if (value.startsWith(FILE_PREFIX)) {
+            const file = files.find(f => String(f.id) === value.slice(FILE_PREFIX.length));
+            onChange({ ...measurements, mode: 'single', activeId: file.id });
+        } else {
+            onChange({ ...measurements, mode: value });
+        }
+    };
+
+    const remove = (id) => onChange({ ...measurements, files: files.filter(f => f.id !== id) });
+
+    return (
+        <div className="mt-1 space-y-1">
+            <select
+                value={selected}
+                onChange={(e) => select(e.target.value)}
+                className="text-xs border border-gray-300 rounded-lg px-2 py-1 bg-white w-full focus:outline-none focus:ring-2 focus:ring-blue-500"
+                aria-label="Combine measurements"
+            >
+                {Object.entries(AVERAGING_MODES)
+                    .filter(([key]) => key !== 'single')
+                    .map(([key, label]) => <option key={key} value={key}>{label} of {files.length}</option>)}
+                {files.map(file => (
+                    <option key={file.id} value={`${FILE_PREFIX}${file.id}`}>Only {file.name}</option>
+                ))}
+            </select>
+            {files.map(file => (
+                <div key={file.id} className="flex items-center justify-between gap-2 text-xs text-gray-600">
+                    <span className="truncate" title={file.name}>
+                        {mode === 'single' && file === active ? '● ' : ''}{file.name} ({file.data.length} pts)
+                    </span>
+                    <button
+                        onClick={() => remove(file.id)}
+                        className="text-red-600 hover:text-red-800"
+                        aria-label={`Remove measurement ${file.name}`}
+                    >
+                        <Trash2 size={12} />
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default MeasurementList;
@@ -0,0 +1,179 @@
+import React, { useId } from 'react';
+import { Trash2 } from 'lucide-react';
+
+import {
+    BRANCH_FIELDS,
+    BRANCH_FIELD_LABELS,
+    DRIVER_NODE,
+    ELEMENT_UNITS,
+    GROUND_NODE,
+    SOURCE_NODE,
+    getNetlistNodes
+} from '../engine';
+
+const inputClass = 'text-sm border border-gray-300 rounded-lg px-2 py-1 w-full focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * Editor for a driver's free-form netlist. Every component connects two
+ * named nodes; `in`, `out` and `0` are the source, driver and ground.
+ * Changes are reported as `onChange(netlist, historyKey)`.
+ */
+const NetlistEditor = ({ netlist, onChange }) => {
+    const { components } = netlist;
+    const listId = useId();
+
+    const updateComponent = (id, field, value) => {
+        onChange({
+            ...netlist,
+            components: components.map(c => {
+                if (c.id !== id) return c;
+                const updated = { ...c, [field]: value };
+                // Switching type: make sure the new type's value fields exist
+                if (field === 'type' && value === 'branch') {
+                    return { resistance: 10, inductance: 0, capacitance: 10, ...updated };
+                }
+                if (field === 'type' && updated.value === undefined) {
+                    return { ...updated, value: 10 };
+                }
+                return updated;
+            })
+        }, `netlist:${id}:${field}`);
+    };
+
+    const addComponent = () => {
+        onChange({
+            ...netlist,
+            components: [
+                ...components,
+                { id: Date.now(), type: 'capacitor', value: 10, esr: 0.05, dcr: 0.1, from: SOURCE_NODE, to: DRIVER_NODE }
+            ]
+        });
+    };
+
+    const removeComponent = (id) => {
+        onChange({ ...netlist, components: components.filter(c => c.id !== id) });
+    };
+
+    const nodes = getNetlistNodes(netlist);
+
+    return (
+        <div className="space-y-2">
+            <datalist id={listId}>
+                {nodes.map(node => <option key={node} value={node} />)}
+            </datalist>
+
+            {components.map(component => (
+                <div key={component.id} className="p-3 rounded-lg border border-gray-200 bg-white">
+                    <div className="flex gap-2 items-center">
+                        <select
+                            value={component.type}
+                            onChange={(e) => updateComponent(component.id, 'type', e.target.value)}
+                            className="text-sm border border-gray-300 rounded-lg px-2 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            aria-label="Component type"
+                        >
+                            <option value="capacitor">Capacitor</option>
+                            <option value="inductor">Inductor</option>
+                            <option value="resistor">Resistor</option>
+                            <option value="branch">RLC Branch</option>
+                        </select>
+
+                        {component.type !== 'branch' && (
+                            <>
+                                <input
+                                    type="number"
+                                    step="0.1"
+                                    value={component.value}
+                                    onChange={(e) => updateComponent(component.id, 'value', parseFloat(e.target.value) || 0)}
+                                    className="text-sm border border-gray-300 rounded-lg px-2 py-2 w-24 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    aria-label="Component value"
+                                />
+                                <span className="text-xs text-gray-600 font-medium min-w-[35px]">
+                                    {ELEMENT_UNITS[component.type] || 'Ohm'}
+                                </span>
+                            </>
+                        )}
+
+                        <button
+                            onClick={() => removeComponent(component.id)}
+                            className="text-red-600 hover:text-red-800 ml-auto p-1"
+                            aria-label="Remove component"
+                        >
+                            <Trash2 size={16} />
+                        </button>
+                    </div>
+
+                    <div className="mt-2 flex gap-4">
+                        {['from', 'to'].map(field => (
+                            <div key={field} className="flex-1">
+                                <label className="text-xs text-gray-500">{field === 'from' ? 'From node' : 'To node'}</label>
+                                <input
+                                    type="text"
+                                    list={listId}
+                                    value={component[field]}
+                                    onChange={(e) => updateComponent(component.id, field, e.target.value.trim())}
+                                    className={inputClass}
+                                />
+                            </div>
+                        ))}
+                        {component.type === 'inductor' && (
+                            <div className="flex-1">
+                                <label className="text-xs text-gray-500">DCR (Ohm)</label>
+                                <input
+                                    type="number"
+                                    step="0.01"
+                                    value={component.dcr}
+                                    onChange={(e) => updateComponent(component.id, 'dcr', parseFloat(e.target.value) || 0)}
+                                    className={inputClass}
+                                />
+                            </div>
+                        )}
+                        {component.type === 'capacitor' && (
+                            <div className="flex-1">
+                                <label className="text-xs text-gray-500">ESR (Ohm)</label>
+                                <input
+                                    type="number"
+                                    step="0.01"
+                                    value={component.esr}
+                                    onChange={(e) => updateComponent(component.id, 'esr', parseFloat(e.target.value) || 0)}
+                                    className={inputClass}
+                                />
+                            </div>
+                        )}
+                    </div>
+
+                    {component.type === 'branch' && (
+                        <div className="mt-2 flex gap-4">
+                            {BRANCH_FIELDS.map(field => (
+                                <div key={field} className="flex-1">
+                                    <label className="text-xs text-gray-500">{BRANCH_FIELD_LABELS[field]}</label>
+                                    <input
+                                        type="number"
+                                        step="0.1"
+                                        min="0"
+                                        value={component[field]}
+                                        onChange={(e) => updateComponent(component.id, field, parseFloat(e.target.value) || 0)}
+                                        className={inputClass}
+                                    />
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            ))}
+
+            <div className="flex items-center justify-between">
+                <p className="text-xs text-gray-500">
+                    Nodes: <code>{SOURCE_NODE}</code> = source, <code>{DRIVER_NODE}</code> = driver, <code>{GROUND_NODE}</code> = ground
+                </p>
+                <button
+                    onClick={addComponent}
+                    className="text-xs px-3 py-1 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                >
+                    + Add Component
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default NetlistEditor;
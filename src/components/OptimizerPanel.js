@@ -0,0 +1,290 @@
+import React, { useRef, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Lock, Unlock, Wand2 } from 'lucide-react';
+
+import {
+    ELEMENT_UNITS,
+    defaultOptimizerBounds,
+    getFrequencyGrid,
+    getFrequencyTicks,
+    getTargetLevel,
+    isSharedElement,
+    optimizeElementValues,
+    simulate
+} from '../engine';
+
+// Accepted values are rounded to what can actually be bought or wound
+const roundValue = (value) => Number(value.toPrecision(3));
+
+/**
+ * Searches crossover element values against the loaded target curve.
+ * Shows before/after curves; `onAccept(values)` receives { [elementId]: value }.
+ */
+const OptimizerPanel = ({ design, sourceVoltage, onAccept }) => {
+    const { drivers, target } = design;
+    // Branches have no single value to tune
+    const crossoverElements = design.crossoverElements.filter(el => el.type !== 'branch');
+
+    const [bounds, setBounds] = useState({});
+    // Window edges left empty follow the simulation grid
+    const [windowEdits, setWindowEdits] = useState({});
+    const [maxIterations, setMaxIterations] = useState(50);
+    const [progress, setProgress] = useState(null);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    const abortRef = useRef(null);
+
+    const frequencies = getFrequencyGrid(design.frequencyGrid, drivers);
+    const gridRange = { min: frequencies[0], max: frequencies[frequencies.length - 1] };
+    const freqWindow = { ...gridRange, ...windowEdits };
+
+    const getBounds = (element) => bounds[element.id] || defaultOptimizerBounds(element);
+
+    const updateBounds = (element, field, value) => {
+        setBounds(prev => ({ ...prev, [element.id]: { ...getBounds(element), [field]: value } }));
+    };
+
+    const runOptimizer = async () => {
+        const variables = crossoverElements
+            .filter(el => !getBounds(el).locked)
+            .map(el => ({ id: el.id, ...getBounds(el) }));
+
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setResult(null);
+        setError(null);
+        setProgress({ iteration: 0, maxIterations, error: null });
+
+        try {
+            const outcome = await optimizeElementValues(design, {
+                target,
+                sourceVoltage,
+                window: freqWindow,
+                variables,
+                maxIterations,
+                onProgress: setProgress,
+                signal: controller.signal
+            });
+
+            const values = {};
+            Object.entries(outcome.values).forEach(([id, value]) => { values[id] = roundValue(value); });
+            const optimised = {
+                ...design,
+                crossoverElements: design.crossoverElements.map(el =>
+                    values[el.id] !== undefined ? { ...el, value: values[el.id] } : el
+                )
+            };
+
+            const before = simulate(design, { sourceVoltage, frequencies });
+            const after = simulate(optimised, { sourceVoltage, frequencies });
+            const curves = before.map((point, i) => ({
+                freq: point.freq,
+                before: point.total_spl,
+                after: after[i].total_spl,
+                target: getTargetLevel(target.points, point.freq, target)
+            }));
+
+            setResult({ ...outcome, values, curves, domain: [gridRange.min, gridRange.max] });
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            abortRef.current = null;
+            setProgress(null);
+        }
+    };
+
+    const acceptResult = () => {
+        onAccept(result.values);
+        setResult(null);
+    };
+
+    const describeElement = (element) => {
+        const driver = drivers[element.driverIndex];
+        const driverName = isSharedElement(element)
+            ? 'Shared path'
+            : driver ? driver.name : `Driver ${element.driverIndex + 1}`;
+        return `${driverName} · ${element.series ? 'Series' : 'Parallel'} ${element.type}`;
+    };
+
+    if (!target) {
+        return (
+            <div className="bg-white rounded-xl shadow-lg p-6">
+                <h2 className="text-xl font-semibold mb-2">Optimiser</h2>
+                <p className="text-sm text-gray-500">Load a target curve to optimise element values against it.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-semibold">Optimiser</h2>
+                {progress ? (
+                    <button
+                        onClick={() => abortRef.current?.abort()}
+                        className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+                    >
+                        Stop
+                    </button>
+                ) : (
+                    <button
+                        onClick={runOptimizer}
+                        disabled={crossoverElements.length === 0}
+                        className="flex items-center gap-2 px-4 py-2 bg-amber-500 text-white rounded-lg hover:bg-amber-600 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+                    >
+                        <Wand2 size={18} /> Optimise
+                    </button>
+                )}
+            </div>
+
+            <div className="grid grid-cols-3 gap-3 mb-4">
+                <div>
+                    <label htmlFor="opt-min" className="block text-sm font-medium text-gray-700 mb-1">From (Hz)</label>
+                    <input
+                        id="opt-min"
+                        type="number"
+                        value={freqWindow.min}
+                        onChange={(e) => setWindowEdits({ ...windowEdits, min: parseFloat(e.target.value) || gridRange.min })}
+                        className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                </div>
+                <div>
+                    <label htmlFor="opt-max" className="block text-sm font-medium text-gray-700 mb-1">To (Hz)</label>
+                    <input
+                        id="opt-max"
+                        type="number"
+                        value={freqWindow.max}
+                        onChange={(e) => setWindowEdits({ ...windowEdits, max: parseFloat(e.target.value) || gridRange.max })}
+                        className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                </div>
+                <div>
+                    <label htmlFor="opt-iterations" className="block text-sm font-medium text-gray-700 mb-1">Max Iterations</label>
+                    <input
+                        id="opt-iterations"
+                        type="number"
+                        min="1"
+                        value={maxIterations}
+                        onChange={(e) => setMaxIterations(parseInt(e.target.value, 10) || 1)}
+                        className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                </div>
+            </div>
+
+            <div className="space-y-2 mb-4">
+                {crossoverElements.map(element => {
+                    const elementBounds = getBounds(element);
+                    const unit = ELEMENT_UNITS[element.type];
+                    return (
+                        <div key={element.id} className="flex items-center gap-2 text-sm p-2 rounded-lg border border-gray-200">
+                            <button
+                                onClick={() => updateBounds(element, 'locked', !elementBounds.locked)}
+                                className={`p-1 rounded ${elementBounds.locked ? 'text-gray-400' : 'text-amber-600'}`}
+                                aria-label={elementBounds.locked ? 'Unlock element' : 'Lock element'}
+                                title={elementBounds.locked ? 'Locked: value is kept' : 'Unlocked: value is optimised'}
+                            >
+                                {elementBounds.locked ? <Lock size={16} /> : <Unlock size={16} />}
+                            </button>
+                            <span className="flex-1 truncate">
+                                {describeElement(element)} <span className="text-gray-500">({element.value} {unit})</span>
+                            </span>
+                            <input
+                                type="number"
+                                step="0.1"
+                                value={elementBounds.min}
+                                disabled={elementBounds.locked}
+                                onChange={(e) => updateBounds(element, 'min', parseFloat(e.target.value) || 0)}
+                                className="w-20 border border-gray-300 rounded-lg px-2 py-1 disabled:bg-gray-100"
+                                aria-label="Minimum value"
+                            />
+                            <span className="text-gray-500">–</span>
+                            <input
+                                type="number"
+                                step="0.1"
+                                value={elementBounds.max}
+                                disabled={elementBounds.locked}
+                                onChange={(e) => updateBounds(element, 'max', parseFloat(e.target.value) || 0)}
+                                className="w-20 border border-gray-300 rounded-lg px-2 py-1 disabled:bg-gray-100"
+                                aria-label="Maximum value"
+                            />
+                            <span className="text-xs text-gray-600 min-w-[30px]">{unit}</span>
+                        </div>
+                    );
+                })}
+            </div>
+
+            {progress && (
+                <div className="mb-4">
+                    <div className="flex justify-between text-sm text-gray-600 mb-1">
+                        <span>Iteration {progress.iteration} / {progress.maxIterations}</span>
+                        {progress.error !== null && <span>RMS error {progress.error.toFixed(2)} dB</span>}
+                    </div>
+                    <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                        <div
+                            className="h-full bg-amber-500 transition-all"
+                            style={{ width: `${(progress.iteration / progress.maxIterations) * 100}%` }}
+                        />
+                    </div>
+                </div>
+            )}
+
+            {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+            {result && (
+                <div className="space-y-3">
+                    <p className="text-sm">
+                        RMS error {result.initialError.toFixed(2)} dB → <strong>{result.finalError.toFixed(2)} dB</strong> after {result.iterations} iterations
+                    </p>
+                    <ul className="text-sm text-gray-700 space-y-1">
+                        {crossoverElements.filter(el => result.values[el.id] !== undefined).map(el => (
+                            <li key={el.id}>
+                                {describeElement(el)}: {el.value} → <strong>{result.values[el.id]}</strong> {ELEMENT_UNITS[el.type]}
+                            </li>
+                        ))}
+                    </ul>
+                    <div className="bg-gray-50 rounded-lg p-2 border border-gray-200">
+                        <ResponsiveContainer width="100%" height={260}>
+                            <LineChart data={result.curves}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#ccc" />
+                                <XAxis
+                                    dataKey="freq"
+                                    type="number"
+                                    scale="log"
+                                    domain={result.domain}
+                                    ticks={getFrequencyTicks(...result.domain)}
+                                    tickFormatter={(value) => value >= 1000 ? `${value / 1000}k` : value}
+                                    stroke="#666"
+                                />
+                                <YAxis domain={['auto', 'auto']} stroke="#666" />
+                                <Tooltip
+                                    formatter={(value) => `${value.toFixed(2)} dB`}
+                                    labelFormatter={(value) => `${value.toFixed(0)} Hz`}
+                                />
+                                <Legend />
+                                <Line type="monotone" dataKey="before" stroke="#9ca3af" strokeWidth={2} name="Before" dot={false} />
+                                <Line type="monotone" dataKey="after" stroke="#2563eb" strokeWidth={2} name="After" dot={false} />
+                                <Line type="monotone" dataKey="target" stroke="#f59e0b" strokeWidth={2} strokeDasharray="6 4" name="Target" dot={false} />
+                            </LineChart>
+                        </ResponsiveContainer>
+                    </div>
+                    <div className="flex gap-2">
+                        <button
+                            onClick={acceptResult}
+                            className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                        >
+                            Accept
+                        </button>
+                        <button
+                            onClick={() => setResult(null)}
+                            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                        >
+                            Reject
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default OptimizerPanel;
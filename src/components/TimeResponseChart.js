@@ -0,0 +1,105 @@
+import React, { useMemo, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { Download } from 'lucide-react';
+
+import { computeTimeResponse, timeResponseToCsv } from '../engine';
+
+const MODES = { impulse: 'Impulse', step: 'Step' };
+
+const formatTime = (ms) => Math.abs(ms) < 1 ? `${(ms * 1000).toFixed(0)} µs` : `${ms.toFixed(2)} ms`;
+
+/**
+ * Impulse / step response of the simulated total and each driver,
+ * computed from the frequency-domain points. `onExport(csv)` receives
+ * the time response as CSV.
+ */
+const TimeResponseChart = ({ points, drivers, onExport }) => {
+    const [mode, setMode] = useState('impulse');
+    const response = useMemo(() => computeTimeResponse(points, drivers.length), [points, drivers.length]);
+
+    if (!response) {
+        return (
+            <div className="bg-gray-50 rounded-lg p-12 text-center border-2 border-gray-200">
+                <p className="text-gray-500">Load a frequency response for at least one driver to see the time response.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="bg-gray-50 rounded-lg p-4 border-2 border-gray-200 space-y-3">
+            <div className="flex justify-between items-center gap-2">
+                <div className="flex gap-2">
+                    {Object.entries(MODES).map(([key, label]) => (
+                        <button
+                            key={key}
+                            onClick={() => setMode(key)}
+                            className={`px-3 py-1 rounded-lg text-xs font-medium transition-all ${mode === key
+                                ? 'bg-blue-600 text-white'
+                                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                                }`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                <button
+                    onClick={() => onExport(timeResponseToCsv(response, drivers))}
+                    className="flex items-center gap-1 text-xs px-3 py-1 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+                >
+                    <Download size={14} /> Export Time CSV
+                </button>
+            </div>
+
+            <ResponsiveContainer width="100%" height={460}>
+                <LineChart data={response}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#ccc" />
+                    <XAxis
+                        dataKey="time"
+                        type="number"
+                        domain={['dataMin', 'dataMax']}
+                        tickFormatter={(value) => value.toFixed(1)}
+                        label={{ value: 'Time (ms)', position: 'insideBottom', offset: -10 }}
+                        stroke="#666"
+                    />
+                    <YAxis
+                        label={{ value: `${MODES[mode]} (normalised)`, angle: -90, position: 'insideLeft' }}
+                        domain={['auto', 'auto']}
+                        tickFormatter={(value) => value.toFixed(2)}
+                        stroke="#666"
+                    />
+                    <Tooltip
+                        contentStyle={{ backgroundColor: 'rgba(255, 255, 255, 0.95)', border: '1px solid #ccc', borderRadius: '8px' }}
+                        formatter={(value) => value.toFixed(3)}
+                        labelFormatter={formatTime}
+                    />
+                    <Legend />
+                    <ReferenceLine x={0} stroke="#999" />
+
+                    <Line
+                        type="monotone"
+                        dataKey={`total_${mode}`}
+                        stroke="#2563eb"
+                        strokeWidth={3}
+                        name="Total"
+                        dot={false}
+                        isAnimationActive={false}
+                    />
+                    {drivers.map((driver, idx) => (
+                        <Line
+                            key={idx}
+                            type="monotone"
+                            dataKey={`driver${idx}_${mode}`}
+                            stroke={`hsl(${idx * 360 / Math.max(drivers.length, 1)}, 70%, 50%)`}
+                            strokeWidth={1.5}
+                            name={driver.name}
+                            dot={false}
+                            isAnimationActive={false}
+                        />
+                    ))}
+                </LineChart>
+            </ResponsiveContainer>
+        </div>
+    );
+};
+
+export default TimeResponseChart;
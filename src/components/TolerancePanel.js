@@ -0,0 +1,293 @@
+import React, { useRef, useState } from 'react';
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Dices } from 'lucide-react';
+
+import {
+    DEFAULT_TOLERANCES,
+    TOLERANCE_DISTRIBUTIONS,
+    getFrequencyTicks,
+    isSharedElement,
+    runMonteCarlo
+} from '../engine';
+
+const TYPE_LABELS = { capacitor: 'Capacitors', inductor: 'Inductors', resistor: 'Resistors', parasitic: 'ESR / DCR' };
+const FIELD_LABELS = { value: 'value', resistance: 'R', inductance: 'L', capacitance: 'C', esr: 'ESR', dcr: 'DCR' };
+
+// Contributions listed below the chart
+const MAX_CONTRIBUTIONS = 8;
+
+const smallInputClass = 'w-16 border border-gray-300 rounded-lg px-2 py-1';
+
+/**
+ * Monte Carlo tolerance analysis: per-type and per-element tolerances,
+ * the total SPL envelope with percentile bands, and the parts whose
+ * tolerance moves the response most.
+ */
+const TolerancePanel = ({ design, sourceVoltage }) => {
+    const { drivers, crossoverElements } = design;
+
+    const [byType, setByType] = useState(DEFAULT_TOLERANCES);
+    const [byElement, setByElement] = useState({});
+    const [runs, setRuns] = useState(200);
+    const [distribution, setDistribution] = useState('uniform');
+    const [seed, setSeed] = useState(1);
+    const [progress, setProgress] = useState(null);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    const abortRef = useRef(null);
+
+    // Ladder elements plus the components of driver netlists
+    const parts = [
+        ...crossoverElements.map(element => ({ element, driverIndex: null })),
+        ...drivers.flatMap((driver, idx) => driver.netlist
+            ? driver.netlist.components.map(element => ({ element, driverIndex: idx }))
+            : [])
+    ];
+
+    const describePart = (element, driverIndex) => {
+        if (driverIndex !== null) {
+            const driver = drivers[driverIndex];
+            return `${driver ? driver.name : `Driver ${driverIndex + 1}`} · Netlist ${element.type} (${element.from}→${element.to})`;
+        }
+        const driver = drivers[element.driverIndex];
+        const driverName = isSharedElement(element)
+            ? 'Shared path'
+            : driver ? driver.name : `Driver ${element.driverIndex + 1}`;
+        return `${driverName} · ${element.series ? 'Series' : 'Parallel'} ${element.type}`;
+    };
+
+    const typeDefault = (element) => element.type === 'branch' ? null : byType[element.type];
+
+    // An empty field falls back to the per-type tolerance
+    const updateElementTolerance = (id, field, text) => {
+        setByElement(prev => {
+            const own = { ...prev[id] };
+            if (text === '') delete own[field];
+            else own[field] = Math.max(0, parseFloat(text) || 0);
+            return { ...prev, [id]: own };
+        });
+    };
+
+    const runAnalysis = async () => {
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setResult(null);
+        setError(null);
+        setProgress({ run: 0, runs });
+
+        try {
+            const outcome = await runMonteCarlo(design, {
+                sourceVoltage,
+                tolerances: { byType, byElement },
+                runs,
+                distribution,
+                seed,
+                onProgress: setProgress,
+                signal: controller.signal
+            });
+
+            const curves = outcome.envelope
+                .filter(point => point.min !== undefined)
+                .map(point => ({
+                    freq: point.freq,
+                    nominal: point.nominal,
+                    range: [point.min, point.max],
+                    outer: [point.p5, point.p95],
+                    inner: [point.p25, point.p75]
+                }));
+            const widest = outcome.envelope.reduce((best, point) =>
+                point.p95 - point.p5 > (best ? best.p95 - best.p5 : -Infinity) ? point : best, null);
+
+            const domain = [outcome.envelope[0].freq, outcome.envelope[outcome.envelope.length - 1].freq];
+            setResult({ ...outcome, curves, widest, domain });
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            abortRef.current = null;
+            setProgress(null);
+        }
+    };
+
+    if (parts.length === 0) return null;
+
+    return (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-semibold">Tolerance Analysis</h2>
+                {progress ? (
+                    <button
+                        onClick={() => abortRef.current?.abort()}
+                        className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+                    >
+                        Stop
+                    </button>
+                ) : (
+                    <button
+                        onClick={runAnalysis}
+                        className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+                    >
+                        <Dices size={18} /> Run Monte Carlo
+                    </button>
+                )}
+            </div>
+
+            <div className="grid grid-cols-3 gap-3 mb-4">
+                <div>
+                    <label htmlFor="mc-runs" className="block text-sm font-medium text-gray-700 mb-1">Runs</label>
+                    <input
+                        id="mc-runs"
+                        type="number"
+                        min="1"
+                        value={runs}
+                        onChange={(e) => setRuns(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                        className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                </div>
+                <div>
+                    <label htmlFor="mc-distribution" className="block text-sm font-medium text-gray-700 mb-1">Distribution</label>
+                    <select
+                        id="mc-distribution"
+                        value={distribution}
+                        onChange={(e) => setDistribution(e.target.value)}
+                        className="w-full border border-gray-300 rounded-lg px-3 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        {Object.entries(TOLERANCE_DISTRIBUTIONS).map(([key, label]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="mc-seed" className="block text-sm font-medium text-gray-700 mb-1">Seed</label>
+                    <input
+                        id="mc-seed"
+                        type="number"
+                        value={seed}
+                        onChange={(e) => setSeed(parseInt(e.target.value, 10) || 0)}
+                        className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                </div>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+                {Object.entries(TYPE_LABELS).map(([key, label]) => (
+                    <div key={key}>
+                        <label htmlFor={`mc-type-${key}`} className="block text-xs text-gray-500">{label} (±%)</label>
+                        <input
+                            id={`mc-type-${key}`}
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={byType[key]}
+                            onChange={(e) => setByType({ ...byType, [key]: Math.max(0, parseFloat(e.target.value) || 0) })}
+                            className="w-full text-sm border border-gray-300 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                    </div>
+                ))}
+            </div>
+
+            <div className="space-y-2 mb-4">
+                {parts.map(({ element, driverIndex }) => {
+                    const own = byElement[element.id] || {};
+                    const fallback = typeDefault(element);
+                    return (
+                        <div key={`${driverIndex ?? 'x'}:${element.id}`} className="flex items-center gap-2 text-sm p-2 rounded-lg border border-gray-200">
+                            <span className="flex-1 truncate">{describePart(element, driverIndex)}</span>
+                            <input
+                                type="number"
+                                min="0"
+                                step="1"
+                                value={own.value ?? ''}
+                                placeholder={fallback ?? 'R/L/C'}
+                                onChange={(e) => updateElementTolerance(element.id, 'value', e.target.value)}
+                                className={smallInputClass}
+                                aria-label="Value tolerance (±%)"
+                                title="Value tolerance (±%); empty uses the per-type setting"
+                            />
+                            <input
+                                type="number"
+                                min="0"
+                                step="1"
+                                value={own.parasitic ?? ''}
+                                placeholder={byType.parasitic}
+                                onChange={(e) => updateElementTolerance(element.id, 'parasitic', e.target.value)}
+                                className={smallInputClass}
+                                aria-label="ESR / DCR tolerance (±%)"
+                                title="ESR / DCR tolerance (±%); empty uses the per-type setting"
+                            />
+                            <span className="text-xs text-gray-600">%</span>
+                        </div>
+                    );
+                })}
+            </div>
+
+            {progress && (
+                <div className="mb-4">
+                    <div className="flex justify-between text-sm text-gray-600 mb-1">
+                        <span>Run {progress.run} / {progress.runs}</span>
+                    </div>
+                    <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                        <div
+                            className="h-full bg-purple-600 transition-all"
+                            style={{ width: `${(progress.run / progress.runs) * 100}%` }}
+                        />
+                    </div>
+                </div>
+            )}
+
+            {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+            {result && (
+                <div className="space-y-3">
+                    <p className="text-sm">
+                        {result.runs} runs
+                        {result.widest && (
+                            <> · widest 5–95% spread <strong>{(result.widest.p95 - result.widest.p5).toFixed(2)} dB</strong> at {result.widest.freq.toFixed(0)} Hz</>
+                        )}
+                    </p>
+                    <div className="bg-gray-50 rounded-lg p-2 border border-gray-200">
+                        <ResponsiveContainer width="100%" height={260}>
+                            <ComposedChart data={result.curves}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#ccc" />
+                                <XAxis
+                                    dataKey="freq"
+                                    type="number"
+                                    scale="log"
+                                    domain={result.domain}
+                                    ticks={getFrequencyTicks(...result.domain)}
+                                    tickFormatter={(value) => value >= 1000 ? `${value / 1000}k` : value}
+                                    stroke="#666"
+                                />
+                                <YAxis domain={['auto', 'auto']} stroke="#666" />
+                                <Tooltip
+                                    formatter={(value) => Array.isArray(value)
+                                        ? `${value[0].toFixed(2)} – ${value[1].toFixed(2)} dB`
+                                        : `${value.toFixed(2)} dB`}
+                                    labelFormatter={(value) => `${value.toFixed(0)} Hz`}
+                                />
+                                <Legend />
+                                <Area type="monotone" dataKey="range" stroke="none" fill="#c4b5fd" fillOpacity={0.3} name="Min – max" />
+                                <Area type="monotone" dataKey="outer" stroke="none" fill="#8b5cf6" fillOpacity={0.3} name="5–95%" />
+                                <Area type="monotone" dataKey="inner" stroke="none" fill="#6d28d9" fillOpacity={0.35} name="25–75%" />
+                                <Line type="monotone" dataKey="nominal" stroke="#111827" strokeWidth={2} name="Nominal" dot={false} />
+                            </ComposedChart>
+                        </ResponsiveContainer>
+                    </div>
+                    <div>
+                        <h3 className="text-sm font-semibold mb-1">Largest contributions</h3>
+                        <p className="text-xs text-gray-500 mb-2">Change of the total SPL with one part at either end of its tolerance</p>
+                        <ol className="list-decimal list-inside space-y-1 text-sm text-gray-700">
+                            {result.contributions.slice(0, MAX_CONTRIBUTIONS).map(c => (
+                                <li key={`${c.driverIndex ?? 'x'}:${c.id}:${c.field}`}>
+                                    {describePart(c.element, c.driverIndex)} {FIELD_LABELS[c.field]} ±{(c.tolerance * 100).toFixed(0)}%:
+                                    {' '}<strong>{c.rmsDeviation.toFixed(2)} dB RMS</strong>, {c.maxDeviation.toFixed(2)} dB max
+                                </li>
+                            ))}
+                        </ol>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TolerancePanel;
@@ -0,0 +1,156 @@
+import {
+    EPSILON,
+    complexAdd,
+    complexDivide,
+    complexExp,
+    complexMagnitude,
+    complexMultiply,
+    complexPhase,
+    complexSqrt
+} from './complex.js';
+
+// Air at 20 °C
+const AIR_DENSITY = 1.204; // kg/m^3
+export const SPEED_OF_SOUND = 343.2; // m/s
+const AIR_VISCOSITY = 1.81e-5; // Pa·s
+const PRANDTL_NUMBER = 0.71;
+const HEAT_CAPACITY_RATIO = 1.4;
+
+// Acoustic impedances are handled in units of 1e6 Pa·s/m^3 so tube
+// admittances stay well above complexDivide's EPSILON floor
+const IMPEDANCE_UNIT = 1e6;
+
+// Damper ratings are quoted in CGS acoustic ohms (dyn·s/cm^5)
+const CGS_ACOUSTIC_OHM = 1e5;
+
+// Length added to a nozzle bore for the mass loading where it opens into the canal
+const BORE_END_CORRECTION = 0.85; // x radius
+
+export const ACOUSTIC_ELEMENT_TYPES = ['tube', 'damper', 'bore'];
+
+// Standard acoustic damper values (CGS acoustic ohms)
+export const DAMPER_RATINGS = [330, 680, 1000, 1500, 2200, 3300, 4700];
+
+export const ACOUSTIC_SOURCES = {
+    velocity: 'Velocity source (balanced armature)',
+    pressure: 'Pressure source (dynamic)'
+};
+
+export const DEFAULT_ACOUSTIC_PATH = { source: 'velocity', elements: [] };
+
+const ONE = { real: 1, imag: 0 };
+
+// J1(z) / J0(z): power series for small |z|, Hankel asymptote
+// (valid for Im z > 0) beyond
+const besselRatio = (z) => {
+    if (complexMagnitude(z) > 12) {
+        return complexAdd({ real: 0, imag: 1 }, complexDivide({ real: 0.5, imag: 0 }, z));
+    }
+    const zSquared = complexMultiply(z, z);
+    const q = { real: -zSquared.real / 4, imag: -zSquared.imag / 4 };
+    let j0Term = ONE;
+    let j1Term = { real: z.real / 2, imag: z.imag / 2 };
+    let j0 = j0Term;
+    let j1 = j1Term;
+    for (let k = 1; k < 80; k++) {
+        j0Term = complexMultiply(j0Term, { real: q.real / (k * k), imag: q.imag / (k * k) });
+        j1Term = complexMultiply(j1Term, { real: q.real / (k * (k + 1)), imag: q.imag / (k * (k + 1)) });
+        j0 = complexAdd(j0, j0Term);
+        j1 = complexAdd(j1, j1Term);
+    }
+    return complexDivide(j1, j0);
+};
+
+// Zwikker-Kosten boundary-layer function F = 2 J1(z) / (z J0(z)),
+// z = s·j^(3/2) for shear (or thermal) wave number s
+const boundaryLayerFunction = (s) => {
+    const z = { real: -s * Math.SQRT1_2, imag: s * Math.SQRT1_2 };
+    return complexDivide(complexMultiply({ real: 2, imag: 0 }, besselRatio(z)), z);
+};
+
+/**
+ * Transfer matrix [[A, B], [C, D]] of a lossy circular tube, relating
+ * (pressure, volume velocity) at its input to those at its output.
+ * Viscous and thermal losses follow the Zwikker-Kosten model.
+ */
+const tubeMatrix = (omega, lengthMm, diameterMm) => {
+    const radius = diameterMm / 2000;
+    const length = lengthMm / 1000;
+    const area = Math.PI * radius * radius;
+
+    const shear = radius * Math.sqrt(omega * AIR_DENSITY / AIR_VISCOSITY);
+    const Fv = boundaryLayerFunction(Math.max(shear, EPSILON));
+    const Ft = boundaryLayerFunction(Math.max(shear * Math.sqrt(PRANDTL_NUMBER), EPSILON));
+
+    // Series impedance and shunt admittance per metre
+    const Zs = complexDivide(
+        { real: 0, imag: omega * AIR_DENSITY / (area * IMPEDANCE_UNIT) },
+        { real: 1 - Fv.real, imag: -Fv.imag }
+    );
+    const Ys = complexMultiply(
+        { real: 0, imag: omega * area * IMPEDANCE_UNIT / (AIR_DENSITY * SPEED_OF_SOUND * SPEED_OF_SOUND) },
+        { real: 1 + (HEAT_CAPACITY_RATIO - 1) * Ft.real, imag: (HEAT_CAPACITY_RATIO - 1) * Ft.imag }
+    );
+
+    const Zc = complexSqrt(complexDivide(Zs, Ys));
+    const gammaL = complexMultiply(complexSqrt(complexMultiply(Zs, Ys)), { real: length, imag: 0 });
+    const grow = complexExp(gammaL);
+    const decay = complexExp({ real: -gammaL.real, imag: -gammaL.imag });
+    const cosh = { real: (grow.real + decay.real) / 2, imag: (grow.imag + decay.imag) / 2 };
+    const sinh = { real: (grow.real - decay.real) / 2, imag: (grow.imag - decay.imag) / 2 };
+
+    return [[cosh, complexMultiply(Zc, sinh)], [complexDivide(sinh, Zc), cosh]];
+};
+
+const multiplyMatrices = (m, n) => [0, 1].map(row => [0, 1].map(col => complexAdd(
+    complexMultiply(m[row][0], n[0][col]),
+    complexMultiply(m[row][1], n[1][col])
+)));
+
+const elementMatrix = (element, omega) => {
+    if (element.type === 'damper') {
+        const resistance = element.rating * CGS_ACOUSTIC_OHM / IMPEDANCE_UNIT;
+        return [[ONE, { real: resistance, imag: 0 }], [{ real: 0, imag: 0 }, ONE]];
+    }
+    if (element.type === 'bore') {
+        const endCorrection = BORE_END_CORRECTION * element.diameter / 2;
+        return tubeMatrix(omega, element.length + endCorrection, element.diameter);
+    }
+    return tubeMatrix(omega, element.length, element.diameter);
+};
+
+// The canal volume of the ear simulator as a compliance
+const canalLoadImpedance = (omega, earSimulator) => {
+    const volume = earSimulator.canalVolume * 1e-6; // cc -> m^3
+    const compliance = volume * IMPEDANCE_UNIT / (AIR_DENSITY * SPEED_OF_SOUND * SPEED_OF_SOUND);
+    return { real: 0, imag: -1 / (Math.max(omega, EPSILON) * compliance) };
+};
+
+/**
+ * Change in a driver's response from its acoustic path at `freq`: the
+ * pressure in the canal through the tubes, dampers and bore of `path`,
+ * relative to the driver feeding the canal directly (as measured in the FRD).
+ * Elements are listed from the driver outwards.
+ *
+ * Returns { gainDb, phaseDeg }.
+ */
+export const getAcousticPathResponse = (freq, path, earSimulator) => {
+    if (!path || path.elements.length === 0) return { gainDb: 0, phaseDeg: 0 };
+
+    const omega = 2 * Math.PI * freq;
+    const [[A, B], [C, D]] = path.elements
+        .map(element => elementMatrix(element, omega))
+        .reduce(multiplyMatrices);
+    const Zload = canalLoadImpedance(omega, earSimulator);
+
+    // Velocity source: p = U / (C + D / Zload), directly U·Zload
+    // Pressure source: p = p0 / (A + B / Zload), directly p0
+    const H = path.source === 'pressure'
+        ? complexDivide(ONE, complexAdd(A, complexDivide(B, Zload)))
+        : complexDivide(ONE, complexAdd(complexMultiply(C, Zload), D));
+
+    return {
+        gainDb: 20 * Math.log10(complexMagnitude(H) + EPSILON),
+        phaseDeg: complexPhase(H)
+    };
+};
@@ -0,0 +1,126 @@
+import { interpolatePhase } from './interpolation.js';
+import { readLevel } from './extrapolation.js';
+import { unwrapPhase } from './phase.js';
+
+// How several measurements of one driver are combined into the data it
+// simulates with; 'single' uses the measurement picked by `activeId`
+export const AVERAGING_MODES = {
+    db: 'dB average',
+    power: 'Power average',
+    complex: 'Complex average',
+    single: 'Single measurement'
+};
+
+export const DEFAULT_AVERAGING = 'db';
+
+// Measurement frequencies closer than this (relative) count as one
+const SAME_FREQUENCY = 1e-6;
+
+// Min/max per list of measurement files
+const spreadCache = new WeakMap();
+
+const valueKeyFor = (type) => type === 'zma' ? 'impedance' : 'spl';
+
+// Every file's frequencies, deduplicated, inside the range all files cover
+const unionGrid = (files) => {
+    const low = Math.max(...files.map(file => file.data[0].freq));
+    const high = Math.min(...files.map(file => file.data[file.data.length - 1].freq));
+    const freqs = files
+        .flatMap(file => file.data.map(p => p.freq))
+        .filter(freq => freq >= low && freq <= high)
+        .sort((a, b) => a - b);
+    return freqs.filter((freq, i) => i === 0 || freq - freqs[i - 1] > freqs[i - 1] * SAME_FREQUENCY);
+};
+
+// Magnitude in dB: SPL as is, impedance as dB-Ohm
+const toDb = (value, type) => type === 'zma' ? 20 * Math.log10(Math.max(value, 1e-12)) : value;
+const fromDb = (db, type) => type === 'zma' ? Math.pow(10, db / 20) : db;
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+// Phase of the mean unit vector, so angles either side of ±180° average correctly
+const circularMean = (phases) => {
+    const re = mean(phases.map(phase => Math.cos(phase * Math.PI / 180)));
+    const im = mean(phases.map(phase => Math.sin(phase * Math.PI / 180)));
+    return Math.atan2(im, re) * 180 / Math.PI;
+};
+
+/**
+ * Points a driver simulates with from its measurement set
+ * `{ files: [{ id, name, data }], mode, activeId }` of `type` ('frd' | 'zma').
+ *
+ *   db       mean of the levels in dB, circular mean of the phases
+ *   power    mean of the squared magnitudes, circular mean of the phases
+ *   complex  mean of the complex values (magnitude and phase together)
+ *   single   the file with `activeId` (the first if it is gone)
+ *
+ * Averages are taken on the union of the files' frequencies over the
+ * range they all cover, with the phase unwrapped. Returns null for an
+ * empty set.
+ */
+export const combineMeasurements = (measurements, type) => {
+    const files = measurements ? measurements.files.filter(file => file.data && file.data.length > 0) : [];
+    if (files.length === 0) return null;
+    if (measurements.mode === 'single') {
+        return (files.find(file => file.id === measurements.activeId) || files[0]).data;
+    }
+    if (files.length === 1) return files[0].data;
+
+    // Files that share no range cannot be averaged
+    const grid = unionGrid(files);
+    if (grid.length < 2) return files[0].data;
+
+    const valueKey = valueKeyFor(type);
+    const points = grid.map(freq => {
+        const levels = files.map(file => toDb(readLevel(file.data, freq, valueKey), type));
+        const phases = files.map(file => interpolatePhase(file.data, freq));
+
+        let db;
+        let phase = circularMean(phases);
+        if (measurements.mode === 'power') {
+            db = 10 * Math.log10(mean(levels.map(level => Math.pow(10, level / 10))));
+        } else if (measurements.mode === 'complex') {
+            const re = mean(levels.map((level, i) => Math.pow(10, level / 20) * Math.cos(phases[i] * Math.PI / 180)));
+            const im = mean(levels.map((level, i) => Math.pow(10, level / 20) * Math.sin(phases[i] * Math.PI / 180)));
+            db = 20 * Math.log10(Math.max(Math.hypot(re, im), 1e-12));
+            phase = Math.atan2(im, re) * 180 / Math.PI;
+        } else {
+            db = mean(levels);
+        }
+        return { freq, [valueKey]: fromDb(db, type), phase };
+    });
+    const phases = unwrapPhase(points.map(p => p.phase));
+    return points.map((p, i) => ({ ...p, phase: phases[i] }));
+};
+
+/**
+ * Lowest and highest SPL across a driver's FRD measurement files, as two
+ * point lists `{ min, max }` on their common grid (empty when they share
+ * no range). Memoised per files array.
+ */
+export const getMeasurementSpread = (files) => {
+    if (!spreadCache.has(files)) {
+        const usable = files.filter(file => file.data && file.data.length > 0);
+        const grid = unionGrid(usable);
+        const levels = grid.map(freq => usable.map(file => readLevel(file.data, freq, 'spl')));
+        spreadCache.set(files, {
+            min: grid.map((freq, i) => ({ freq, spl: Math.min(...levels[i]) })),
+            max: grid.map((freq, i) => ({ freq, spl: Math.max(...levels[i]) }))
+        });
+    }
+    return spreadCache.get(files);
+};
+
+/**
+ * Copy of `driver` with its `type` measurement set replaced and the
+ * `frd` / `zma` it simulates with recombined. An empty set clears both.
+ */
+export const withMeasurements = (driver, type, measurements) => {
+    const field = type === 'zma' ? 'zmaMeasurements' : 'frdMeasurements';
+    const hasFiles = !!measurements && measurements.files.length > 0;
+    return {
+        ...driver,
+        [field]: hasFiles ? measurements : null,
+        [type]: hasFiles ? combineMeasurements(measurements, type) : null
+    };
+};
@@ -0,0 +1,57 @@
+import { complexAdd, complexDivide, complexMagnitude, complexPhase } from './complex.js';
+import { getDriverImpedance } from './crossover.js';
+import { getElementImpedance } from './elements.js';
+
+/**
+ * Zobel network (series R-C across the driver) cancelling the
+ * inductive rise: R = Re, C = Le / Re^2. Returned as a 'branch' element.
+ */
+export const designZobel = ({ re, le }) => {
+    if (!(le > 0)) return null;
+    return {
+        type: 'branch',
+        series: false,
+        resistance: re,
+        inductance: 0,
+        capacitance: (le / (re * re)) * 1e6
+    };
+};
+
+/**
+ * Series L-C-R notch across the driver flattening a resonance peak,
+ * from the peak's Qms/Qes. Returned as a 'branch' element.
+ */
+export const designNotch = ({ peak }) => {
+    if (!peak) return null;
+    const { freq, base, qms, qes } = peak;
+    const omega = 2 * Math.PI * freq;
+    return {
+        type: 'branch',
+        series: false,
+        resistance: base + (base * qes) / qms,
+        inductance: ((base * qes) / omega) * 1e3,
+        capacitance: (1 / (omega * base * qes)) * 1e6
+    };
+};
+
+/**
+ * Driver impedance with compensation branches placed directly across it,
+ * at each frequency of the ZMA file.
+ */
+export const compensateImpedance = (zma, branches) => zma.map(p => {
+    const omega = 2 * Math.PI * p.freq;
+    const Zdriver = getDriverImpedance(p.freq, zma);
+
+    let Y = complexDivide({ real: 1, imag: 0 }, Zdriver);
+    branches.forEach(branch => {
+        Y = complexAdd(Y, complexDivide({ real: 1, imag: 0 }, getElementImpedance(branch, omega)));
+    });
+    const Z = complexDivide({ real: 1, imag: 0 }, Y);
+
+    return {
+        freq: p.freq,
+        raw: p.impedance,
+        compensated: complexMagnitude(Z),
+        compensatedPhase: complexPhase(Z)
+    };
+});
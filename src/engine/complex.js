@@ -0,0 +1,62 @@
+// A small constant to prevent division by zero and log(0)
+export const EPSILON = 1e-12;
+
+// Complex number operations
+export const complexAdd = (a, b) => ({
+    real: a.real + b.real,
+    imag: a.imag + b.imag
+});
+
+export const complexMultiply = (a, b) => ({
+    real: a.real * b.real - a.imag * b.imag,
+    imag: a.real * b.imag + a.imag * b.real
+});
+
+export const complexDivide = (a, b) => {
+    const denom = b.real * b.real + b.imag * b.imag;
+    // IEEE Check: Avoid division by zero
+    if (Math.abs(denom) < EPSILON) return { real: 0, imag: 0 };
+    return {
+        real: (a.real * b.real + a.imag * b.imag) / denom,
+        imag: (a.imag * b.real - a.real * b.imag) / denom
+    };
+};
+
+export const complexMagnitude = (z) => Math.sqrt(z.real * z.real + z.imag * z.imag);
+export const complexPhase = (z) => Math.atan2(z.imag, z.real) * 180 / Math.PI;
+
+// Principal square root
+export const complexSqrt = (z) => {
+    const magnitude = complexMagnitude(z);
+    const real = Math.sqrt((magnitude + z.real) / 2);
+    const imag = Math.sqrt((magnitude - z.real) / 2);
+    return { real, imag: z.imag < 0 ? -imag : imag };
+};
+
+export const complexExp = (z) => {
+    const scale = Math.exp(z.real);
+    return { real: scale * Math.cos(z.imag), imag: scale * Math.sin(z.imag) };
+};
+
+export const parallelImpedance = (z1, z2) => {
+    return complexDivide(
+        complexMultiply(z1, z2),
+        complexAdd(z1, z2)
+    );
+};
+
+// Helper for a parallel RLC branch
+export const parallelRLC = (R, L, C, omega) => {
+    // IEEE Check: Use EPSILON as floor
+    if (R < EPSILON) R = EPSILON;
+    if (L < EPSILON) L = EPSILON;
+    if (C < EPSILON) C = EPSILON;
+
+    const Y_R = { real: 1 / R, imag: 0 };
+    const Y_L = { real: 0, imag: -1 / (omega * L + EPSILON) };
+    const Y_C = { real: 0, imag: omega * C };
+
+    const Y_total = complexAdd(Y_R, complexAdd(Y_L, Y_C));
+
+    return complexDivide({ real: 1, imag: 0 }, Y_total);
+};
@@ -0,0 +1,149 @@
+import {
+    EPSILON,
+    complexAdd,
+    complexMultiply,
+    complexDivide,
+    complexMagnitude,
+    complexPhase,
+    parallelImpedance
+} from './complex.js';
+import { interpolatePhase } from './interpolation.js';
+import { readLevel } from './extrapolation.js';
+import { getEarSimulatorImpedance, Z_EAR_REF_MAG } from './earSimulator.js';
+import { getElementImpedance } from './elements.js';
+import { getModelImpedance } from './impedanceModel.js';
+import { solveNetlist } from './netlist.js';
+
+/**
+ * Driver electrical impedance at `freq`, interpolated from ZMA data and
+ * extrapolated beyond it with `extrapolation` (see ZMA_EXTRAPOLATION_MODELS).
+ * Without ZMA data the parametric `impedanceModel` (see getModelImpedance)
+ * is used, and failing that a flat 8 Ohm resistive load.
+ */
+export const getDriverImpedance = (freq, driverImpedanceData, extrapolation, impedanceModel = null) => {
+    let Zdriver = { real: 8, imag: 0 }; // Default if no ZMA
+    if (driverImpedanceData && driverImpedanceData.length > 0) {
+        const impedanceMag = readLevel(driverImpedanceData, freq, 'impedance', extrapolation);
+        const phaseDeg = interpolatePhase(driverImpedanceData, freq);
+
+        if (impedanceMag !== null && phaseDeg !== null) {
+            const phaseRad = (phaseDeg * Math.PI) / 180;
+            Zdriver = {
+                real: impedanceMag * Math.cos(phaseRad),
+                imag: impedanceMag * Math.sin(phaseRad)
+            };
+        }
+    } else if (impedanceModel) {
+        Zdriver = getModelImpedance(freq, impedanceModel);
+    }
+    return Zdriver;
+};
+
+/**
+ * Solves a ladder of single elements for one frequency.
+ * Returns the input impedance Z and the transfer H = V_driver / V_source.
+ *
+ * THIS IS THE CORRECTED, TOPOLOGICALLY-AWARE VERSION.
+ * It builds the impedance and transfer function by starting
+ * at the driver and working outwards, respecting component order.
+ */
+export const solveLadder = (freq, elements, Zdriver) => {
+    const omega = 2 * Math.PI * freq;
+
+    // We start at the driver (load) and work outwards to the source.
+    let Z_current = Zdriver;
+    // H_current is the transfer function: (Voltage AT THE DRIVER) / (Voltage at the CURRENT point in the chain)
+    let H_current = { real: 1, imag: 0 }; // At the driver, V_driver / V_driver = 1.
+
+    // Sort elements DESCENDING by order (e.g., 2, 1, 0...)
+    // This processes components from the driver outwards.
+    const sortedElements = [...elements].sort((a, b) => b.order - a.order);
+
+    for (const element of sortedElements) {
+        // Get Z for the component, including parasitics
+        const Zelement = getElementImpedance(element, omega);
+
+        // Now apply this element to the chain
+        if (element.series) {
+            // Element is in SERIES with the current network.
+            // The new "input" is before this series element.
+            // This forms a voltage divider.
+            //
+            // V_out = V_in * (Z_current / (Zelement + Z_current))
+            // The voltage at the driver is H_current * V_out.
+            // So, H_new (V_driver / V_in) = H_current * (Z_current / (Zelement + Z_current))
+
+            H_current = complexMultiply(
+                H_current,
+                complexDivide(Z_current, complexAdd(Zelement, Z_current))
+            );
+
+            // The new total impedance is the sum.
+            Z_current = complexAdd(Z_current, Zelement);
+
+        } else {
+            // Element is in PARALLEL with the current network.
+            // The voltage across the parallel combo is the same as the
+            // voltage across Z_current, so the transfer function H_current
+            // (V_driver / V_current_input) does not change.
+
+            // The new total impedance is the parallel combination.
+            Z_current = parallelImpedance(Z_current, Zelement);
+        }
+    }
+
+    // After the loop:
+    // Z_current is the final Z_total_electrical seen by the source.
+    // H_current is the final H_electrical (V_driver / V_source)
+    return { Z: Z_current, H: H_current };
+};
+
+/**
+ * Calculates the crossover's effect on the driver.
+ *
+ * The network is the driver's ladder `elements`, unless a `netlist`
+ * is given, in which case it is solved by nodal analysis instead.
+ * The driver load is its ZMA data, or `impedanceModel` without it.
+ */
+export const calculateCrossoverImpedanceAndTransfer = (
+    freq,
+    elements,
+    driverImpedanceData,
+    sourceVoltage,
+    frdCompensated,
+    earSimulator,
+    netlist = null,
+    zmaExtrapolation,
+    impedanceModel = null
+) => {
+    // --- 1. Get Driver ELECTRICAL Impedance (from ZMA file or model) ---
+    const Zdriver = getDriverImpedance(freq, driverImpedanceData, zmaExtrapolation, impedanceModel);
+
+    // --- 2. Calculate Circuit Impedance and Transfer Function ---
+    const { Z: Z_total_electrical, H: H_electrical } = netlist
+        ? solveNetlist(netlist, freq, Zdriver)
+        : solveLadder(freq, elements, Zdriver);
+
+    // --- 3. Calculate ELECTRICAL Voltage Transfer Function ---
+    const electricalGainDb = 20 * Math.log10(complexMagnitude(H_electrical) + EPSILON);
+    const electricalPhaseDeg = complexPhase(H_electrical); // THIS IS THE CRITICAL NEW VALUE
+
+    // --- 4. Calculate ACOUSTIC Gain (from Ear Simulator) ---
+    const Zear_acoustic = getEarSimulatorImpedance(freq, earSimulator);
+    const Zear_magnitude = complexMagnitude(Zear_acoustic);
+
+    const earBoostDb = (earSimulator.enabled && !frdCompensated)
+        ? 20 * Math.log10((Zear_magnitude / Z_EAR_REF_MAG) + EPSILON)
+        : 0;
+
+    // --- 5. Calculate Final GAIN (to be applied to FRD) ---
+    const voltageGainDb = 20 * Math.log10(sourceVoltage + EPSILON);
+    const totalGainDb = electricalGainDb + voltageGainDb + earBoostDb;
+
+    return {
+        impedanceMagnitude: complexMagnitude(Z_total_electrical),
+        impedancePhase: complexPhase(Z_total_electrical),
+        totalGainDb: totalGainDb, // The total dB change to apply to the SPL
+        electricalPhaseDeg: electricalPhaseDeg // The phase shift from the crossover
+    };
+};
@@ -0,0 +1,63 @@
+const formatCell = (value) => value?.toFixed(2) || '';
+const formatSample = (value) => value === undefined ? '' : value.toFixed(6);
+
+// Quote a header cell if it contains CSV control characters
+const quoteHeader = (text) => /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+
+/**
+ * Serialises simulation points to CSV.
+ * Always writes the total columns; pass `drivers` to append
+ * SPL/impedance/phase columns for each driver.
+ */
+export const resultsToCsv = (points, drivers = []) => {
+    const header = ['Frequency(Hz)', 'Total SPL(dB)', 'Total Impedance(Ohm)', 'Total Phase(deg)'];
+    drivers.forEach((driver, idx) => {
+        const name = driver.name || `Driver ${idx + 1}`;
+        header.push(
+            quoteHeader(`${name} SPL(dB)`),
+            quoteHeader(`${name} Impedance(Ohm)`),
+            quoteHeader(`${name} Phase(deg)`)
+        );
+    });
+
+    let csv = header.join(',') + '\n';
+    points.forEach(point => {
+        const row = [
+            point.freq.toFixed(2),
+            formatCell(point.total_spl),
+            formatCell(point.total_impedance),
+            formatCell(point.total_phase)
+        ];
+        drivers.forEach((_, idx) => {
+            row.push(
+                formatCell(point[`driver${idx}_spl`]),
+                formatCell(point[`driver${idx}_impedance`]),
+                formatCell(point[`driver${idx}_phase`])
+            );
+        });
+        csv += row.join(',') + '\n';
+    });
+    return csv;
+};
+
+/**
+ * Serialises time-response rows (see computeTimeResponse) to CSV:
+ * time plus the total impulse/step, then each driver's.
+ */
+export const timeResponseToCsv = (rows, drivers = []) => {
+    const header = ['Time(ms)', 'Total Impulse', 'Total Step'];
+    drivers.forEach((driver, idx) => {
+        const name = driver.name || `Driver ${idx + 1}`;
+        header.push(quoteHeader(`${name} Impulse`), quoteHeader(`${name} Step`));
+    });
+
+    let csv = header.join(',') + '\n';
+    rows.forEach(row => {
+        const cells = [row.time.toFixed(4), formatSample(row.total_impulse), formatSample(row.total_step)];
+        drivers.forEach((_, idx) => {
+            cells.push(formatSample(row[`driver${idx}_impulse`]), formatSample(row[`driver${idx}_step`]));
+        });
+        csv += cells.join(',') + '\n';
+    });
+    return csv;
+};
@@ -0,0 +1,282 @@
+import { DELAY_UNITS, FREQUENCY_GRID_LIMITS, SOURCE_PRESETS, isSharedElement } from './simulate.js';
+import { ACOUSTIC_ELEMENT_TYPES, ACOUSTIC_SOURCES } from './acoustics.js';
+import { EXTRAPOLATION_MODELS, ZMA_EXTRAPOLATION_MODELS } from './extrapolation.js';
+import { AVERAGING_MODES } from './averaging.js';
+import { IMPEDANCE_MODEL_PARAMETERS, IMPEDANCE_MODEL_TYPES } from './impedanceModel.js';
+
+export const ELEMENT_TYPES = ['capacitor', 'inductor', 'resistor', 'branch'];
+
+// Units the element `value` field is expressed in
+export const ELEMENT_UNITS = { capacitor: 'uF', inductor: 'mH', resistor: 'Ohm' };
+
+// A 'branch' element is a series R-L-C string with no single `value`;
+// these fields hold its parts (Ohm, mH, uF). Zero inductance or
+// capacitance leaves that part out of the branch.
+export const BRANCH_FIELDS = ['resistance', 'inductance', 'capacitance'];
+
+export const BRANCH_FIELD_LABELS = {
+    resistance: 'R (Ohm)',
+    inductance: 'L (mH, 0 = none)',
+    capacitance: 'C (uF, 0 = none)'
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const validatePoints = (points, valueKey, label) => {
+    if (points === null || points === undefined) return;
+    if (!Array.isArray(points)) {
+        throw new Error(`${label} must be an array of points`);
+    }
+    points.forEach((p, i) => {
+        if (!p || !isFiniteNumber(p.freq) || !isFiniteNumber(p[valueKey])) {
+            throw new Error(`${label}[${i}] needs numeric "freq" and "${valueKey}"`);
+        }
+        if (p.phase !== undefined && !isFiniteNumber(p.phase)) {
+            throw new Error(`${label}[${i}].phase must be a number`);
+        }
+    });
+};
+
+const validateMeasurements = (measurements, valueKey, label) => {
+    if (!measurements || typeof measurements !== 'object' || !Array.isArray(measurements.files)) {
+        throw new Error(`${label} must be an object with a "files" array`);
+    }
+    if (!(measurements.mode in AVERAGING_MODES)) {
+        throw new Error(`${label}.mode must be one of ${Object.keys(AVERAGING_MODES).join(', ')}`);
+    }
+    measurements.files.forEach((file, i) => {
+        if (!file || typeof file !== 'object') {
+            throw new Error(`${label}.files[${i}] must be an object`);
+        }
+        if (typeof file.name !== 'string') {
+            throw new Error(`${label}.files[${i}].name must be a string`);
+        }
+        validatePoints(file.data, valueKey, `${label}.files[${i}].data`);
+    });
+};
+
+const validateImpedanceModel = (model, label) => {
+    if (!model || typeof model !== 'object') {
+        throw new Error(`${label} must be an object`);
+    }
+    if (!(model.type in IMPEDANCE_MODEL_TYPES)) {
+        throw new Error(`${label}.type must be one of ${Object.keys(IMPEDANCE_MODEL_TYPES).join(', ')}`);
+    }
+    Object.entries(IMPEDANCE_MODEL_PARAMETERS).forEach(([key, { min, max }]) => {
+        if (!isFiniteNumber(model[key]) || model[key] < min || model[key] > max) {
+            throw new Error(`${label}.${key} must be a number from ${min} to ${max}`);
+        }
+    });
+    if (model.overrideZma !== undefined && typeof model.overrideZma !== 'boolean') {
+        throw new Error(`${label}.overrideZma must be true or false`);
+    }
+};
+
+// Value fields shared by ladder elements and netlist components
+const validateElementValues = (el, label) => {
+    if (!ELEMENT_TYPES.includes(el.type)) {
+        throw new Error(`${label}.type must be one of ${ELEMENT_TYPES.join(', ')}`);
+    }
+    if (el.type === 'branch') {
+        BRANCH_FIELDS.forEach(key => {
+            if (!isFiniteNumber(el[key]) || el[key] < 0) {
+                throw new Error(`${label}.${key} must be a non-negative number`);
+            }
+        });
+    } else if (!isFiniteNumber(el.value) || el.value < 0) {
+        throw new Error(`${label}.value must be a non-negative number`);
+    }
+    ['esr', 'dcr'].forEach(key => {
+        if (el[key] !== undefined && !isFiniteNumber(el[key])) {
+            throw new Error(`${label}.${key} must be a number`);
+        }
+    });
+};
+
+const validateNetlist = (netlist, label) => {
+    if (!netlist || !Array.isArray(netlist.components)) {
+        throw new Error(`${label}.components must be an array`);
+    }
+    netlist.components.forEach((c, i) => {
+        const componentLabel = `${label}.components[${i}]`;
+        if (!c || typeof c !== 'object') {
+            throw new Error(`${componentLabel} must be an object`);
+        }
+        validateElementValues(c, componentLabel);
+        ['from', 'to'].forEach(key => {
+            if (typeof c[key] !== 'string' || c[key].trim() === '') {
+                throw new Error(`${componentLabel}.${key} must be a node name`);
+            }
+        });
+        if (c.from === c.to) {
+            throw new Error(`${componentLabel} connects node "${c.from}" to itself`);
+        }
+    });
+};
+
+const validateAcousticPath = (path, label) => {
+    if (!path || typeof path !== 'object' || !Array.isArray(path.elements)) {
+        throw new Error(`${label}.elements must be an array`);
+    }
+    if (!(path.source in ACOUSTIC_SOURCES)) {
+        throw new Error(`${label}.source must be one of ${Object.keys(ACOUSTIC_SOURCES).join(', ')}`);
+    }
+    path.elements.forEach((el, i) => {
+        const elementLabel = `${label}.elements[${i}]`;
+        if (!el || !ACOUSTIC_ELEMENT_TYPES.includes(el.type)) {
+            throw new Error(`${elementLabel}.type must be one of ${ACOUSTIC_ELEMENT_TYPES.join(', ')}`);
+        }
+        if (el.type === 'damper') {
+            if (!isFiniteNumber(el.rating) || el.rating < 0) {
+                throw new Error(`${elementLabel}.rating must be a non-negative number`);
+            }
+            return;
+        }
+        if (!isFiniteNumber(el.length) || el.length < 0) {
+            throw new Error(`${elementLabel}.length must be a non-negative number`);
+        }
+        if (!isFiniteNumber(el.diameter) || el.diameter <= 0) {
+            throw new Error(`${elementLabel}.diameter must be a positive number`);
+        }
+    });
+};
+
+const validateFrequencyGrid = (grid) => {
+    if (!grid || typeof grid !== 'object') {
+        throw new Error('"frequencyGrid" must be an object');
+    }
+    const { minFrequency, maxFrequency, maxPointsPerOctave } = FREQUENCY_GRID_LIMITS;
+    ['start', 'stop'].forEach(key => {
+        if (!isFiniteNumber(grid[key]) || grid[key] < minFrequency || grid[key] > maxFrequency) {
+            throw new Error(`frequencyGrid.${key} must be between ${minFrequency} and ${maxFrequency} Hz`);
+        }
+    });
+    if (grid.stop <= grid.start) {
+        throw new Error('frequencyGrid.stop must be above frequencyGrid.start');
+    }
+    if (!isFiniteNumber(grid.pointsPerOctave) || grid.pointsPerOctave < 1 || grid.pointsPerOctave > maxPointsPerOctave) {
+        throw new Error(`frequencyGrid.pointsPerOctave must be between 1 and ${maxPointsPerOctave}`);
+    }
+    if (typeof grid.useMeasured !== 'boolean') {
+        throw new Error('frequencyGrid.useMeasured must be true or false');
+    }
+};
+
+/**
+ * Checks that a design has the shape `simulate` expects.
+ * Throws an Error describing the first problem found.
+ */
+export const validateDesign = (design) => {
+    if (!design || typeof design !== 'object') {
+        throw new Error('Design must be an object');
+    }
+
+    const { drivers, crossoverElements, earSimulator, sourcePreset, customVoltage, frequencyGrid, target } = design;
+
+    if (!Array.isArray(drivers)) {
+        throw new Error('"drivers" must be an array');
+    }
+    drivers.forEach((driver, idx) => {
+        const label = `drivers[${idx}]`;
+        if (!driver || typeof driver !== 'object') {
+            throw new Error(`${label} must be an object`);
+        }
+        if (driver.name !== undefined && typeof driver.name !== 'string') {
+            throw new Error(`${label}.name must be a string`);
+        }
+        validatePoints(driver.frd, 'spl', `${label}.frd`);
+        validatePoints(driver.zma, 'impedance', `${label}.zma`);
+        if (driver.frdMeasurements !== undefined && driver.frdMeasurements !== null) {
+            validateMeasurements(driver.frdMeasurements, 'spl', `${label}.frdMeasurements`);
+        }
+        if (driver.zmaMeasurements !== undefined && driver.zmaMeasurements !== null) {
+            validateMeasurements(driver.zmaMeasurements, 'impedance', `${label}.zmaMeasurements`);
+        }
+        if (driver.netlist !== undefined && driver.netlist !== null) {
+            validateNetlist(driver.netlist, `${label}.netlist`);
+        }
+        ['delay', 'levelTrim'].forEach(key => {
+            if (driver[key] !== undefined && !isFiniteNumber(driver[key])) {
+                throw new Error(`${label}.${key} must be a number`);
+            }
+        });
+        if (driver.minimumPhase !== undefined && typeof driver.minimumPhase !== 'boolean') {
+            throw new Error(`${label}.minimumPhase must be true or false`);
+        }
+        [['frdExtrapolation', EXTRAPOLATION_MODELS], ['zmaExtrapolation', ZMA_EXTRAPOLATION_MODELS]].forEach(([key, models]) => {
+            if (driver[key] !== undefined && !(driver[key] in models)) {
+                throw new Error(`${label}.${key} must be one of ${Object.keys(models).join(', ')}`);
+            }
+        });
+        if (driver.delayUnit !== undefined && !(driver.delayUnit in DELAY_UNITS)) {
+            throw new Error(`${label}.delayUnit must be one of ${Object.keys(DELAY_UNITS).join(', ')}`);
+        }
+        if (driver.acousticPath !== undefined && driver.acousticPath !== null) {
+            validateAcousticPath(driver.acousticPath, `${label}.acousticPath`);
+        }
+        if (driver.impedanceModel !== undefined && driver.impedanceModel !== null) {
+            validateImpedanceModel(driver.impedanceModel, `${label}.impedanceModel`);
+        }
+    });
+
+    if (!Array.isArray(crossoverElements)) {
+        throw new Error('"crossoverElements" must be an array');
+    }
+    crossoverElements.forEach((el, i) => {
+        const label = `crossoverElements[${i}]`;
+        if (!el || typeof el !== 'object') {
+            throw new Error(`${label} must be an object`);
+        }
+        validateElementValues(el, label);
+        if (!isSharedElement(el)
+            && (!Number.isInteger(el.driverIndex) || el.driverIndex < 0 || el.driverIndex >= drivers.length)) {
+            throw new Error(`${label}.driverIndex must reference an existing driver or be null for the shared path`);
+        }
+        if (typeof el.series !== 'boolean') {
+            throw new Error(`${label}.series must be true or false`);
+        }
+        if (!isFiniteNumber(el.order)) {
+            throw new Error(`${label}.order must be a number`);
+        }
+    });
+
+    if (earSimulator !== undefined) {
+        if (!earSimulator || typeof earSimulator !== 'object') {
+            throw new Error('"earSimulator" must be an object');
+        }
+        if (typeof earSimulator.enabled !== 'boolean') {
+            throw new Error('earSimulator.enabled must be true or false');
+        }
+        ['canalVolume', 'canalLength', 'drumCompliance', 'leakage'].forEach(key => {
+            if (!isFiniteNumber(earSimulator[key])) {
+                throw new Error(`earSimulator.${key} must be a number`);
+            }
+        });
+    }
+
+    if (sourcePreset !== undefined && !(sourcePreset in SOURCE_PRESETS)) {
+        throw new Error(`"sourcePreset" must be one of ${Object.keys(SOURCE_PRESETS).join(', ')}`);
+    }
+    if (customVoltage !== undefined && (!isFiniteNumber(customVoltage) || customVoltage <= 0)) {
+        throw new Error('"customVoltage" must be a positive number');
+    }
+
+    if (frequencyGrid !== undefined) {
+        validateFrequencyGrid(frequencyGrid);
+    }
+
+    if (target !== undefined && target !== null) {
+        if (typeof target !== 'object') {
+            throw new Error('"target" must be an object');
+        }
+        validatePoints(target.points, 'spl', 'target.points');
+        if (!Array.isArray(target.points)) {
+            throw new Error('target.points must be an array of points');
+        }
+        ['offset', 'tilt'].forEach(key => {
+            if (!isFiniteNumber(target[key])) {
+                throw new Error(`target.${key} must be a number`);
+            }
+        });
+    }
+};
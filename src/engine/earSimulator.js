@@ -0,0 +1,50 @@
+import { complexAdd, parallelImpedance, parallelRLC } from './complex.js';
+
+// Default IEC 60318-4 simulator settings used by the app
+export const DEFAULT_EAR_SIMULATOR = {
+    enabled: true,
+    canalVolume: 1.0, // in cc
+    canalLength: 1.2, // in cm
+    drumCompliance: 1.0, // multiplier
+    leakage: 0.0 // 0-1 range
+};
+
+// Pre-calculated acoustic impedance magnitude at 200 Hz for reference
+export const Z_EAR_REF_MAG = 163.5;
+
+export const getEarSimulatorImpedance = (freq, earSimulator) => {
+    if (!earSimulator.enabled) {
+        return { real: Z_EAR_REF_MAG, imag: 0 };
+    }
+
+    const omega = 2 * Math.PI * freq;
+
+    // --- Standard IEC 60318-4 Equivalent Circuit Parameters ---
+    const R0 = 155.8;
+    const L0_base = 0.0076;
+    const R1 = 292;
+    const L1 = 0.021;
+    const C1_base = 200e-9;
+    const R2 = 1437;
+    const L2 = 0.106;
+    const C2_base = 30e-9;
+
+    // --- Apply Simulator Settings ---
+    const L0_scaled = L0_base * (earSimulator.canalLength / 1.2);
+    const C1_scaled = C1_base * (earSimulator.canalVolume / 1.0);
+    const C2_scaled = C2_base * earSimulator.drumCompliance;
+
+    // --- Calculate Circuit Impedance ---
+    const Z_branch0 = { real: R0, imag: omega * L0_scaled };
+    const Z_branch1 = parallelRLC(R1, L1, C1_scaled, omega);
+    const Z_branch2 = parallelRLC(R2, L2, C2_scaled, omega);
+
+    let Zear = complexAdd(Z_branch0, complexAdd(Z_branch1, Z_branch2));
+
+    if (earSimulator.leakage > 0) {
+        const R_leak = 1e9 / (1 + earSimulator.leakage * 100);
+        Zear = parallelImpedance(Zear, { real: R_leak, imag: 0 });
+    }
+
+    return Zear;
+};
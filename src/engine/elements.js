@@ -0,0 +1,31 @@
+import { EPSILON, complexAdd } from './complex.js';
+
+/**
+ * Complex impedance of a single crossover element at `omega`,
+ * including its ESR (capacitors) or DCR (inductors).
+ * 'branch' elements are a series R-L-C string.
+ */
+export const getElementImpedance = (element, omega) => {
+    const value = element.value;
+
+    if (element.type === 'capacitor') {
+        const Zcap = { real: 0, imag: (omega > EPSILON) ? -1 / (omega * value * 1e-6) : -1 / (EPSILON * value * 1e-6) };
+        const Zesr = { real: element.esr || 0, imag: 0 }; // ADD ESR
+        return complexAdd(Zcap, Zesr);
+    }
+    if (element.type === 'inductor') {
+        const Zind = { real: 0, imag: omega * value * 1e-3 };
+        const Zdcr = { real: element.dcr || 0, imag: 0 }; // ADD DCR
+        return complexAdd(Zind, Zdcr);
+    }
+    if (element.type === 'branch') {
+        // Series R-L-C string; a zero L or C is simply absent
+        const Zl = { real: 0, imag: omega * element.inductance * 1e-3 };
+        const Zc = element.capacitance > 0
+            ? { real: 0, imag: -1 / (Math.max(omega, EPSILON) * element.capacitance * 1e-6) }
+            : { real: 0, imag: 0 };
+        return complexAdd({ real: element.resistance, imag: 0 }, complexAdd(Zl, Zc));
+    }
+    // Resistor
+    return { real: value, imag: 0 };
+};
@@ -0,0 +1,127 @@
+import { EPSILON } from './complex.js';
+import { interpolateFrequencyData } from './interpolation.js';
+
+// How an FRD/ZMA file is continued beyond its first and last points
+export const EXTRAPOLATION_MODELS = {
+    hold: 'Hold edge value',
+    slope: 'Fitted slope (dB/oct)',
+    rolloff2: '2nd-order rolloff'
+};
+
+// Models offered for ZMA files: a rolloff would take the load towards 0 Ohm
+export const ZMA_EXTRAPOLATION_MODELS = {
+    hold: EXTRAPOLATION_MODELS.hold,
+    slope: EXTRAPOLATION_MODELS.slope
+};
+
+export const DEFAULT_EXTRAPOLATION = 'hold';
+
+// Span at each end used to fit the slope, and the steepest slope accepted
+const EDGE_SPAN_OCTAVES = 1 / 3;
+const MAX_SLOPE = 24; // dB/octave
+
+// Fitted slopes per data array and key
+const slopeCache = new WeakMap();
+
+// Values read as levels: SPL is already in dB, impedance goes through dB-Ohm
+const LEVELS = {
+    spl: { read: (p) => p.spl, toDb: (v) => v, fromDb: (db) => db },
+    impedance: {
+        read: (p) => p.impedance || 8,
+        toDb: (v) => 20 * Math.log10(Math.max(v, EPSILON)),
+        fromDb: (db) => Math.pow(10, db / 20)
+    }
+};
+
+// Least-squares dB/octave over the points within EDGE_SPAN_OCTAVES of an
+// edge (at least the two outermost points), clamped to ±MAX_SLOPE
+const fitSlope = (points, level) => {
+    const edge = points[0].freq;
+    let span = points.filter(p => Math.abs(Math.log2(p.freq / edge)) <= EDGE_SPAN_OCTAVES);
+    if (span.length < 2) span = points.slice(0, 2);
+    if (span.length < 2) return 0;
+
+    const xs = span.map(p => Math.log2(p.freq / edge));
+    const ys = span.map(p => level.toDb(level.read(p)));
+    const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+    let covariance = 0;
+    let variance = 0;
+    xs.forEach((x, i) => {
+        covariance += (x - meanX) * (ys[i] - meanY);
+        variance += (x - meanX) * (x - meanX);
+    });
+    if (variance < EPSILON) return 0;
+    return Math.max(-MAX_SLOPE, Math.min(MAX_SLOPE, covariance / variance));
+};
+
+const getEdgeSlopes = (data, key) => {
+    if (!slopeCache.has(data)) slopeCache.set(data, {});
+    const cached = slopeCache.get(data);
+    if (!cached[key]) {
+        cached[key] = {
+            low: fitSlope(data, LEVELS[key]),
+            high: fitSlope([...data].reverse(), LEVELS[key])
+        };
+    }
+    return cached[key];
+};
+
+/**
+ * True when `freq` lies outside the frequencies covered by `data`.
+ */
+export const isExtrapolated = (data, freq) => !!data && data.length > 0
+    && (freq < data[0].freq || freq > data[data.length - 1].freq);
+
+/**
+ * `key` ('spl' or 'impedance') of `data` at `freq`. Inside the data this is
+ * interpolateFrequencyData; outside it follows `model`:
+ *   hold      the edge value
+ *   slope     the dB/octave fitted to the outermost third-octave
+ *   rolloff2  a 2nd-order (12 dB/octave) fall-off with its corner at the
+ *             edge; SPL only, impedance holds its edge value instead
+ * Phase is not extrapolated here; interpolatePhase holds the edge phase.
+ */
+export const readLevel = (data, freq, key, model = DEFAULT_EXTRAPOLATION) => {
+    if (!data || data.length === 0) return null;
+
+    const level = LEVELS[key];
+    if (!(model in (key === 'impedance' ? ZMA_EXTRAPOLATION_MODELS : EXTRAPOLATION_MODELS))
+        || model === 'hold' || !isExtrapolated(data, freq)) {
+        return interpolateFrequencyData(data, freq, level.read);
+    }
+
+    const below = freq < data[0].freq;
+    const edge = below ? data[0] : data[data.length - 1];
+    const octaves = Math.log2(freq / edge.freq);
+    const edgeDb = level.toDb(level.read(edge));
+
+    if (model === 'slope') {
+        const slopes = getEdgeSlopes(data, key);
+        return level.fromDb(edgeDb + (below ? slopes.low : slopes.high) * octaves);
+    }
+    // Butterworth-shaped, normalised to meet the edge value
+    const ratio = Math.pow(2, Math.abs(octaves));
+    return level.fromDb(edgeDb - 10 * Math.log10((1 + Math.pow(ratio, 4)) / 2));
+};
+
+/**
+ * Splits each of `keys` for plotting: `key` keeps the values backed by
+ * data and `${key}_extrapolated_value` the ones flagged by
+ * `${key}_extrapolated`, plus the last measured point before each
+ * extrapolated run so the two lines join. Returns copies of `points`.
+ */
+export const splitExtrapolated = (points, keys) => points.map((point, i) => {
+    const copy = { ...point };
+    keys.forEach(key => {
+        if (point[key] === undefined) return;
+        const flagged = (p) => !!p && !!p[`${key}_extrapolated`];
+        if (flagged(point)) {
+            copy[`${key}_extrapolated_value`] = point[key];
+            delete copy[key];
+        } else if (flagged(points[i - 1]) || flagged(points[i + 1])) {
+            copy[`${key}_extrapolated_value`] = point[key];
+        }
+    });
+    return copy;
+});
@@ -0,0 +1,349 @@
+import { complexDivide, complexMagnitude, complexPhase } from './complex.js';
+import { hasPhaseData } from './minimumPhase.js';
+import { wrapPhase } from './phase.js';
+
+export const IMPEDANCE_MODEL_TYPES = {
+    ba: 'Balanced armature',
+    dd: 'Dynamic driver'
+};
+
+// Starting points for hand entry; a BA is dominated by its lossy coil
+// with a small mechanical peak, a DD by its low-frequency resonance
+export const DEFAULT_IMPEDANCE_MODELS = {
+    ba: { type: 'ba', re: 15, le: 2, exponent: 0.7, f0: 2500, qms: 3, qes: 10, overrideZma: false },
+    dd: { type: 'dd', re: 16, le: 0.02, exponent: 1, f0: 120, qms: 2, qes: 3, overrideZma: false }
+};
+
+// Editable parameters: label, unit and the range accepted (and searched when fitting)
+export const IMPEDANCE_MODEL_PARAMETERS = {
+    re: { label: 'Re', unit: 'Ohm', min: 0.1, max: 10000 },
+    le: { label: 'Le at 1 kHz', unit: 'mH', min: 1e-4, max: 1000 },
+    exponent: { label: 'Le exponent', unit: '', min: 0.2, max: 1 },
+    f0: { label: 'f0', unit: 'Hz', min: 5, max: 40000 },
+    qms: { label: 'Qms', unit: '', min: 0.1, max: 100 },
+    qes: { label: 'Qes', unit: '', min: 0.05, max: 10000 }
+};
+
+// The semi-inductance is referred to this frequency, so `le` reads as the
+// inductance of an ideal coil with the same |Z| at 1 kHz
+const LE_REFERENCE_OMEGA = 2 * Math.PI * 1000;
+
+/**
+ * Electrical impedance of a parametric driver model at `freq`:
+ *
+ *   Z = Re + K (jw)^n + Res / (1 + j Qms (f/f0 - f0/f))
+ *
+ * The voice coil is a semi-inductance (Leach's lossy inductor) with
+ * exponent n (1 = ideal coil, about 0.5-0.8 for eddy-current losses)
+ * scaled so |K (jw)^n| equals the reactance of `le` mH at 1 kHz. The
+ * resonance is a parallel RLC with Res = Re Qms / Qes.
+ */
+export const getModelImpedance = (freq, model) => {
+    const omega = 2 * Math.PI * freq;
+    const coil = LE_REFERENCE_OMEGA * model.le * 1e-3 * Math.pow(omega / LE_REFERENCE_OMEGA, model.exponent);
+    const coilAngle = model.exponent * Math.PI / 2;
+
+    const res = model.re * model.qms / model.qes;
+    const motional = complexDivide(
+        { real: res, imag: 0 },
+        { real: 1, imag: model.qms * (freq / model.f0 - model.f0 / freq) }
+    );
+
+    return {
+        real: model.re + coil * Math.cos(coilAngle) + motional.real,
+        imag: coil * Math.sin(coilAngle) + motional.imag
+    };
+};
+
+// R||L sections per decade of the semi-inductance network, and the
+// decades it extends past the band so its ends stay accurate
+const COIL_SECTIONS_PER_DECADE = 4;
+const COIL_PADDING_DECADES = 2;
+
+// Exponents this close to 1 are an ideal coil
+const IDEAL_COIL_EXPONENT = 1 - 1e-6;
+
+/**
+ * The model as an R/L/C network for circuit simulators, accurate over
+ * `fmin`..`fmax` Hz: a chain of stages in series, each a list of parts
+ * ({ type: 'resistor' | 'inductor' | 'capacitor', value } in Ohm, H
+ * and F) in parallel.
+ *
+ * The semi-inductance K (jw)^n is the integral
+ *   (sin(n pi) / pi) * integral of t^(n-1) jw / (jw + t) dt over t > 0,
+ * taken as R||L sections with corners t = R/L spaced evenly in log t,
+ * plus a resistor and an inductor for the parts of the integral below
+ * and above the sections. Within the band it matches to about 0.1%.
+ * The resonance is the parallel Res, Lces, Cmes.
+ */
+export const getModelNetwork = (model, fmin, fmax) => {
+    const w0 = 2 * Math.PI * model.f0;
+    const res = model.re * model.qms / model.qes;
+    const motional = [
+        { type: 'resistor', value: res },
+        { type: 'inductor', value: res / (model.qms * w0) },
+        { type: 'capacitor', value: model.qms / (w0 * res) }
+    ];
+
+    const n = model.exponent;
+    if (n >= IDEAL_COIL_EXPONENT) {
+        return [
+            [{ type: 'resistor', value: model.re }],
+            [{ type: 'inductor', value: model.le * 1e-3 }],
+            motional
+        ];
+    }
+
+    const k = LE_REFERENCE_OMEGA * model.le * 1e-3 / Math.pow(LE_REFERENCE_OMEGA, n) * Math.sin(n * Math.PI) / Math.PI;
+    const padding = Math.pow(10, COIL_PADDING_DECADES);
+    const lowest = 2 * Math.PI * fmin / padding;
+    const highest = 2 * Math.PI * fmax * padding;
+    const count = Math.ceil(Math.log10(highest / lowest) * COIL_SECTIONS_PER_DECADE);
+    const step = Math.log(highest / lowest) / count;
+
+    const sections = Array.from({ length: count }, (_, i) => {
+        const corner = lowest * Math.exp((i + 0.5) * step);
+        const r = k * Math.pow(corner, n) * step;
+        return [{ type: 'resistor', value: r }, { type: 'inductor', value: r / corner }];
+    });
+
+    return [
+        // Re plus the integral below the lowest corner, which is resistive in the band
+        [{ type: 'resistor', value: model.re + k * Math.pow(lowest, n) / n }],
+        ...sections,
+        // The integral above the highest corner, inductive in the band
+        [{ type: 'inductor', value: k * Math.pow(highest, n - 1) / (1 - n) }],
+        motional
+    ];
+};
+
+/**
+ * True when `driver`'s electrical load comes from its impedance model:
+ * it has one and either no ZMA or the model set to override it.
+ */
+export const usesImpedanceModel = (driver) => !!driver.impedanceModel
+    && (!driver.zma || driver.zma.length === 0 || !!driver.impedanceModel.overrideZma);
+
+/**
+ * The model sampled as ZMA points ({ freq, impedance, phase }) at `frequencies`.
+ */
+export const sampleImpedanceModel = (model, frequencies) => frequencies.map(freq => {
+    const Z = getModelImpedance(freq, model);
+    return {
+        freq,
+        impedance: complexMagnitude(Z),
+        phase: complexPhase(Z)
+    };
+});
+
+// A peak must rise this far above the Re + jwLe baseline to count as a resonance
+const MIN_PEAK_RATIO = 1.2;
+
+const magnitudes = (zma) => zma.map(p => ({ freq: p.freq, z: p.impedance }));
+
+/**
+ * Estimates Re (minimum |Z|) and Le (from the rise over the top octave
+ * of the file) for a driver's ZMA data, plus its strongest resonance
+ * peak above that baseline, if any.
+ */
+export const analyzeImpedance = (zma) => {
+    if (!zma || zma.length < 3) {
+        throw new Error('Load a ZMA file with at least three points first');
+    }
+    const points = magnitudes(zma);
+    const re = Math.min(...points.map(p => p.z));
+
+    const topFreq = points[points.length - 1].freq;
+    const leEstimates = points
+        .filter(p => p.freq >= topFreq / 2 && p.z > re)
+        .map(p => Math.sqrt(p.z * p.z - re * re) / (2 * Math.PI * p.freq))
+        .sort((a, b) => a - b);
+    const le = leEstimates.length > 0 ? leEstimates[Math.floor(leEstimates.length / 2)] : 0;
+
+    const baseline = (freq) => Math.hypot(re, 2 * Math.PI * freq * le);
+
+    let peakIdx = -1;
+    let peakRatio = MIN_PEAK_RATIO;
+    for (let i = 1; i < points.length - 1; i++) {
+        const ratio = points[i].z / baseline(points[i].freq);
+        if (points[i].z >= points[i - 1].z && points[i].z >= points[i + 1].z && ratio > peakRatio) {
+            peakIdx = i;
+            peakRatio = ratio;
+        }
+    }
+
+    let peak = null;
+    if (peakIdx !== -1) {
+        const f0 = points[peakIdx].freq;
+        const base = baseline(f0);
+        const zmax = points[peakIdx].z;
+        const r0 = zmax / base;
+        const level = base * Math.sqrt(r0);
+
+        // Frequencies either side where |Z| crosses sqrt(Zmax * base), log-interpolated
+        const crossing = (from, step) => {
+            for (let i = from; i + step >= 0 && i + step < points.length; i += step) {
+                const a = points[i];
+                const b = points[i + step];
+                if (b.z <= level) {
+                    const t = (a.z - level) / (a.z - b.z);
+                    return Math.exp(Math.log(a.freq) + (Math.log(b.freq) - Math.log(a.freq)) * t);
+                }
+            }
+            return null;
+        };
+        const f1 = crossing(peakIdx, -1);
+        const f2 = crossing(peakIdx, 1);
+
+        if (f1 && f2 && f2 > f1) {
+            const qms = (f0 * Math.sqrt(r0)) / (f2 - f1);
+            peak = { freq: f0, zmax, base, qms, qes: qms / (r0 - 1) };
+        }
+    }
+
+    return { re, le, peak };
+};
+
+// Fitted parameters, searched in log space
+const FIT_PARAMETERS = ['re', 'le', 'exponent', 'f0', 'qms', 'qes'];
+const FIT_MAX_ITERATIONS = 2000;
+const FIT_RESTARTS = 4;
+const FIT_TOLERANCE = 1e-10;
+const FIT_INITIAL_STEP = 0.3; // log units
+
+// Phase error (degrees) counted as one dB of magnitude error
+const PHASE_DEGREES_PER_DB = 6;
+
+// Qes that leaves a resonance too weak to see, for ZMAs without a peak
+const NO_PEAK_QES = 1000;
+
+// Points the starts are compared on; only the best start is refined
+// against the whole file
+const FIT_COARSE_POINTS = 96;
+
+// Runs between progress reports (and yields to the UI)
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Up to `count` points spread evenly across the file
+const thinPoints = (points, count) => {
+    if (points.length <= count) return points;
+    const step = (points.length - 1) / (count - 1);
+    return Array.from({ length: count }, (_, i) => points[Math.round(i * step)]);
+};
+
+// Nelder-Mead simplex search from `start`; returns { values, error }
+const simplexSearch = (evaluate, start) => {
+    const n = start.length;
+    const vertex = (values) => ({ values, error: evaluate(values) });
+    const simplex = [start, ...start.map((_, i) => start.map((v, j) => i === j ? v + FIT_INITIAL_STEP : v))].map(vertex);
+
+    for (let iteration = 0; iteration < FIT_MAX_ITERATIONS; iteration++) {
+        simplex.sort((a, b) => a.error - b.error);
+        const best = simplex[0];
+        const worst = simplex[n];
+        if (worst.error - best.error < FIT_TOLERANCE) break;
+
+        const centroid = start.map((_, j) => simplex.slice(0, n).reduce((sum, v) => sum + v.values[j], 0) / n);
+        const along = (t) => vertex(centroid.map((c, j) => c + t * (worst.values[j] - c)));
+
+        const reflected = along(-1);
+        if (reflected.error < best.error) {
+            const expanded = along(-2);
+            simplex[n] = expanded.error < reflected.error ? expanded : reflected;
+        } else if (reflected.error < simplex[n - 1].error) {
+            simplex[n] = reflected;
+        } else {
+            const contracted = along(reflected.error < worst.error ? -0.5 : 0.5);
+            if (contracted.error < Math.min(reflected.error, worst.error)) {
+                simplex[n] = contracted;
+            } else {
+                // Shrink towards the best vertex
+                const shrunk = simplex.slice(1).map(v => vertex(v.values.map((x, j) => best.values[j] + (x - best.values[j]) / 2)));
+                simplex.splice(1, n, ...shrunk);
+            }
+        }
+    }
+    simplex.sort((a, b) => a.error - b.error);
+    return simplex[0];
+};
+
+/**
+ * Fits a parametric impedance model of `type` ('ba' | 'dd', see
+ * IMPEDANCE_MODEL_TYPES) to ZMA data, which may cover only part of the
+ * band. Starts from analyzeImpedance's Re and Le with the resonance at
+ * its detected peak and at every octave of the data, compares a
+ * Nelder-Mead fit of the parameters' logs (within
+ * IMPEDANCE_MODEL_PARAMETERS) from each on a thinned copy of the file,
+ * and refines the best against every point. The error is the dB error
+ * of |Z| plus the phase error when the file has phase.
+ *
+ * options: { onProgress } called as ({ step, steps }) between the
+ * searches, which yield to the UI.
+ *
+ * Resolves to { model, rmsError } with the RMS error in dB-equivalent.
+ */
+export const fitImpedanceModel = async (zma, type, { onProgress } = {}) => {
+    const { re, le, peak } = analyzeImpedance(zma);
+    const defaults = DEFAULT_IMPEDANCE_MODELS[type];
+    const withPhase = hasPhaseData(zma);
+
+    const lower = FIT_PARAMETERS.map(key => Math.log(IMPEDANCE_MODEL_PARAMETERS[key].min));
+    const upper = FIT_PARAMETERS.map(key => Math.log(IMPEDANCE_MODEL_PARAMETERS[key].max));
+    const toModel = (logValues) => {
+        const model = { ...defaults };
+        FIT_PARAMETERS.forEach((key, i) => {
+            model[key] = Math.exp(Math.min(upper[i], Math.max(lower[i], logValues[i])));
+        });
+        return model;
+    };
+    const errorOver = (points) => (logValues) => {
+        const model = toModel(logValues);
+        const sum = points.reduce((acc, p) => {
+            const Z = getModelImpedance(p.freq, model);
+            const dbError = 20 * Math.log10(complexMagnitude(Z) / Math.max(p.impedance, 1e-9));
+            const phaseError = withPhase ? wrapPhase(complexPhase(Z) - p.phase) / PHASE_DEGREES_PER_DB : 0;
+            return acc + dbError * dbError + phaseError * phaseError;
+        }, 0);
+        return Math.sqrt(sum / points.length);
+    };
+
+    const startAt = (resonance) => FIT_PARAMETERS.map(key => Math.log({
+        re,
+        le: le > 0 ? le * 1e3 : defaults.le,
+        exponent: defaults.exponent,
+        ...resonance
+    }[key]));
+
+    // A small peak hides easily under a lossy coil, so also try a
+    // resonance at every octave the data covers
+    const starts = [];
+    if (peak) starts.push(startAt({ f0: peak.freq, qms: peak.qms, qes: peak.qes }));
+    for (let f0 = zma[0].freq; f0 <= zma[zma.length - 1].freq; f0 *= 2) {
+        starts.push(startAt({ f0, qms: defaults.qms, qes: defaults.qes }));
+    }
+    starts.push(startAt({ f0: defaults.f0, qms: defaults.qms, qes: NO_PEAK_QES }));
+
+    const steps = starts.length + FIT_RESTARTS + 1;
+    const coarseError = errorOver(thinPoints(zma, FIT_COARSE_POINTS));
+    let fit = null;
+    for (let i = 0; i < starts.length; i++) {
+        const candidate = simplexSearch(coarseError, starts[i]);
+        if (!fit || candidate.error < fit.error) fit = candidate;
+        if (onProgress) onProgress({ step: i + 1, steps });
+        await nextTick();
+    }
+
+    // Restarting the search from its own result frees it from collapsed
+    // simplices along the correlated coil parameters
+    const fullError = errorOver(zma);
+    for (let i = 0; i <= FIT_RESTARTS; i++) {
+        fit = simplexSearch(fullError, fit.values);
+        if (onProgress) onProgress({ step: starts.length + i + 1, steps });
+        await nextTick();
+    }
+
+    // Four significant figures keep the fitted values readable for hand edits
+    const model = toModel(fit.values);
+    FIT_PARAMETERS.forEach(key => { model[key] = Number(model[key].toPrecision(4)); });
+    return { model, rmsError: fit.error };
+};
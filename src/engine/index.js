@@ -0,0 +1,28 @@
+// Headless simulation engine. Pure functions only - no React, no DOM.
+export * from './complex.js';
+export * from './parsers.js';
+export * from './interpolation.js';
+export * from './extrapolation.js';
+export * from './averaging.js';
+export * from './earSimulator.js';
+export * from './elements.js';
+export * from './netlist.js';
+export * from './crossover.js';
+export * from './simulate.js';
+export * from './design.js';
+export * from './csv.js';
+export * from './project.js';
+export * from './share.js';
+export * from './target.js';
+export * from './optimize.js';
+export * from './tolerance.js';
+export * from './synthesis.js';
+export * from './compensation.js';
+export * from './impedanceModel.js';
+export * from './library.js';
+export * from './spice.js';
+export * from './acoustics.js';
+export * from './fft.js';
+export * from './minimumPhase.js';
+export * from './phase.js';
+export * from './timeDomain.js';
@@ -0,0 +1,80 @@
+import { EPSILON } from './complex.js';
+
+// Interpolation helper for frequency data
+export const interpolateFrequencyData = (data, targetFreq, getValue) => {
+    if (!data || data.length === 0) return null;
+
+    let lowerIdx = -1;
+    let upperIdx = -1;
+
+    for (let i = 0; i < data.length; i++) {
+        if (data[i].freq <= targetFreq) {
+            lowerIdx = i;
+        }
+        if (data[i].freq >= targetFreq && upperIdx === -1) {
+            upperIdx = i;
+            break;
+        }
+    }
+
+    if (lowerIdx === -1 && upperIdx !== -1) return getValue(data[upperIdx]);
+    if (lowerIdx !== -1 && upperIdx === -1) return getValue(data[lowerIdx]); // Just use last point, no rolloff
+    if (lowerIdx === upperIdx) return getValue(data[lowerIdx]);
+
+    const lower = data[lowerIdx];
+    const upper = data[upperIdx];
+
+    if (upper.freq - lower.freq < EPSILON) return getValue(lower);
+
+    // ACCURACY FIX: Interpolate frequency on a log scale
+    const logLowerFreq = Math.log10(lower.freq);
+    const logUpperFreq = Math.log10(upper.freq);
+    // Handle edge case where freqs are too close
+    const freqRange = logUpperFreq - logLowerFreq;
+    if (freqRange < EPSILON) return getValue(lower);
+
+    const t = (Math.log10(targetFreq) - logLowerFreq) / freqRange;
+
+    const lowerVal = getValue(lower);
+    const upperVal = getValue(upper);
+
+    if (typeof lowerVal === 'number' && typeof upperVal === 'number') {
+        // Interpolate SPL/Impedance in log domain (linear in dB/log-Ohms)
+        if (getValue === ((p) => p.spl) || getValue === ((p) => p.impedance)) {
+            // Check for log(0)
+            if (lowerVal <= EPSILON || upperVal <= EPSILON) {
+                return lowerVal + (upperVal - lowerVal) * t; // Fallback to linear
+            }
+            const logLower = Math.log10(lowerVal);
+            const logUpper = Math.log10(upperVal);
+            return Math.pow(10, logLower + (logUpper - logLower) * t);
+        }
+        // Linear otherwise; phase goes through interpolatePhase instead
+        return lowerVal + (upperVal - lowerVal) * t;
+    }
+
+    return lowerVal;
+};
+
+/**
+ * Phase (degrees) at `targetFreq`, interpolated in log-frequency along the
+ * shorter arc between the neighbouring points, so a ±180° wrap between
+ * them does not produce a bogus intermediate angle.
+ */
+export const interpolatePhase = (data, targetFreq, getPhase = (p) => p.phase || 0) => {
+    if (!data || data.length === 0) return null;
+
+    const upperIdx = data.findIndex(p => p.freq >= targetFreq);
+    if (upperIdx === 0) return getPhase(data[0]);
+    if (upperIdx === -1) return getPhase(data[data.length - 1]);
+
+    const lower = data[upperIdx - 1];
+    const upper = data[upperIdx];
+    const freqRange = Math.log10(upper.freq) - Math.log10(lower.freq);
+    if (freqRange < EPSILON) return getPhase(upper);
+
+    const t = (Math.log10(targetFreq) - Math.log10(lower.freq)) / freqRange;
+    const lowerPhase = getPhase(lower);
+    const step = getPhase(upper) - lowerPhase;
+    return lowerPhase + (step - 360 * Math.round(step / 360)) * t;
+};
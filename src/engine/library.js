@@ -0,0 +1,132 @@
+import { validateDesign } from './design.js';
+import { DEFAULT_EXTRAPOLATION } from './extrapolation.js';
+
+export const LIBRARY_FORMAT = 'iem-driver-library';
+export const LIBRARY_VERSION = 1;
+
+// Driver fields a library entry keeps: the transducer and its measurements.
+// Crossover networks, acoustic paths, delay and trim belong to a design.
+const DRIVER_FIELDS = ['frd', 'zma', 'polarity', 'frdCompensated', 'minimumPhase',
+    'frdExtrapolation', 'zmaExtrapolation', 'frdMeasurements', 'zmaMeasurements', 'impedanceModel'];
+
+// Field values for entries saved without them
+const ENTRY_DEFAULTS = {
+    frd: null,
+    zma: null,
+    polarity: false,
+    frdCompensated: true,
+    minimumPhase: false,
+    frdExtrapolation: DEFAULT_EXTRAPOLATION,
+    zmaExtrapolation: DEFAULT_EXTRAPOLATION,
+    frdMeasurements: null,
+    zmaMeasurements: null,
+    impedanceModel: null
+};
+
+const pickDriverFields = (source) => Object.fromEntries(
+    DRIVER_FIELDS.map(field => [field, source[field] ?? ENTRY_DEFAULTS[field]])
+);
+
+/**
+ * Library entry for a design driver: its name, measurements and defaults
+ * plus free-text `notes`. `id` keeps an existing entry's identity when
+ * the driver is saved over it.
+ */
+export const createLibraryEntry = (driver, { id, notes = '' } = {}) => ({
+    id: id ?? String(Date.now()),
+    name: driver.name || 'Unnamed driver',
+    notes,
+    savedAt: new Date().toISOString(),
+    ...pickDriverFields(driver)
+});
+
+/**
+ * Design driver fields for a library entry; the caller adds the id and
+ * the per-design fields (delay, trim, networks).
+ */
+export const driverFromLibraryEntry = (entry) => ({
+    name: entry.name,
+    ...pickDriverFields(entry)
+});
+
+/**
+ * Entries whose name or notes contain every word of `query`
+ * (case-insensitive), sorted by name.
+ */
+export const searchLibrary = (entries, query) => {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return entries
+        .filter(entry => {
+            const text = `${entry.name} ${entry.notes}`.toLowerCase();
+            return words.every(word => text.includes(word));
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Builds the versioned bundle document for exporting library entries.
+ */
+export const serializeLibraryBundle = (entries) => ({
+    format: LIBRARY_FORMAT,
+    version: LIBRARY_VERSION,
+    exportedAt: new Date().toISOString(),
+    drivers: entries
+});
+
+/**
+ * Parses and validates a library bundle's text. Returns its entries
+ * without ids, or throws an Error explaining why the file cannot be imported.
+ */
+export const parseLibraryBundle = (text) => {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Library file is corrupt: ${err.message}`);
+    }
+
+    if (!doc || doc.format !== LIBRARY_FORMAT) {
+        throw new Error('Not an IEM driver library file');
+    }
+    if (doc.version !== LIBRARY_VERSION) {
+        throw new Error(`Library version ${doc.version} is not supported (expected ${LIBRARY_VERSION})`);
+    }
+    if (!Array.isArray(doc.drivers)) {
+        throw new Error('Library file has no "drivers" array');
+    }
+
+    doc.drivers.forEach((entry, i) => {
+        if (!entry || typeof entry !== 'object' || typeof entry.name !== 'string') {
+            throw new Error(`Library entry ${i + 1} needs a name`);
+        }
+        if (entry.notes !== undefined && typeof entry.notes !== 'string') {
+            throw new Error(`Library entry "${entry.name}" has notes that are not text`);
+        }
+        try {
+            validateDesign({ drivers: [driverFromLibraryEntry(entry)], crossoverElements: [] });
+        } catch (err) {
+            throw new Error(`Library entry "${entry.name}" is invalid: ${err.message.replace(/^drivers\[0\]\./, '')}`);
+        }
+    });
+
+    // Ids are assigned when the entries are stored (see mergeLibraryEntries)
+    return doc.drivers.map(entry => ({
+        name: entry.name,
+        notes: entry.notes ?? '',
+        savedAt: entry.savedAt ?? new Date().toISOString(),
+        ...pickDriverFields(entry)
+    }));
+};
+
+/**
+ * Entries to store when `incoming` is added to `existing`: an entry with
+ * the same name (case-insensitive) as a stored one replaces it and keeps
+ * its id, the rest get new ids.
+ */
+export const mergeLibraryEntries = (existing, incoming) => {
+    const idBase = Date.now();
+    return incoming.map((entry, i) => {
+        const match = existing.find(e => e.name.toLowerCase() === entry.name.toLowerCase());
+        return { ...entry, id: match ? match.id : String(idBase + i) };
+    });
+};
@@ -0,0 +1,95 @@
+import { fft } from './fft.js';
+
+// Uniform grid for the cepstrum. Running it well past the data (with the
+// extrapolated slope) keeps the truncated tail from bending the top octaves.
+const MIN_PHASE_BINS = 262144;
+const MIN_NYQUIST = 48000;
+const NYQUIST_MARGIN = 8; // x highest measured frequency
+
+// Slope limits for continuing the response above the measured band (dB/octave)
+const MAX_ROLLOFF = -24;
+const MAX_RISE = 0;
+
+// Results per FRD array, so repeated simulations reuse them
+const cache = new WeakMap();
+
+/**
+ * True when an FRD carries a real phase column (not just the parser's zeros).
+ */
+export const hasPhaseData = (frd) => !!frd && frd.some(p => p.phase);
+
+// dB at `freq`: linear in log-frequency inside the data, flat below it
+// and continued at the top-third-octave slope (clamped) above it
+const createMagnitudeReader = (points) => {
+    const first = points[0];
+    const last = points[points.length - 1];
+    const third = points.find(p => p.freq >= last.freq / Math.pow(2, 1 / 3)) || first;
+    const octaves = Math.log2(last.freq / third.freq);
+    const slope = octaves > 0
+        ? Math.min(MAX_RISE, Math.max(MAX_ROLLOFF, (last.spl - third.spl) / octaves))
+        : 0;
+
+    let i = 0;
+    return (freq) => {
+        if (freq <= first.freq) return first.spl;
+        if (freq >= last.freq) return last.spl + slope * Math.log2(freq / last.freq);
+        while (points[i + 1].freq < freq) i++; // `freq` only ever increases
+        const lower = points[i];
+        const upper = points[i + 1];
+        const t = Math.log(freq / lower.freq) / Math.log(upper.freq / lower.freq);
+        return lower.spl + (upper.spl - lower.spl) * t;
+    };
+};
+
+/**
+ * Minimum phase (degrees, unwrapped) for an FRD's magnitude, computed by the
+ * Hilbert transform of the log magnitude via the real cepstrum.
+ * Returns a copy of `frd` with its phase column replaced.
+ */
+export const computeMinimumPhase = (frd) => {
+    const points = frd.filter(p => p.freq > 0).sort((a, b) => a.freq - b.freq);
+    if (points.length < 2) return frd.map(p => ({ ...p, phase: 0 }));
+
+    const n = MIN_PHASE_BINS;
+    const nyquist = Math.max(MIN_NYQUIST, NYQUIST_MARGIN * points[points.length - 1].freq);
+    const binWidth = nyquist / (n / 2);
+    const readDb = createMagnitudeReader(points);
+
+    // Natural log magnitude on the full (even) spectrum
+    const re = new Float64Array(n);
+    const im = new Float64Array(n);
+    for (let k = 0; k <= n / 2; k++) {
+        const logMagnitude = readDb(Math.max(k, 1) * binWidth) * Math.LN10 / 20;
+        re[k] = logMagnitude;
+        if (k > 0 && k < n / 2) re[n - k] = logMagnitude;
+    }
+
+    // Real cepstrum, folded onto positive quefrencies
+    fft(re, im, true);
+    for (let k = 1; k < n / 2; k++) {
+        re[k] *= 2;
+        im[k] = 0;
+        re[n - k] = 0;
+        im[n - k] = 0;
+    }
+    im[0] = 0;
+    im[n / 2] = 0;
+    fft(re, im);
+
+    // im now holds the minimum phase (radians) on the uniform grid
+    return frd.map(p => {
+        const position = p.freq / binWidth;
+        const k = Math.min(Math.floor(position), n / 2 - 1);
+        const t = position - k;
+        const phase = im[k] + (im[k + 1] - im[k]) * t;
+        return { ...p, phase: phase * 180 / Math.PI };
+    });
+};
+
+/**
+ * `computeMinimumPhase`, memoised per FRD array.
+ */
+export const getMinimumPhaseFrd = (frd) => {
+    if (!cache.has(frd)) cache.set(frd, computeMinimumPhase(frd));
+    return cache.get(frd);
+};
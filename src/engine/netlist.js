@@ -0,0 +1,190 @@
+import { complexAdd, complexDivide, complexMagnitude, complexMultiply } from './complex.js';
+import { getElementImpedance } from './elements.js';
+
+// Reserved node names: the source drives SOURCE_NODE against GROUND_NODE,
+// and the driver sits between DRIVER_NODE and GROUND_NODE.
+export const SOURCE_NODE = 'in';
+export const DRIVER_NODE = 'out';
+export const GROUND_NODE = '0';
+
+// Zero-Ohm wires are clamped to this so their admittance stays finite
+const MIN_IMPEDANCE = 1e-6;
+
+// Tiny leak from every node to ground (as SPICE's GMIN) so a floating
+// node gives a defined answer instead of a singular matrix
+const GMIN = 1e-12;
+
+const ZERO = { real: 0, imag: 0 };
+const ONE = { real: 1, imag: 0 };
+
+const admittanceOf = (Z) => complexMagnitude(Z) < MIN_IMPEDANCE
+    ? { real: 1 / MIN_IMPEDANCE, imag: 0 }
+    : complexDivide(ONE, Z);
+
+// Solves A x = b in place by Gaussian elimination with partial pivoting
+const solveComplexSystem = (A, b) => {
+    const n = b.length;
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (complexMagnitude(A[row][col]) > complexMagnitude(A[pivot][col])) pivot = row;
+        }
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+
+        const diag = A[col][col];
+        if (complexMagnitude(diag) === 0) continue;
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = complexDivide(A[row][col], diag);
+            if (factor.real === 0 && factor.imag === 0) continue;
+            for (let k = col; k < n; k++) {
+                const product = complexMultiply(factor, A[col][k]);
+                A[row][k] = { real: A[row][k].real - product.real, imag: A[row][k].imag - product.imag };
+            }
+            const product = complexMultiply(factor, b[col]);
+            b[row] = { real: b[row].real - product.real, imag: b[row].imag - product.imag };
+        }
+    }
+
+    const x = new Array(n).fill(ZERO);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = b[row];
+        for (let k = row + 1; k < n; k++) {
+            const product = complexMultiply(A[row][k], x[k]);
+            sum = { real: sum.real - product.real, imag: sum.imag - product.imag };
+        }
+        x[row] = complexDivide(sum, A[row][row]);
+    }
+    return x;
+};
+
+/**
+ * Every node name used by a netlist, always including the reserved
+ * source and driver nodes (ground excluded).
+ */
+export const getNetlistNodes = (netlist) => {
+    const nodes = new Set([SOURCE_NODE, DRIVER_NODE]);
+    netlist.components.forEach(c => {
+        nodes.add(c.from);
+        nodes.add(c.to);
+    });
+    nodes.delete(GROUND_NODE);
+    return [...nodes];
+};
+
+/**
+ * Solves a netlist at one frequency by modified nodal analysis:
+ * a 1 V source on SOURCE_NODE, the driver impedance between DRIVER_NODE
+ * and ground. Returns the input impedance Z and the transfer
+ * H = V_driver / V_source, matching `solveLadder`.
+ */
+export const solveNetlist = (netlist, freq, Zdriver) => {
+    const omega = 2 * Math.PI * freq;
+    const nodes = getNetlistNodes(netlist);
+    const index = new Map(nodes.map((name, i) => [name, i]));
+    const size = nodes.length + 1; // node voltages + source current
+
+    const A = Array.from({ length: size }, () => new Array(size).fill(ZERO));
+    const b = new Array(size).fill(ZERO);
+
+    const stamp = (from, to, Y) => {
+        const i = index.get(from);
+        const j = index.get(to);
+        if (i !== undefined) A[i][i] = complexAdd(A[i][i], Y);
+        if (j !== undefined) A[j][j] = complexAdd(A[j][j], Y);
+        if (i !== undefined && j !== undefined) {
+            A[i][j] = { real: A[i][j].real - Y.real, imag: A[i][j].imag - Y.imag };
+            A[j][i] = { real: A[j][i].real - Y.real, imag: A[j][i].imag - Y.imag };
+        }
+    };
+
+    netlist.components.forEach(c => stamp(c.from, c.to, admittanceOf(getElementImpedance(c, omega))));
+    stamp(DRIVER_NODE, GROUND_NODE, admittanceOf(Zdriver));
+    nodes.forEach(name => stamp(name, GROUND_NODE, { real: GMIN, imag: 0 }));
+
+    // Ideal voltage source: V(in) = 1, its current is the extra unknown
+    const src = index.get(SOURCE_NODE);
+    A[src][size - 1] = ONE;
+    A[size - 1][src] = ONE;
+    b[size - 1] = ONE;
+
+    const x = solveComplexSystem(A, b);
+    const sourceCurrent = { real: -x[size - 1].real, imag: -x[size - 1].imag };
+
+    return {
+        Z: complexDivide(ONE, sourceCurrent),
+        H: x[index.get(DRIVER_NODE)]
+    };
+};
+
+const freshNodeNamer = (components) => {
+    const used = new Set([SOURCE_NODE, DRIVER_NODE, GROUND_NODE]);
+    components.forEach(c => {
+        used.add(c.from);
+        used.add(c.to);
+    });
+    let k = 1;
+    return () => {
+        while (used.has(`n${k}`)) k++;
+        const name = `n${k}`;
+        used.add(name);
+        return name;
+    };
+};
+
+const toComponent = (element, from, to) => {
+    const { driverIndex, order, series, ...component } = element;
+    return { ...component, from, to };
+};
+
+/**
+ * Converts a driver's ladder (ordered series/parallel elements) into
+ * netlist components running from `from` to DRIVER_NODE.
+ * Series elements open a new node; parallel elements go to ground.
+ */
+const ladderToComponents = (elements, from, nextNode) => {
+    const sorted = [...elements].sort((a, b) => a.order - b.order);
+    const lastSeries = sorted.map(el => el.series).lastIndexOf(true);
+    const components = [];
+    let node = from;
+
+    sorted.forEach((element, i) => {
+        if (element.series) {
+            const next = i === lastSeries ? DRIVER_NODE : nextNode();
+            components.push(toComponent(element, node, next));
+            node = next;
+        } else {
+            components.push(toComponent(element, node, GROUND_NODE));
+        }
+    });
+
+    if (node !== DRIVER_NODE) {
+        // Parallel elements only: a plain wire joins them to the driver
+        components.push({ id: `${from}-wire`, type: 'resistor', value: 0, from: node, to: DRIVER_NODE });
+    }
+    return components;
+};
+
+/**
+ * Netlist equivalent of a ladder of crossover elements.
+ */
+export const ladderToNetlist = (elements) => {
+    const nextNode = freshNodeNamer([]);
+    return { components: ladderToComponents(elements, SOURCE_NODE, nextNode) };
+};
+
+/**
+ * Inserts ladder elements between an existing netlist and the driver,
+ * the netlist counterpart of appending elements nearest the driver.
+ */
+export const appendLadderToNetlist = (netlist, elements) => {
+    const nextNode = freshNodeNamer(netlist.components);
+    const junction = nextNode();
+    const renamed = netlist.components.map(c => ({
+        ...c,
+        from: c.from === DRIVER_NODE ? junction : c.from,
+        to: c.to === DRIVER_NODE ? junction : c.to
+    }));
+    return { components: [...renamed, ...ladderToComponents(elements, junction, nextNode)] };
+};
@@ -0,0 +1,113 @@
+import { simulate, getFrequencyGrid } from './simulate.js';
+import { computeDeviation } from './target.js';
+
+// Smallest value an optimised element may take (uF, mH or Ohm)
+const MIN_ELEMENT_VALUE = 1e-3;
+
+// Search stops once the relative step drops below 0.5%
+const MIN_LOG_STEP = Math.log(1.005);
+
+// Give the UI a chance to repaint between sweeps
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Default search bounds for an element: a quarter to four times its value.
+ */
+export const defaultOptimizerBounds = (element) => ({
+    locked: false,
+    min: Math.max(MIN_ELEMENT_VALUE, element.value / 4),
+    max: Math.max(MIN_ELEMENT_VALUE, element.value * 4)
+});
+
+const withValues = (design, ids, logValues) => ({
+    ...design,
+    crossoverElements: design.crossoverElements.map(el => {
+        const i = ids.indexOf(el.id);
+        return i === -1 ? el : { ...el, value: Math.exp(logValues[i]) };
+    })
+});
+
+/**
+ * Searches crossover element values that minimise the RMS error between
+ * the simulated `total_spl` and a target curve inside a frequency window.
+ *
+ * Uses a bounded pattern search (Hooke-Jeeves) on log(value), so
+ * capacitors, inductors and resistors of very different magnitudes move
+ * in proportional steps. Every evaluation is a full `simulate` call.
+ *
+ * options:
+ *   target         { points, offset, tilt }
+ *   sourceVoltage  drive voltage
+ *   window         { min, max } frequency range in Hz
+ *   variables      [{ id, min, max }] elements to vary (others stay fixed)
+ *   maxIterations  number of sweeps over all variables
+ *   onProgress     ({ iteration, maxIterations, error }) => void
+ *   signal         optional AbortSignal; stops early and returns the best so far
+ *
+ * Resolves to { values: { [id]: value }, initialError, finalError, iterations }.
+ */
+export const optimizeElementValues = async (design, options) => {
+    const { target, sourceVoltage, window, variables, maxIterations = 50, onProgress, signal } = options;
+
+    if (variables.length === 0) {
+        throw new Error('Unlock at least one element to optimise');
+    }
+
+    const frequencies = getFrequencyGrid(design.frequencyGrid, design.drivers)
+        .filter(f => f >= window.min && f <= window.max);
+    const band = [{ key: 'window', name: 'Window', min: window.min, max: window.max + 1e-9, weight: 1 }];
+
+    const ids = variables.map(v => v.id);
+    const evaluate = (logValues) => {
+        const points = simulate(withValues(design, ids, logValues), { sourceVoltage, frequencies });
+        const deviation = computeDeviation(points, target.points, target, band);
+        return deviation ? deviation.weightedRms : Infinity;
+    };
+
+    const lower = variables.map(v => Math.log(Math.max(MIN_ELEMENT_VALUE, v.min)));
+    const upper = variables.map(v => Math.log(Math.max(MIN_ELEMENT_VALUE, v.max)));
+    const clamp = (x, i) => Math.min(upper[i], Math.max(lower[i], x));
+
+    let current = variables.map((v, i) => {
+        const element = design.crossoverElements.find(el => el.id === v.id);
+        return clamp(Math.log(Math.max(MIN_ELEMENT_VALUE, element.value)), i);
+    });
+    const initialError = evaluate(current);
+    if (!Number.isFinite(initialError)) {
+        throw new Error('No simulated response overlaps the target inside the window');
+    }
+
+    let bestError = initialError;
+    let step = Math.log(2);
+    let iteration = 0;
+
+    while (iteration < maxIterations && step >= MIN_LOG_STEP && !signal?.aborted) {
+        let improved = false;
+
+        for (let i = 0; i < current.length; i++) {
+            for (const direction of [1, -1]) {
+                const candidate = [...current];
+                candidate[i] = clamp(current[i] + direction * step, i);
+                if (candidate[i] === current[i]) continue;
+
+                const error = evaluate(candidate);
+                if (error < bestError) {
+                    bestError = error;
+                    current = candidate;
+                    improved = true;
+                    break;
+                }
+            }
+        }
+
+        if (!improved) step /= 2;
+        iteration++;
+        if (onProgress) onProgress({ iteration, maxIterations, error: bestError });
+        await nextTick();
+    }
+
+    const values = {};
+    ids.forEach((id, i) => { values[id] = Math.exp(current[i]); });
+
+    return { values, initialError, finalError: bestError, iterations: iteration };
+};
@@ -0,0 +1,211 @@
+import { unwrapPhase } from './phase.js';
+
+// Column splitting candidates, in order of preference when several fit
+const DELIMITERS = [
+    { key: 'tab', label: 'tab-separated', split: (line) => line.split('\t') },
+    { key: 'semicolon', label: 'semicolon-separated', split: (line) => line.split(';') },
+    { key: 'comma', label: 'comma-separated', split: (line) => line.split(',') },
+    { key: 'whitespace', label: 'space-separated', split: (line) => line.trim().split(/\s+/) }
+];
+
+export const PHASE_UNITS = { deg: 'Degrees', rad: 'Radians' };
+
+// Lines that only carry comments or metadata (REW '*', ARTA/LspCAD '#', ';', '//')
+const COMMENT_PATTERN = /^\s*(\*|#|;|\/\/|')/;
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+// Header names recognised for each column role
+const COLUMN_PATTERNS = {
+    freq: /freq|hz|^f$/i,
+    phase: /phase|deg|rad|angle|^ph/i,
+    spl: /spl|db|mag|level|gain|amp/i,
+    impedance: /imp|ohm|mag|^\|?z\|?$/i
+};
+
+// Skipped lines listed in the report (the count covers all of them)
+const MAX_REPORTED_LINES = 5;
+
+const parseNumber = (field, decimalComma) => {
+    const text = decimalComma ? field.trim().replace(',', '.') : field.trim();
+    return NUMBER_PATTERN.test(text) ? parseFloat(text) : NaN;
+};
+
+// Numeric fields of a line, or null when it is not a data row
+const readRow = (line, delimiter, decimalComma) => {
+    const fields = delimiter.split(line.trim()).filter(field => field.trim() !== '');
+    if (fields.length < 2) return null;
+    const values = fields.map(field => parseNumber(field, decimalComma));
+    return values.every(Number.isFinite) ? values : null;
+};
+
+// Delimiter and decimal separator that read the most rows, ties going
+// to the one whose rows agree most on the column count
+const detectFormat = (lines) => {
+    let best = null;
+    DELIMITERS.forEach(delimiter => {
+        [false, true].forEach(decimalComma => {
+            if (decimalComma && delimiter.key === 'comma') return;
+            const counts = {};
+            let rows = 0;
+            lines.forEach(line => {
+                const row = readRow(line, delimiter, decimalComma);
+                if (!row) return;
+                rows++;
+                counts[row.length] = (counts[row.length] || 0) + 1;
+            });
+            const columnCount = Number(Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || 0);
+            const agreeing = counts[columnCount] || 0;
+            if (!best || rows > best.rows || (rows === best.rows && agreeing > best.agreeing)) {
+                best = { delimiter, decimalComma, rows, agreeing, columnCount };
+            }
+        });
+    });
+    return best;
+};
+
+// Names from the last text line ahead of the data, if they line up with the columns
+const readHeader = (lines, firstDataIndex, delimiter, columnCount) => {
+    for (let i = firstDataIndex - 1; i >= 0; i--) {
+        const text = lines[i].replace(COMMENT_PATTERN, '').trim();
+        if (text === '') continue;
+        if (!/[a-z]/i.test(text)) return null;
+        const candidates = [
+            delimiter.split(text),
+            text.split(/\t|;|,|\s{2,}/),
+            text.split(/\s+/)
+        ].map(names => names.map(name => name.trim()).filter(Boolean));
+        return candidates.find(names => names.length === columnCount) || null;
+    }
+    return null;
+};
+
+// Column roles from the header names, falling back to freq, value, phase
+const detectColumns = (header, columnCount, type) => {
+    const valueRole = type === 'zma' ? 'impedance' : 'spl';
+    if (!header) {
+        return {
+            columns: { freq: 0, value: 1, phase: columnCount >= 3 ? 2 : null },
+            ambiguous: columnCount > 3
+        };
+    }
+
+    const find = (role, exclude) => header.findIndex((name, i) => !exclude.includes(i) && COLUMN_PATTERNS[role].test(name));
+    const freq = find('freq', []);
+    const phase = find('phase', [freq]);
+    const value = find(valueRole, [freq, phase]);
+    const rest = header.map((_, i) => i).filter(i => ![freq, phase, value].includes(i));
+
+    return {
+        columns: {
+            freq: freq !== -1 ? freq : 0,
+            value: value !== -1 ? value : rest[0] ?? 1,
+            phase: phase !== -1 ? phase : null
+        },
+        ambiguous: freq === -1 || value === -1 || (phase === -1 && columnCount >= 3)
+    };
+};
+
+// Wrapped radians cover most of -π..π; degrees rarely stay inside it
+const RADIAN_SPAN = 1.8 * Math.PI;
+
+// The header's unit, else radians only when the phases wrap over about 2π
+// without leaving ±π. Degrees are assumed otherwise, flagged `ambiguous`
+// when every phase still lies within ±π and could be either unit.
+const detectPhaseUnit = (header, phaseColumn, phases) => {
+    const name = header && phaseColumn !== null ? header[phaseColumn] : '';
+    if (/rad/i.test(name)) return { unit: 'rad', ambiguous: false };
+    if (/deg|°/i.test(name)) return { unit: 'deg', ambiguous: false };
+
+    const largest = Math.max(0, ...phases.map(Math.abs));
+    const withinPi = largest > 0 && largest <= Math.PI * 1.001;
+    const span = largest > 0 ? Math.max(...phases) - Math.min(...phases) : 0;
+    if (withinPi && span >= RADIAN_SPAN) return { unit: 'rad', ambiguous: false };
+    return { unit: 'deg', ambiguous: withinPi };
+};
+
+/**
+ * Imports FRD (Freq, SPL, Phase) or ZMA (Freq, Impedance, Phase) text from
+ * REW, ARTA, Klippel or spreadsheet exports.
+ *
+ * Detects the delimiter (tab, semicolon, comma or spaces), decimal commas,
+ * a header row (also inside a comment, as REW writes it), the column roles
+ * and the phase unit. `options.columns` ({ freq, value, phase }, phase may
+ * be null) and `options.phaseUnit` ('deg' | 'rad') override the detection.
+ *
+ * Points are sorted by frequency, duplicates dropped and the phase
+ * converted to degrees and unwrapped. Returns { data, report }: the report
+ * describes what was detected plus the skipped, out-of-order and
+ * duplicate lines, and flags `ambiguous` when the columns
+ * (`columnsGuessed`) or the phase unit (`phaseUnitGuessed`) were guessed.
+ */
+export const importMeasurement = (text, type, options = {}) => {
+    const lines = text.replace(/^﻿/, '').split(/\r?\n/);
+    const candidates = lines.filter(line => line.trim() !== '' && !COMMENT_PATTERN.test(line));
+    const format = detectFormat(candidates);
+    const { delimiter, decimalComma, columnCount } = format;
+
+    const rows = lines.map(line => COMMENT_PATTERN.test(line) ? null : readRow(line, delimiter, decimalComma));
+    const firstDataIndex = rows.findIndex(row => row && row.length === columnCount);
+    const header = firstDataIndex > 0 ? readHeader(lines, firstDataIndex, delimiter, columnCount) : null;
+    const detected = detectColumns(header, columnCount, type);
+    const columns = options.columns || detected.columns;
+
+    const skipped = [];
+    const points = [];
+    lines.forEach((line, i) => {
+        if (line.trim() === '' || COMMENT_PATTERN.test(line)) return;
+        const row = rows[i];
+        const usable = row && row.length > Math.max(columns.freq, columns.value, columns.phase ?? 0)
+            && row[columns.freq] > 0;
+        if (!usable) {
+            // The header row and metadata above the data are expected
+            if (i < firstDataIndex && !row) return;
+            skipped.push({ line: i + 1, text: line.trim() });
+            return;
+        }
+        points.push({ freq: row[columns.freq], value: row[columns.value], phase: columns.phase !== null ? row[columns.phase] : 0 });
+    });
+
+    const detectedUnit = !options.phaseUnit && columns.phase !== null
+        ? detectPhaseUnit(header, columns.phase, points.map(p => p.phase))
+        : null;
+    const phaseUnit = options.phaseUnit || (detectedUnit ? detectedUnit.unit : null);
+    const columnsGuessed = !options.columns && detected.ambiguous;
+    const phaseUnitGuessed = !!detectedUnit && detectedUnit.ambiguous;
+    const toDegrees = phaseUnit === 'rad' ? 180 / Math.PI : 1;
+
+    const outOfOrder = points.filter((p, i) => i > 0 && p.freq < points[i - 1].freq).length;
+    const sorted = [...points].sort((a, b) => a.freq - b.freq);
+    const unique = sorted.filter((p, i) => i === 0 || p.freq !== sorted[i - 1].freq);
+
+    const valueKey = type === 'zma' ? 'impedance' : 'spl';
+    const phases = unwrapPhase(unique.map(p => p.phase * toDegrees));
+    const data = unique.map((p, i) => ({ freq: p.freq, [valueKey]: p.value, phase: phases[i] }));
+
+    return {
+        data,
+        report: {
+            delimiter: delimiter.key,
+            delimiterLabel: delimiter.label,
+            decimalComma,
+            header,
+            columnCount,
+            columns,
+            ambiguous: columnsGuessed || phaseUnitGuessed,
+            columnsGuessed,
+            phaseUnit,
+            phaseUnitGuessed,
+            skippedCount: skipped.length,
+            skipped: skipped.slice(0, MAX_REPORTED_LINES),
+            outOfOrder,
+            duplicates: sorted.length - unique.length
+        }
+    };
+};
+
+/**
+ * Parses FRD (Freq, SPL, Phase) and ZMA (Freq, Impedance, Phase) data
+ * with the detection of `importMeasurement`, returning only the points.
+ * The phase column is in degrees and unwrapped, so it is continuous across ±180°.
+ */
+export const parseFrequencyData = (text, type) => importMeasurement(text, type).data;
@@ -0,0 +1,88 @@
+import { computeMinimumPhase } from './minimumPhase.js';
+
+/**
+ * Wraps a phase in degrees into [-180, 180).
+ */
+export const wrapPhase = (deg) => ((((deg + 180) % 360) + 360) % 360) - 180;
+
+/**
+ * Removes the 360° jumps from a sequence of wrapped phases (degrees).
+ * Missing values are passed through and do not break the running offset.
+ */
+export const unwrapPhase = (phases) => {
+    let offset = 0;
+    let previous = null;
+    return phases.map(phase => {
+        if (phase === undefined || phase === null) return phase;
+        if (previous !== null) {
+            const step = phase + offset - previous;
+            offset -= 360 * Math.round(step / 360);
+        }
+        previous = phase + offset;
+        return previous;
+    });
+};
+
+/**
+ * Copies of `points` with each of `keys` unwrapped along the frequency axis.
+ */
+export const unwrapSeries = (points, keys) => {
+    const unwrapped = keys.map(key => unwrapPhase(points.map(p => p[key])));
+    return points.map((point, i) => {
+        const copy = { ...point };
+        keys.forEach((key, k) => {
+            if (copy[key] !== undefined) copy[key] = unwrapped[k][i];
+        });
+        return copy;
+    });
+};
+
+/**
+ * Group delay -dφ/dω in seconds for unwrapped phases (degrees) at `freqs`,
+ * by central differences (one-sided at the ends).
+ */
+export const computeGroupDelay = (freqs, phases) => phases.map((phase, i) => {
+    const lower = Math.max(i - 1, 0);
+    const upper = Math.min(i + 1, phases.length - 1);
+    if (upper === lower || phases[lower] === undefined || phases[upper] === undefined) return undefined;
+    return -(phases[upper] - phases[lower]) / (360 * (freqs[upper] - freqs[lower]));
+});
+
+const toMs = (seconds) => seconds === undefined ? undefined : seconds * 1000;
+
+/**
+ * Phase analysis of simulation points, from the summed complex pressure:
+ * group delay (ms) of the total and of each driver, plus the minimum phase
+ * of the total magnitude and the excess phase (acoustic minus minimum)
+ * with its group delay. Returns copies of `points` with the extra keys.
+ */
+export const analyzePhase = (points, driverCount) => {
+    if (points.length < 2 || points.some(p => p.total_spl_phase === undefined)) return points;
+
+    const freqs = points.map(p => p.freq);
+    const totalPhase = unwrapPhase(points.map(p => p.total_spl_phase));
+    const minimumPhase = computeMinimumPhase(points.map(p => ({ freq: p.freq, spl: p.total_spl })))
+        .map(p => p.phase);
+    const excessPhase = totalPhase.map((phase, i) => phase - minimumPhase[i]);
+
+    const totalDelay = computeGroupDelay(freqs, totalPhase);
+    const excessDelay = computeGroupDelay(freqs, excessPhase);
+    const driverDelays = Array.from({ length: driverCount }, (_, idx) => computeGroupDelay(
+        freqs,
+        unwrapPhase(points.map(p => p[`driver${idx}_spl_phase`]))
+    ));
+
+    return points.map((point, i) => {
+        const analyzed = {
+            ...point,
+            total_group_delay: toMs(totalDelay[i]),
+            total_min_phase: wrapPhase(minimumPhase[i]),
+            total_excess_phase: wrapPhase(excessPhase[i]),
+            total_excess_group_delay: toMs(excessDelay[i])
+        };
+        driverDelays.forEach((delays, idx) => {
+            if (delays[i] !== undefined) analyzed[`driver${idx}_group_delay`] = toMs(delays[i]);
+        });
+        return analyzed;
+    });
+};
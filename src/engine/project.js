@@ -0,0 +1,113 @@
+import { validateDesign } from './design.js';
+import { DEFAULT_EAR_SIMULATOR } from './earSimulator.js';
+import { DEFAULT_EXTRAPOLATION } from './extrapolation.js';
+import { DEFAULT_FREQUENCY_GRID } from './simulate.js';
+
+export const PROJECT_FORMAT = 'iem-crossover-project';
+// Bumped whenever the design gains a field, so that a build which does not
+// know the field refuses the file instead of dropping it on the next save.
+// Files back to MIN_PROJECT_VERSION open with defaults for what they lack.
+// Version 1 is the first release's format; version 2 adds every field since.
+export const PROJECT_VERSION = 2;
+export const MIN_PROJECT_VERSION = 1;
+
+/**
+ * Builds the versioned project document for the full design state,
+ * including parsed FRD/ZMA data so the file is self-contained.
+ */
+export const serializeProject = ({ drivers, crossoverElements, earSimulator, sourcePreset, customVoltage, frequencyGrid, target }) => ({
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    design: {
+        drivers: drivers.map(driver => ({
+            id: driver.id,
+            name: driver.name,
+            frd: driver.frd,
+            zma: driver.zma,
+            polarity: driver.polarity,
+            frdCompensated: driver.frdCompensated,
+            minimumPhase: !!driver.minimumPhase,
+            frdExtrapolation: driver.frdExtrapolation ?? DEFAULT_EXTRAPOLATION,
+            zmaExtrapolation: driver.zmaExtrapolation ?? DEFAULT_EXTRAPOLATION,
+            netlist: driver.netlist ?? null,
+            acousticPath: driver.acousticPath ?? null,
+            delay: driver.delay ?? 0,
+            delayUnit: driver.delayUnit ?? 'us',
+            levelTrim: driver.levelTrim ?? 0,
+            frdMeasurements: driver.frdMeasurements ?? null,
+            zmaMeasurements: driver.zmaMeasurements ?? null,
+            impedanceModel: driver.impedanceModel ?? null
+        })),
+        crossoverElements,
+        earSimulator,
+        sourcePreset,
+        customVoltage,
+        frequencyGrid: frequencyGrid ?? DEFAULT_FREQUENCY_GRID,
+        target: target ?? null
+    }
+});
+
+/**
+ * Parses and validates a project file's text.
+ * Returns the design state, or throws an Error explaining why
+ * the file cannot be opened.
+ */
+export const parseProject = (text) => {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Project file is corrupt: ${err.message}`);
+    }
+
+    if (!doc || doc.format !== PROJECT_FORMAT) {
+        throw new Error('Not an IEM crossover project file');
+    }
+    if (!Number.isInteger(doc.version)) {
+        throw new Error('Project file has no version number');
+    }
+    if (doc.version < MIN_PROJECT_VERSION) {
+        throw new Error(`Project version ${doc.version} is too old to open (expected ${MIN_PROJECT_VERSION}-${PROJECT_VERSION})`);
+    }
+    if (doc.version > PROJECT_VERSION) {
+        throw new Error(`Project version ${doc.version} was saved by a newer release of the simulator`);
+    }
+
+    const design = doc.design;
+    try {
+        validateDesign(design);
+    } catch (err) {
+        throw new Error(`Project file is invalid: ${err.message}`);
+    }
+
+    // Ids only need to be unique within the session
+    let nextId = Date.now();
+    return {
+        drivers: design.drivers.map(driver => ({
+            id: driver.id ?? nextId++,
+            name: driver.name ?? '',
+            frd: driver.frd ?? null,
+            zma: driver.zma ?? null,
+            polarity: !!driver.polarity,
+            frdCompensated: driver.frdCompensated ?? true,
+            minimumPhase: !!driver.minimumPhase,
+            frdExtrapolation: driver.frdExtrapolation ?? DEFAULT_EXTRAPOLATION,
+            zmaExtrapolation: driver.zmaExtrapolation ?? DEFAULT_EXTRAPOLATION,
+            netlist: driver.netlist ?? null,
+            acousticPath: driver.acousticPath ?? null,
+            delay: driver.delay ?? 0,
+            delayUnit: driver.delayUnit ?? 'us',
+            levelTrim: driver.levelTrim ?? 0,
+            frdMeasurements: driver.frdMeasurements ?? null,
+            zmaMeasurements: driver.zmaMeasurements ?? null,
+            impedanceModel: driver.impedanceModel ?? null
+        })),
+        crossoverElements: design.crossoverElements.map(el => ({ ...el, id: el.id ?? nextId++ })),
+        earSimulator: { ...DEFAULT_EAR_SIMULATOR, ...design.earSimulator },
+        sourcePreset: design.sourcePreset ?? 'apple',
+        customVoltage: design.customVoltage ?? 1.0,
+        frequencyGrid: design.frequencyGrid ?? DEFAULT_FREQUENCY_GRID,
+        target: design.target ?? null
+    };
+};
@@ -0,0 +1,279 @@
+import { BRANCH_FIELDS, validateDesign } from './design.js';
+import { DEFAULT_EAR_SIMULATOR } from './earSimulator.js';
+import { DEFAULT_EXTRAPOLATION } from './extrapolation.js';
+import { DEFAULT_FREQUENCY_GRID } from './simulate.js';
+
+// Bumped whenever the payload gains a field, as PROJECT_VERSION is; links
+// back to MIN_SHARE_VERSION decode with defaults for the fields they lack
+export const SHARE_VERSION = 2;
+export const MIN_SHARE_VERSION = 1;
+export const SHARE_PARAM = 'design';
+
+// Links much longer than this get truncated by chat clients and some browsers
+export const MAX_SHARE_LENGTH = 8000;
+
+// Points kept per FRD/ZMA file when measurements are embedded
+const SHARE_POINTS_PER_FILE = 64;
+
+const ELEMENT_CODES = { capacitor: 'c', inductor: 'l', resistor: 'r', branch: 'b' };
+const ELEMENT_TYPES_BY_CODE = { c: 'capacitor', l: 'inductor', r: 'resistor', b: 'branch' };
+
+const round = (value) => Number(value.toPrecision(5));
+
+// --- Byte helpers (deflate-raw + base64url) ---
+
+const compress = async (text) => {
+    if (typeof CompressionStream === 'undefined') {
+        throw new Error('This browser cannot compress share links');
+    }
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const decompress = async (bytes) => {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read share links');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+};
+
+const toBase64Url = (bytes) => {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+};
+
+// --- Compact payload ---
+
+/**
+ * Picks up to `count` points spread evenly across the file.
+ * Measurement files are usually log-spaced already, so index spacing
+ * keeps the same per-octave density.
+ */
+const downsample = (points, valueKey, count) => {
+    const step = Math.max(1, (points.length - 1) / (count - 1));
+    const picked = [];
+    for (let i = 0; i < points.length; i += step) {
+        const p = points[Math.round(i)];
+        picked.push([round(p.freq), round(p[valueKey]), round(p.phase || 0)]);
+    }
+    const last = points[points.length - 1];
+    if (picked[picked.length - 1][0] !== round(last.freq)) {
+        picked.push([round(last.freq), round(last[valueKey]), round(last.phase || 0)]);
+    }
+    return picked;
+};
+
+// Branches carry their R/L/C parts in place of a single value
+const packValue = (el) => el.type === 'branch' ? BRANCH_FIELDS.map(key => el[key]) : el.value;
+
+const unpackValue = (element, value) => {
+    if (Array.isArray(value)) {
+        BRANCH_FIELDS.forEach((key, i) => { element[key] = value[i]; });
+    } else {
+        element.value = value;
+    }
+    return element;
+};
+
+const ACOUSTIC_CODES = { tube: 't', damper: 'd', bore: 'b' };
+const ACOUSTIC_TYPES_BY_CODE = { t: 'tube', d: 'damper', b: 'bore' };
+
+const packAcousticPath = (path) => [
+    path.source === 'pressure' ? 1 : 0,
+    path.elements.map(el => el.type === 'damper'
+        ? [ACOUSTIC_CODES[el.type], el.rating]
+        : [ACOUSTIC_CODES[el.type], el.length, el.diameter])
+];
+
+const unpackAcousticPath = ([source, elements], nextId) => ({
+    source: source ? 'pressure' : 'velocity',
+    elements: elements.map(([code, a, b]) => code === 'd'
+        ? { id: nextId(), type: 'damper', rating: a }
+        : { id: nextId(), type: ACOUSTIC_TYPES_BY_CODE[code], length: a, diameter: b })
+});
+
+const IMPEDANCE_MODEL_FIELDS = ['re', 'le', 'exponent', 'f0', 'qms', 'qes'];
+
+const packImpedanceModel = (model) => [
+    model.type,
+    ...IMPEDANCE_MODEL_FIELDS.map(key => round(model[key])),
+    model.overrideZma ? 1 : 0
+];
+
+const unpackImpedanceModel = ([type, ...values]) => ({
+    type,
+    ...Object.fromEntries(IMPEDANCE_MODEL_FIELDS.map((key, i) => [key, values[i]])),
+    overrideZma: !!values[IMPEDANCE_MODEL_FIELDS.length]
+});
+
+// The target keeps its level settings and a down-sampled curve, with or
+// without the measurements, since it is part of the design's intent
+const packTarget = (target) => [
+    target.name ?? '',
+    target.offset ?? 0,
+    target.tilt ?? 0,
+    downsample(target.points, 'spl', SHARE_POINTS_PER_FILE).map(([freq, spl]) => [freq, spl])
+];
+
+const unpackTarget = ([name, offset, tilt, points]) => ({
+    name,
+    offset,
+    tilt,
+    points: points.map(([freq, spl]) => ({ freq, spl }))
+});
+
+const packDesign = (state, includeMeasurements) => ({
+    v: SHARE_VERSION,
+    d: state.drivers.map(driver => [
+        driver.name,
+        driver.polarity ? 1 : 0,
+        driver.frdCompensated ? 1 : 0,
+        includeMeasurements && driver.frd ? downsample(driver.frd, 'spl', SHARE_POINTS_PER_FILE) : 0,
+        includeMeasurements && driver.zma ? downsample(driver.zma, 'impedance', SHARE_POINTS_PER_FILE) : 0,
+        driver.netlist
+            ? driver.netlist.components.map(c => [c.from, c.to, ELEMENT_CODES[c.type], packValue(c), c.esr ?? 0, c.dcr ?? 0])
+            : 0,
+        driver.acousticPath ? packAcousticPath(driver.acousticPath) : 0,
+        [driver.delay ?? 0, driver.delayUnit === 'mm' ? 1 : 0, driver.levelTrim ?? 0],
+        driver.minimumPhase ? 1 : 0,
+        [driver.frdExtrapolation ?? DEFAULT_EXTRAPOLATION, driver.zmaExtrapolation ?? DEFAULT_EXTRAPOLATION],
+        driver.impedanceModel ? packImpedanceModel(driver.impedanceModel) : 0
+    ]),
+    x: state.crossoverElements.map(el => [
+        el.driverIndex,
+        ELEMENT_CODES[el.type],
+        packValue(el),
+        el.series ? 1 : 0,
+        el.order,
+        el.esr ?? 0,
+        el.dcr ?? 0
+    ]),
+    e: state.earSimulator,
+    s: [state.sourcePreset, state.customVoltage],
+    g: state.frequencyGrid
+        ? [state.frequencyGrid.start, state.frequencyGrid.stop, state.frequencyGrid.pointsPerOctave, state.frequencyGrid.useMeasured ? 1 : 0]
+        : 0,
+    t: state.target ? packTarget(state.target) : 0
+});
+
+const unpackPoints = (packed, valueKey) => packed
+    ? packed.map(([freq, value, phase]) => ({ freq, [valueKey]: value, phase }))
+    : null;
+
+const unpackDesign = (payload) => {
+    let nextId = Date.now();
+    return {
+        drivers: payload.d.map(([name, polarity, frdCompensated, frd, zma, netlist, acousticPath, timing = [0, 0, 0], minimumPhase = 0, extrapolation = [], impedanceModel = 0]) => ({
+            id: nextId++,
+            name,
+            frd: unpackPoints(frd, 'spl'),
+            zma: unpackPoints(zma, 'impedance'),
+            polarity: !!polarity,
+            frdCompensated: !!frdCompensated,
+            minimumPhase: !!minimumPhase,
+            frdExtrapolation: extrapolation[0] ?? DEFAULT_EXTRAPOLATION,
+            zmaExtrapolation: extrapolation[1] ?? DEFAULT_EXTRAPOLATION,
+            netlist: netlist
+                ? {
+                    components: netlist.map(([from, to, code, value, esr, dcr]) => unpackValue({
+                        id: nextId++,
+                        type: ELEMENT_TYPES_BY_CODE[code],
+                        from,
+                        to,
+                        esr,
+                        dcr
+                    }, value))
+                }
+                : null,
+            acousticPath: acousticPath ? unpackAcousticPath(acousticPath, () => nextId++) : null,
+            delay: timing[0],
+            delayUnit: timing[1] ? 'mm' : 'us',
+            levelTrim: timing[2],
+            impedanceModel: impedanceModel ? unpackImpedanceModel(impedanceModel) : null
+        })),
+        crossoverElements: payload.x.map(([driverIndex, code, value, series, order, esr, dcr]) => unpackValue({
+            id: nextId++,
+            driverIndex,
+            type: ELEMENT_TYPES_BY_CODE[code],
+            series: !!series,
+            order,
+            esr,
+            dcr
+        }, value)),
+        earSimulator: { ...DEFAULT_EAR_SIMULATOR, ...payload.e },
+        sourcePreset: payload.s[0],
+        customVoltage: payload.s[1],
+        frequencyGrid: payload.g
+            ? { start: payload.g[0], stop: payload.g[1], pointsPerOctave: payload.g[2], useMeasured: !!payload.g[3] }
+            : DEFAULT_FREQUENCY_GRID,
+        target: payload.t ? unpackTarget(payload.t) : null
+    };
+};
+
+/**
+ * Encodes the design state into a compressed URL fragment value.
+ *
+ * Measurements are down-sampled and embedded when `includeMeasurements`
+ * is set; if that makes the link too long they are dropped again.
+ * Resolves to `{ fragment, measurementsIncluded }`, or rejects when even
+ * the bare topology does not fit.
+ */
+export const encodeShareLink = async (state, { includeMeasurements = true } = {}) => {
+    const encode = async (withData) => `${SHARE_PARAM}=${toBase64Url(await compress(JSON.stringify(packDesign(state, withData))))}`;
+
+    const hasMeasurements = state.drivers.some(driver => driver.frd || driver.zma);
+    if (includeMeasurements && hasMeasurements) {
+        const fragment = await encode(true);
+        if (fragment.length <= MAX_SHARE_LENGTH) {
+            return { fragment, measurementsIncluded: true };
+        }
+    }
+
+    const fragment = await encode(false);
+    if (fragment.length > MAX_SHARE_LENGTH) {
+        throw new Error('Design is too large to share as a link; save a project file instead');
+    }
+    return { fragment, measurementsIncluded: false };
+};
+
+/**
+ * Decodes a URL fragment (with or without the leading '#').
+ * Resolves to null when the fragment holds no shared design, and
+ * rejects when the payload is corrupt, older than MIN_SHARE_VERSION or
+ * from a newer release.
+ */
+export const decodeShareLink = async (hash) => {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const encoded = params.get(SHARE_PARAM);
+    if (!encoded) return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(await decompress(fromBase64Url(encoded)));
+    } catch (err) {
+        throw new Error('Shared link is damaged or incomplete');
+    }
+
+    if (!payload || !Number.isInteger(payload.v) || payload.v < MIN_SHARE_VERSION) {
+        throw new Error(`Shared link uses format version ${payload?.v ?? 'unknown'}, this simulator reads versions ${MIN_SHARE_VERSION}-${SHARE_VERSION}`);
+    }
+    if (payload.v > SHARE_VERSION) {
+        throw new Error(`Shared link uses format version ${payload.v}, made by a newer release of the simulator`);
+    }
+
+    let state;
+    try {
+        state = unpackDesign(payload);
+        validateDesign(state);
+    } catch (err) {
+        throw new Error(`Shared link is invalid: ${err.message}`);
+    }
+    return state;
+};
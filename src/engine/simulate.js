@@ -0,0 +1,331 @@
+import {
+    EPSILON,
+    complexAdd,
+    complexDivide,
+    complexMagnitude,
+    complexPhase
+} from './complex.js';
+import { interpolatePhase } from './interpolation.js';
+import { isExtrapolated, readLevel } from './extrapolation.js';
+import { getMeasurementSpread } from './averaging.js';
+import { DEFAULT_EAR_SIMULATOR } from './earSimulator.js';
+import { SPEED_OF_SOUND, getAcousticPathResponse } from './acoustics.js';
+import { usesImpedanceModel } from './impedanceModel.js';
+import { getMinimumPhaseFrd } from './minimumPhase.js';
+import { wrapPhase } from './phase.js';
+import { calculateCrossoverImpedanceAndTransfer, solveLadder } from './crossover.js';
+
+// Elements with this driverIndex sit on the common input path, ahead of the driver split
+export const SHARED_PATH = null;
+
+export const isSharedElement = (element) => element.driverIndex === SHARED_PATH;
+
+// Units a driver's delay can be entered in: time, or extra path length in air
+export const DELAY_UNITS = { us: 'µs', mm: 'mm' };
+
+/**
+ * A driver's delay in seconds. Path lengths are converted at the
+ * speed of sound; a missing delay is zero.
+ */
+export const getDriverDelay = (driver) => {
+    const delay = driver.delay || 0;
+    return driver.delayUnit === 'mm'
+        ? delay / 1000 / SPEED_OF_SOUND
+        : delay * 1e-6;
+};
+
+// Load seen by the shared path when no driver presents an impedance
+const OPEN_CIRCUIT = { real: 1e9, imag: 0 };
+
+// Source presets with typical output voltages
+export const SOURCE_PRESETS = {
+    raw: { name: 'Raw Audio (Phone)', voltage: 0.5 },
+    apple: { name: 'Apple Dongle', voltage: 1.0 },
+    jcally: { name: 'JCally JA04', voltage: 2.0 },
+    desktop: { name: 'Desktop DAC', voltage: 4.0 },
+    custom: { name: 'Custom', voltage: 1.0 }
+};
+
+/**
+ * Resolves the drive voltage for a source preset key.
+ * `customVoltage` is only used for the 'custom' preset.
+ */
+export const getSourceVoltage = (sourcePreset, customVoltage) => {
+    if (sourcePreset === 'custom') return customVoltage;
+    const preset = SOURCE_PRESETS[sourcePreset];
+    if (!preset) throw new Error(`Unknown source preset "${sourcePreset}"`);
+    return preset.voltage;
+};
+
+// Points per octave of the original sweep, which stepped up 1.5% at a time
+export const LEGACY_POINTS_PER_OCTAVE = Math.LN2 / Math.log(1.015);
+
+// Sweep settings: a log grid from `start` to `stop` (Hz), or the union of
+// the drivers' measured FRD/ZMA frequencies inside that range. The default
+// keeps the original 1.5% steps.
+export const DEFAULT_FREQUENCY_GRID = { start: 20, stop: 20000, pointsPerOctave: LEGACY_POINTS_PER_OCTAVE, useMeasured: false };
+
+export const FREQUENCY_GRID_LIMITS = { minFrequency: 1, maxFrequency: 96000, maxPointsPerOctave: 384 };
+
+// Measured frequencies closer than this (relative) count as one
+const SAME_FREQUENCY = 1e-6;
+
+const measuredFrequencies = (drivers, start, stop) => {
+    const freqs = drivers
+        .flatMap(driver => [...(driver.frd || []), ...(driver.zma || [])])
+        .map(p => p.freq)
+        .filter(freq => freq >= start && freq <= stop)
+        .sort((a, b) => a - b);
+    return freqs.filter((freq, i) => i === 0 || freq - freqs[i - 1] > freqs[i - 1] * SAME_FREQUENCY);
+};
+
+/**
+ * Frequencies to simulate for the grid `settings` (missing fields fall back
+ * to DEFAULT_FREQUENCY_GRID). With `useMeasured`, fewer than two measured
+ * points in range fall back to the log grid.
+ */
+export const getFrequencyGrid = (settings, drivers = []) => {
+    const { start, stop, pointsPerOctave, useMeasured } = { ...DEFAULT_FREQUENCY_GRID, ...settings };
+
+    if (useMeasured) {
+        const measured = measuredFrequencies(drivers, start, stop);
+        if (measured.length >= 2) return measured;
+    }
+
+    const count = Math.floor(Math.log2(stop / start) * pointsPerOctave + 1e-9);
+    const freqRange = Array.from({ length: count + 1 }, (_, i) => start * Math.pow(2, i / pointsPerOctave));
+    if (freqRange[count] < stop * (1 - SAME_FREQUENCY)) freqRange.push(stop);
+    return freqRange;
+};
+
+// Default sweep: 20 Hz - 20 kHz in 1.5% steps
+export const defaultFrequencyGrid = () => getFrequencyGrid(DEFAULT_FREQUENCY_GRID);
+
+/**
+ * Log-axis ticks for a frequency chart: 1-2-5 per decade inside [min, max].
+ */
+export const getFrequencyTicks = (min, max) => {
+    const ticks = [];
+    for (let decade = 1; decade <= FREQUENCY_GRID_LIMITS.maxFrequency; decade *= 10) {
+        [1, 2, 5].forEach(step => {
+            const freq = step * decade;
+            if (freq >= min && freq <= max) ticks.push(freq);
+        });
+    }
+    return ticks;
+};
+
+/**
+ * Runs the full electrical + acoustic simulation of a design.
+ *
+ * design:  { drivers, crossoverElements, earSimulator }
+ *          A driver with a `netlist` uses it instead of its ladder elements.
+ *          Elements with `driverIndex: SHARED_PATH` form a ladder between the
+ *          source and the parallel driver branches, so every branch is driven
+ *          by the voltage left after that common path.
+ *          A driver's `acousticPath` (tubes, dampers, bore) shapes its
+ *          response before the pressures are summed, as do its `delay`
+ *          (in `delayUnit`, see DELAY_UNITS) and `levelTrim` in dB.
+ *          With `minimumPhase` set, the FRD phase is replaced by the
+ *          minimum phase of its magnitude. `frdExtrapolation` and
+ *          `zmaExtrapolation` (see EXTRAPOLATION_MODELS and
+ *          ZMA_EXTRAPOLATION_MODELS) continue the
+ *          files beyond their data. `frdMeasurements` / `zmaMeasurements`
+ *          hold the individual files that `frd` / `zma` combine
+ *          (see combineMeasurements). An `impedanceModel` (see
+ *          getModelImpedance) is the electrical load without a ZMA, or
+ *          instead of it with `overrideZma`.
+ *          `frequencyGrid` (see getFrequencyGrid) sets the sweep when
+ *          `options.frequencies` is not given.
+ * options: { sourceVoltage, frequencies }
+ *
+ * Returns one point per frequency with `total_spl`, `total_impedance`,
+ * `total_phase` (electrical), `total_spl_phase` (acoustic) and the
+ * per-driver `driver{idx}_spl|_spl_phase|_impedance|_phase` keys.
+ * A driver with several FRD measurements also gets `driver{idx}_spl_band`,
+ * the [lowest, highest] of its measurements through the same chain.
+ * `total_spl_extrapolated`, `total_impedance_extrapolated` and
+ * `driver{idx}_spl_extrapolated` are set where a file was extrapolated.
+ * Pure: never mutates the design.
+ */
+export const simulate = (design, options = {}) => {
+    const drivers = design.drivers || [];
+    const crossoverElements = design.crossoverElements || [];
+    const earSimulator = design.earSimulator || DEFAULT_EAR_SIMULATOR;
+    const sourceVoltage = options.sourceVoltage ?? SOURCE_PRESETS.apple.voltage;
+    const freqRange = options.frequencies || getFrequencyGrid(design.frequencyGrid, drivers);
+    const sharedElements = crossoverElements.filter(isSharedElement);
+
+    return freqRange.map(freq => {
+        const point = { freq: freq };
+
+        let totalAdmittance = { real: 0, imag: 0 }; // Admittance Y = 1/Z
+        let driversInParallel = 0;
+        let complexPressures = []; // For acoustic summation
+        let splExtrapolated = false; // Any FRD read outside its data
+        let impedanceExtrapolated = false; // Any ZMA read outside its data
+        const results = [];
+
+        drivers.forEach((driver, idx) => {
+            // A netlist, when present, replaces the driver's ladder elements
+            const netlist = driver.netlist || null;
+            const driverElements = netlist ? [] : crossoverElements.filter(el => el.driverIndex === idx);
+            const hasNetwork = netlist ? netlist.components.length > 0 : driverElements.length > 0;
+
+            // BUGFIX: Only skip if driver is truly empty.
+            const modelLoad = usesImpedanceModel(driver);
+            const impedanceData = modelLoad ? null : driver.zma;
+
+            if (!driver.frd && !impedanceData && !modelLoad && !hasNetwork) {
+                return; // Skip this driver
+            }
+
+            // --- 1. ELECTRICAL & IMPEDANCE CALCULATION ---
+            // This section runs regardless of whether an FRD is present.
+            // It calculates the driver's contribution to the system's total impedance.
+
+            // Call the calculation function. It will use the driver's ZMA
+            // and the crossover components.
+            const result = calculateCrossoverImpedanceAndTransfer(
+                freq,
+                driverElements,
+                impedanceData,
+                sourceVoltage,
+                driver.frdCompensated,
+                earSimulator,
+                netlist,
+                driver.zmaExtrapolation,
+                driver.impedanceModel
+            );
+
+            // BUGFIX: Check for ZMA or components. A driver with only an FRD
+            // and no ZMA/crossover has no electrical impedance (it's an "ideal" driver,
+            // which isn't realistic, but we'll treat it as open-circuit).
+            // The "no components" case is handled by the new calc function.
+            if (impedanceData || modelLoad || hasNetwork) {
+                point[`driver${idx}_impedance`] = result.impedanceMagnitude;
+                point[`driver${idx}_phase`] = result.impedancePhase;
+                if (isExtrapolated(impedanceData, freq)) impedanceExtrapolated = true;
+
+                // Convert Mag/Phase back to complex Z
+                const Z = {
+                    real: result.impedanceMagnitude * Math.cos((result.impedancePhase * Math.PI) / 180),
+                    imag: result.impedanceMagnitude * Math.sin((result.impedancePhase * Math.PI) / 180)
+                };
+
+                // Convert Z to Y (Admittance) and add to the total
+                const Y = complexDivide({ real: 1, imag: 0 }, Z);
+                totalAdmittance = complexAdd(totalAdmittance, Y);
+                driversInParallel++;
+            }
+            results[idx] = result;
+        });
+
+        // --- 2. Common input path ---
+        // The shared ladder is loaded by all branches in parallel; its
+        // transfer scales the voltage reaching every branch.
+        let sharedPath = null;
+        if (sharedElements.length > 0 && drivers.length > 0) {
+            const Z_load = driversInParallel > 0
+                ? complexDivide({ real: 1, imag: 0 }, totalAdmittance)
+                : OPEN_CIRCUIT;
+            const { Z, H } = solveLadder(freq, sharedElements, Z_load);
+            sharedPath = {
+                Z,
+                gainDb: 20 * Math.log10(complexMagnitude(H) + EPSILON),
+                phaseDeg: complexPhase(H)
+            };
+        }
+
+        drivers.forEach((driver, idx) => {
+            const result = results[idx];
+            if (!result) return;
+
+            // --- 3. ACOUSTIC & SPL CALCULATION ---
+            // This section only runs if an FRD file is present.
+            if (driver.frd) {
+                // Get base SPL and ACOUSTIC phase from FRD
+                const frd = driver.minimumPhase ? getMinimumPhaseFrd(driver.frd) : driver.frd;
+                const baseSpl = readLevel(frd, freq, 'spl', driver.frdExtrapolation);
+                const baseAcousticPhase = interpolatePhase(frd, freq);
+
+                if (baseSpl !== null) {
+                    // --- Total SPL (Magnitude) ---
+                    const sharedGainDb = sharedPath ? sharedPath.gainDb : 0;
+                    const acoustic = getAcousticPathResponse(freq, driver.acousticPath, earSimulator);
+                    const levelTrimDb = driver.levelTrim || 0;
+                    const finalDriverSpl = baseSpl + result.totalGainDb + sharedGainDb + acoustic.gainDb + levelTrimDb;
+                    point[`driver${idx}_spl`] = finalDriverSpl;
+
+                    // Spread of the driver's measurements, through the same chain
+                    const files = driver.frdMeasurements ? driver.frdMeasurements.files : [];
+                    if (files.length > 1) {
+                        const spread = getMeasurementSpread(files);
+                        if (spread.min.length > 1) {
+                            const chainDb = finalDriverSpl - baseSpl;
+                            point[`driver${idx}_spl_band`] = [
+                                readLevel(spread.min, freq, 'spl', driver.frdExtrapolation) + chainDb,
+                                readLevel(spread.max, freq, 'spl', driver.frdExtrapolation) + chainDb
+                            ];
+                        }
+                    }
+                    if (isExtrapolated(frd, freq)) {
+                        point[`driver${idx}_spl_extrapolated`] = true;
+                        splExtrapolated = true;
+                    }
+
+                    // --- Total Phase (Angle) ---
+                    const polarityPhase = driver.polarity ? 180 : 0;
+                    const sharedPhaseDeg = sharedPath ? sharedPath.phaseDeg : 0;
+                    const delayPhaseDeg = -360 * freq * getDriverDelay(driver);
+                    const finalDriverPhaseDeg = baseAcousticPhase + result.electricalPhaseDeg + sharedPhaseDeg
+                        + acoustic.phaseDeg + delayPhaseDeg + polarityPhase;
+                    point[`driver${idx}_spl_phase`] = wrapPhase(finalDriverPhaseDeg);
+
+                    // --- Convert to Complex Pressure ---
+                    const pressureMag = Math.pow(10, finalDriverSpl / 20);
+                    const phaseRad = (finalDriverPhaseDeg * Math.PI) / 180;
+
+                    const complexPressure = {
+                        real: pressureMag * Math.cos(phaseRad),
+                        imag: pressureMag * Math.sin(phaseRad)
+                    };
+                    complexPressures.push(complexPressure);
+                }
+            }
+        }); // --- End of driver loop ---
+
+        // --- 5. Sum Acoustic Pressures ---
+        if (complexPressures.length > 0) {
+            const totalComplexPressure = complexPressures.reduce(
+                (a, b) => complexAdd(a, b), { real: 0, imag: 0 }
+            );
+            const totalPressureMag = complexMagnitude(totalComplexPressure);
+
+            point.total_spl = (totalPressureMag > EPSILON)
+                ? 20 * Math.log10(totalPressureMag)
+                : -200;
+            point.total_spl_phase = complexPhase(totalComplexPressure);
+            if (splExtrapolated) point.total_spl_extrapolated = true;
+        }
+
+        // --- 6. Finalize Total Impedance ---
+        // BUGFIX: This block now runs correctly even if only a ZMA was provided.
+        if (sharedPath) {
+            point.total_impedance = complexMagnitude(sharedPath.Z);
+            point.total_phase = complexPhase(sharedPath.Z);
+        } else if (driversInParallel > 0) {
+            const Z_total = complexDivide({ real: 1, imag: 0 }, totalAdmittance);
+            point.total_impedance = complexMagnitude(Z_total);
+            point.total_phase = complexPhase(Z_total);
+        } else if (drivers.length > 0 && driversInParallel === 0) {
+            // Case: Drivers were added but had no ZMA or crossover (e.g., FRD only).
+            // System impedance is effectively infinite (open circuit).
+            point.total_impedance = 1e9; // Set to a very high impedance
+            point.total_phase = 0;
+        }
+        if (impedanceExtrapolated) point.total_impedance_extrapolated = true;
+
+        return point;
+    });
+};
@@ -0,0 +1,489 @@
+import { IMPEDANCE_MODEL_TYPES, fitImpedanceModel, getModelNetwork, usesImpedanceModel } from './impedanceModel.js';
+import { DRIVER_NODE, GROUND_NODE, SOURCE_NODE, ladderToNetlist } from './netlist.js';
+import { SOURCE_PRESETS, getFrequencyGrid, isSharedElement } from './simulate.js';
+
+// Node between the shared input path and the driver branches
+const SPLIT_NODE = 'split';
+
+// The source drives this node, and a 0 V source from it to SOURCE_NODE
+// senses the input current (ngspice prints currents only through V sources)
+const SUPPLY_NODE = 'src';
+const SENSE_SOURCE = 'VSENSE';
+
+// SPICE rejects zero-Ohm resistors, so wires are written as this
+const WIRE_RESISTANCE = 1e-6;
+
+const SCALE_SUFFIXES = [
+    [1e9, 'g'], [1e6, 'meg'], [1e3, 'k'], [1, ''],
+    [1e-3, 'm'], [1e-6, 'u'], [1e-9, 'n'], [1e-12, 'p'], [1e-15, 'f']
+];
+
+const SCALE_FACTORS = {
+    t: 1e12, g: 1e9, meg: 1e6, k: 1e3, mil: 25.4e-6,
+    m: 1e-3, u: 1e-6, n: 1e-9, p: 1e-12, f: 1e-15
+};
+
+const round = (value) => Number(value.toPrecision(6));
+
+/**
+ * Formats a value in SI base units with a SPICE scale suffix (4.7u, 1.2k).
+ */
+export const formatSpiceValue = (value) => {
+    if (value === 0) return '0';
+    const [scale, suffix] = SCALE_SUFFIXES.find(([s]) => Math.abs(value) >= s) || SCALE_SUFFIXES[SCALE_SUFFIXES.length - 1];
+    return `${round(value / scale)}${suffix}`;
+};
+
+/**
+ * Reads a SPICE number with an optional scale suffix ('10u', '2.2meg').
+ * Trailing unit letters are ignored as in SPICE ('10uF').
+ * Returns null when the token is not a number.
+ */
+export const parseSpiceValue = (token) => {
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(meg|mil|[tgkmunpf])?[a-z]*$/i.exec(token);
+    if (!match) return null;
+    const scale = match[2] ? SCALE_FACTORS[match[2].toLowerCase()] : 1;
+    return parseFloat(match[1]) * scale;
+};
+
+// --- 1. Export ---
+
+// Relative spacing error still read as a log grid
+const LOG_GRID_TOLERANCE = 1e-6;
+
+// `.ac` card for the grid and whether it hits the grid's points. SPICE
+// sweeps are logarithmic, so a log grid with whole points per octave is
+// exact (its shorter last step to `stop` aside); any other grid, such as
+// measured frequencies, gets the nearest `.ac dec` sweep over its range.
+const acSweepCard = (frequencies) => {
+    const fstart = frequencies[0];
+    const fstop = frequencies[frequencies.length - 1];
+    const range = `${formatSpiceValue(fstart)} ${formatSpiceValue(fstop)}`;
+    if (frequencies.length < 2) return { card: `.ac oct 1 ${range}`, exact: true };
+
+    const step = Math.log(frequencies[1] / fstart);
+    const perOctave = Math.LN2 / step;
+    const regular = frequencies.slice(1).every((freq, i) => {
+        const ratio = Math.log(freq / frequencies[i]) / step;
+        return Math.abs(ratio - 1) < LOG_GRID_TOLERANCE || (i === frequencies.length - 2 && ratio < 1);
+    });
+    if (regular && Math.abs(perOctave - Math.round(perOctave)) < LOG_GRID_TOLERANCE) {
+        return { card: `.ac oct ${Math.round(perOctave)} ${range}`, exact: true };
+    }
+
+    const perDecade = Math.max(1, Math.round((frequencies.length - 1) / Math.log10(fstop / fstart)));
+    return { card: `.ac dec ${perDecade} ${range}`, exact: false };
+};
+
+const createNamer = () => {
+    const counters = {};
+    return (letter) => {
+        counters[letter] = (counters[letter] || 0) + 1;
+        return `${letter}${counters[letter]}`;
+    };
+};
+
+// SPICE cards for one component between two nodes, parasitics included
+const componentCards = (component, from, to, nextName) => {
+    if (component.type === 'resistor') {
+        return [`${nextName('R')} ${from} ${to} ${formatSpiceValue(component.value || WIRE_RESISTANCE)}`];
+    }
+    if (component.type === 'branch') {
+        const parts = [['R', component.resistance || WIRE_RESISTANCE]];
+        if (component.inductance > 0) parts.push(['L', component.inductance * 1e-3]);
+        if (component.capacitance > 0) parts.push(['C', component.capacitance * 1e-6]);
+        const names = parts.map(([letter]) => nextName(letter));
+        return parts.map(([, value], i) => {
+            const a = i === 0 ? from : `${names[i - 1].toLowerCase()}_p`;
+            const b = i === parts.length - 1 ? to : `${names[i].toLowerCase()}_p`;
+            return `${names[i]} ${a} ${b} ${formatSpiceValue(value)}`;
+        });
+    }
+
+    const isCapacitor = component.type === 'capacitor';
+    const name = nextName(isCapacitor ? 'C' : 'L');
+    const value = isCapacitor ? component.value * 1e-6 : component.value * 1e-3;
+    const parasitic = isCapacitor ? component.esr : component.dcr;
+    if (!parasitic) return [`${name} ${from} ${to} ${formatSpiceValue(value)}`];
+
+    const inner = `${name.toLowerCase()}_p`;
+    return [
+        `${name} ${from} ${inner} ${formatSpiceValue(value)}`,
+        `R${name}_${isCapacitor ? 'ESR' : 'DCR'} ${inner} ${to} ${formatSpiceValue(parasitic)}`
+    ];
+};
+
+// Renames netlist nodes into the global circuit
+const mapNode = (node, inputNode, outputNode, prefix) => {
+    if (node === SOURCE_NODE) return inputNode;
+    if (node === DRIVER_NODE) return outputNode;
+    if (node === GROUND_NODE) return '0';
+    return `${prefix}_${node}`;
+};
+
+const PART_LETTERS = { resistor: 'R', inductor: 'L', capacitor: 'C' };
+
+const describeModel = (model) => `Re ${round(model.re)} Ohm, Le ${round(model.le)} mH at 1 kHz (exponent ${round(model.exponent)}), `
+    + `f0 ${round(model.f0)} Hz, Qms ${round(model.qms)}, Qes ${round(model.qes)}`;
+
+// The driver's impedance model, or the better of the model types fitted to its ZMA
+const driverModel = async (driver) => {
+    if (usesImpedanceModel(driver)) {
+        return { model: driver.impedanceModel, note: `Impedance model: ${describeModel(driver.impedanceModel)}` };
+    }
+    const fits = await Promise.all(Object.keys(IMPEDANCE_MODEL_TYPES).map(type => fitImpedanceModel(driver.zma, type)));
+    const fit = fits.reduce((best, candidate) => candidate.rmsError < best.rmsError ? candidate : best);
+    return {
+        model: fit.model,
+        note: `ZMA fitted as ${IMPEDANCE_MODEL_TYPES[fit.model.type].toLowerCase()} model, `
+            + `${fit.rmsError.toFixed(2)} dB RMS error: ${describeModel(fit.model)}`
+    };
+};
+
+// Driver load as a subcircuit of plain R/L/C parts: its impedance model
+// (or one fitted to its ZMA) as getModelNetwork's chain, or 8 Ohm without either
+const driverSubcircuit = async (name, driver, frequencies) => {
+    const lines = [`.subckt ${name} a b`];
+    if ((driver.zma && driver.zma.length > 0) || usesImpedanceModel(driver)) {
+        const { model, note } = await driverModel(driver);
+        const stages = getModelNetwork(model, frequencies[0], frequencies[frequencies.length - 1]);
+        const nextName = createNamer();
+        lines.push(`* ${note}`);
+        stages.forEach((parts, i) => {
+            const from = i === 0 ? 'a' : `n${i}`;
+            const to = i === stages.length - 1 ? 'b' : `n${i + 1}`;
+            parts.forEach(part => lines.push(`${nextName(PART_LETTERS[part.type])} ${from} ${to} ${formatSpiceValue(part.value)}`));
+        });
+    } else {
+        lines.push('R1 a b 8');
+    }
+    lines.push(`.ends ${name}`);
+    return lines;
+};
+
+/**
+ * Writes a design's electrical network as a `.cir` netlist for ngspice,
+ * LTspice or PSpice: the source, the shared input path, every driver's
+ * ladder or netlist with ESR/DCR, each driver's load as an R/L/C
+ * subcircuit (see driverSubcircuit), and an AC sweep over `frequencies`
+ * (see acSweepCard for grids SPICE cannot sweep exactly). Only plain
+ * R, L, C, V and X cards are used. The ear simulator and FRD data are
+ * acoustic and left out.
+ *
+ * Resolves to the netlist text; fitting models to ZMAs yields to the UI.
+ */
+export const exportSpiceNetlist = async (design, options = {}) => {
+    const drivers = design.drivers || [];
+    const crossoverElements = design.crossoverElements || [];
+    const sourceVoltage = options.sourceVoltage ?? SOURCE_PRESETS.apple.voltage;
+    const frequencies = options.frequencies || getFrequencyGrid(design.frequencyGrid, drivers);
+    const nextName = createNamer();
+
+    const lines = [
+        '* IEM Crossover Simulator export',
+        `V1 ${SUPPLY_NODE} 0 AC ${round(sourceVoltage)}`,
+        `${SENSE_SOURCE} ${SUPPLY_NODE} ${SOURCE_NODE} 0`
+    ];
+
+    const shared = crossoverElements.filter(isSharedElement);
+    const splitNode = shared.length > 0 ? SPLIT_NODE : SOURCE_NODE;
+    if (shared.length > 0) {
+        lines.push('', '* Shared input path');
+        ladderToNetlist(shared).components.forEach(c => {
+            lines.push(...componentCards(c, mapNode(c.from, SOURCE_NODE, SPLIT_NODE, 's'), mapNode(c.to, SOURCE_NODE, SPLIT_NODE, 's'), nextName));
+        });
+    }
+
+    const loads = [];
+    const printed = [];
+    drivers.forEach((driver, idx) => {
+        const ladder = crossoverElements.filter(el => el.driverIndex === idx);
+        const netlist = driver.netlist || (ladder.length > 0 ? ladderToNetlist(ladder) : null);
+        if (!driver.zma && !driver.impedanceModel && !netlist) return; // Open circuit, as in `simulate`
+
+        const prefix = `d${idx}`;
+        const output = netlist ? `${prefix}_out` : splitNode;
+        lines.push('', `* ${driver.name || `Driver ${idx + 1}`}`);
+        (netlist ? netlist.components : []).forEach(c => {
+            lines.push(...componentCards(c, mapNode(c.from, splitNode, output, prefix), mapNode(c.to, splitNode, output, prefix), nextName));
+        });
+
+        const subcircuit = `DRIVER${idx}`;
+        lines.push(`XDRV${idx} ${output} 0 ${subcircuit}`);
+        loads.push(driverSubcircuit(subcircuit, driver, frequencies));
+        printed.push(`vdb(${output}) vp(${output})`);
+    });
+
+    const subcircuits = await Promise.all(loads);
+    const sweep = acSweepCard(frequencies);
+    lines.push(
+        ...subcircuits.flatMap(subcircuit => ['', ...subcircuit]),
+        '',
+        ...(sweep.exact ? [] : [`* Approximates the simulator's ${frequencies.length}-point grid, which SPICE cannot sweep`]),
+        sweep.card,
+        ...(printed.length > 0 ? [`.print ac ${printed.join(' ')}`] : []),
+        `* Input impedance: v(${SOURCE_NODE}) / i(${SENSE_SOURCE.toLowerCase()})`,
+        `.print ac v(${SOURCE_NODE}) i(${SENSE_SOURCE.toLowerCase()})`,
+        '.end'
+    );
+    return lines.join('\n') + '\n';
+};
+
+// --- 2. Import ---
+
+const LOAD_LETTERS = ['x', 'g', 'e', 'b'];
+
+const normalizeNode = (node) => {
+    const lower = node.toLowerCase();
+    return lower === 'gnd' ? '0' : lower;
+};
+
+// Logical lines with comments stripped and '+' continuations joined
+const readCards = (text) => {
+    const cards = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+        if (i === 0) return; // SPICE's first line is always the title
+        const line = raw.replace(/;.*$/, '').trim();
+        if (!line || line.startsWith('*')) return;
+        if (line.startsWith('+') && cards.length > 0) {
+            cards[cards.length - 1].text += ` ${line.slice(1).trim()}`;
+            return;
+        }
+        cards.push({ line: i + 1, text: line });
+    });
+    return cards;
+};
+
+// A 0 V source between two nodes, as used to sense a current, is a wire
+const isWire = (tokens) => {
+    const nodes = [tokens[1], tokens[2]].map(normalizeNode);
+    const values = tokens.slice(3).filter(token => token.toLowerCase() !== 'dc');
+    return !nodes.includes('0') && values.length <= 1 && (values.length === 0 || parseSpiceValue(values[0]) === 0);
+};
+
+const toElementValue = (letter, value) => {
+    if (letter === 'l') return round(value * 1e3); // H -> mH
+    if (letter === 'c') return round(value * 1e6); // F -> uF
+    return round(value);
+};
+
+const ELEMENT_TYPES_BY_LETTER = { r: 'resistor', l: 'inductor', c: 'capacitor' };
+
+// Folds R<name>_ESR / R<name>_DCR resistors back into their element
+const foldParasitics = (components) => {
+    const byName = new Map(components.map(c => [c.name, c]));
+    return components.filter(c => {
+        const match = /^r(.+)_(esr|dcr)$/.exec(c.name);
+        const owner = match && byName.get(match[1]);
+        if (!owner || owner.type === 'resistor') return true;
+
+        const shared = [owner.from, owner.to].find(n => n === c.from || n === c.to);
+        const users = components.filter(o => o.from === shared || o.to === shared);
+        if (!shared || shared === '0' || users.length !== 2) return true;
+
+        const far = c.from === shared ? c.to : c.from;
+        if (owner.from === shared) owner.from = far; else owner.to = far;
+        owner[match[2]] = round(c.value);
+        return false;
+    });
+};
+
+// Collapses a dead-end chain of components into one shunt element
+const chainToElement = (chain) => {
+    if (chain.length === 1) {
+        const { type, value, esr, dcr } = chain[0];
+        return { type, value, esr: esr || 0, dcr: dcr || 0 };
+    }
+    let resistance = 0;
+    let inductance = 0;
+    let elastance = 0; // 1/C, so series capacitors add
+    chain.forEach(c => {
+        if (c.type === 'resistor') resistance += c.value;
+        if (c.type === 'inductor') {
+            inductance += c.value;
+            resistance += c.dcr || 0;
+        }
+        if (c.type === 'capacitor') {
+            elastance += 1 / c.value;
+            resistance += c.esr || 0;
+        }
+    });
+    if (inductance === 0 && elastance === 0) {
+        return { type: 'resistor', value: round(resistance), esr: 0, dcr: 0 };
+    }
+    return {
+        type: 'branch',
+        resistance: round(resistance),
+        inductance: round(inductance),
+        capacitance: elastance > 0 ? round(1 / elastance) : 0,
+        esr: 0,
+        dcr: 0
+    };
+};
+
+/**
+ * Reads a SPICE netlist of R/L/C components back into ladders.
+ *
+ * The source node is the first V source's positive node (or `in`); 0 V
+ * sources between two nodes, such as current senses, are read as wires.
+ * Nodes with a subcircuit or controlled source to ground are treated as driver
+ * terminals. The network must be a ladder that splits at most once: the
+ * part before the split becomes the shared input path, each branch after
+ * it one driver's ladder. Where no driver terminal is marked, the longest
+ * path that dead-ends at ground is followed as the way to the driver.
+ *
+ * Returns { shared, ladders, skipped } where `shared` and each ladder are
+ * crossover elements without ids or driver indices, and `skipped` lists
+ * the cards that were ignored.
+ */
+export const parseSpiceNetlist = (text) => {
+    const skipped = [];
+    const loadNodes = new Map(); // node -> line of the card that loads it
+    const wires = [];
+    let components = [];
+    let sourceNode = null;
+    let subcircuitDepth = 0;
+
+    for (const { line, text: card } of readCards(text)) {
+        const tokens = card.split(/\s+/);
+        const keyword = tokens[0].toLowerCase();
+
+        if (keyword === '.subckt') { subcircuitDepth++; continue; }
+        if (keyword === '.ends') { subcircuitDepth = Math.max(0, subcircuitDepth - 1); continue; }
+        if (subcircuitDepth > 0) continue;
+        if (keyword === '.end') break;
+        if (keyword.startsWith('.')) continue;
+
+        const letter = keyword[0];
+        if (ELEMENT_TYPES_BY_LETTER[letter]) {
+            if (tokens.length < 4) throw new Error(`Line ${line}: "${card}" needs two nodes and a value`);
+            const value = parseSpiceValue(tokens[3]);
+            if (value === null || value < 0) throw new Error(`Line ${line}: cannot read value "${tokens[3]}"`);
+            const from = normalizeNode(tokens[1]);
+            const to = normalizeNode(tokens[2]);
+            if (from === to) {
+                skipped.push(`Line ${line}: ${tokens[0]} is shorted`);
+                continue;
+            }
+            components.push({ name: keyword, line, type: ELEMENT_TYPES_BY_LETTER[letter], value: toElementValue(letter, value), from, to });
+        } else if (letter === 'v' && tokens.length >= 3 && isWire(tokens)) {
+            wires.push([normalizeNode(tokens[1]), normalizeNode(tokens[2])]);
+        } else if (letter === 'v' && sourceNode === null && tokens.length >= 3) {
+            sourceNode = normalizeNode(tokens[1]);
+        } else if (LOAD_LETTERS.includes(letter) && tokens.length >= 3) {
+            [tokens[1], tokens[2]].map(normalizeNode).filter(n => n !== '0' && !loadNodes.has(n)).forEach(n => loadNodes.set(n, line));
+        } else {
+            skipped.push(`Line ${line}: ${tokens[0]} is not an R, L or C`);
+        }
+    }
+
+    // Join the nodes of current-sense sources
+    const alias = new Map();
+    const resolve = (node) => (alias.has(node) ? resolve(alias.get(node)) : node);
+    wires.forEach(([a, b]) => {
+        if (resolve(a) !== resolve(b)) alias.set(resolve(b), resolve(a));
+    });
+    components = components.filter(c => {
+        c.from = resolve(c.from);
+        c.to = resolve(c.to);
+        if (c.from !== c.to) return true;
+        skipped.push(`Line ${c.line}: ${c.name.toUpperCase()} is shorted`);
+        return false;
+    });
+    [...loadNodes].forEach(([node, line]) => {
+        loadNodes.delete(node);
+        if (!loadNodes.has(resolve(node))) loadNodes.set(resolve(node), line);
+    });
+
+    if (components.length === 0) throw new Error('No resistors, inductors or capacitors found');
+    sourceNode = resolve(sourceNode || SOURCE_NODE);
+    if (!components.some(c => c.from === sourceNode || c.to === sourceNode)) {
+        throw new Error(`Nothing is connected to the source node "${sourceNode}"`);
+    }
+
+    components = foldParasitics(components);
+    const used = new Set();
+    const visited = new Set([sourceNode]);
+    const other = (c, node) => (c.from === node ? c.to : c.from);
+    const unusedAt = (node) => components.filter(c => !used.has(c) && (c.from === node || c.to === node));
+
+    // Components from `node` through `first` that dead-end at ground, or null
+    const shuntChain = (node, first) => {
+        const chain = [first];
+        let at = other(first, node);
+        while (at !== '0') {
+            if (loadNodes.has(at) || visited.has(at)) return null;
+            const next = unusedAt(at).filter(c => !chain.includes(c));
+            if (next.length !== 1) return null;
+            chain.push(next[0]);
+            at = other(next[0], at);
+        }
+        return chain;
+    };
+
+    const takeSeries = (c, node, elements) => {
+        const next = other(c, node);
+        if (visited.has(next) || next === '0') {
+            throw new Error(`${c.name.toUpperCase()} closes a loop; only ladder networks can be imported`);
+        }
+        used.add(c);
+        visited.add(next);
+        elements.push({ type: c.type, value: c.value, esr: c.esr || 0, dcr: c.dcr || 0, series: true, order: elements.length });
+        return next;
+    };
+
+    // Adds the shunt chains at `node` to `elements`. Short of a marked
+    // driver terminal, the longest dead end that does not go straight to
+    // ground leads on to the driver and is left in place.
+    const takeShunts = (node, elements) => {
+        const chains = unusedAt(node).map(c => shuntChain(node, c));
+        const detours = chains.filter(chain => !chain || chain.length > 1);
+        const onward = !loadNodes.has(node) && detours.length > 0 && detours.every(Boolean)
+            ? chains.indexOf(detours.reduce((a, b) => (b.length > a.length ? b : a)))
+            : -1;
+        chains.forEach((chain, i) => {
+            if (!chain || i === onward) return;
+            chain.forEach(link => used.add(link));
+            elements.push({ ...chainToElement(chain), series: false, order: elements.length });
+        });
+    };
+
+    // Walks series elements from `start`, collecting shunts on the way,
+    // until the path ends, branches or reaches a driver terminal
+    const walk = (start, elements) => {
+        let node = start;
+        for (;;) {
+            takeShunts(node, elements);
+            const forward = unusedAt(node);
+            if (forward.length !== 1 || loadNodes.has(node)) return { node, forward };
+
+            node = takeSeries(forward[0], node, elements);
+        }
+    };
+
+    const shared = [];
+    const { node: split, forward } = walk(sourceNode, shared);
+    let ladders;
+    if (forward.length === 0) {
+        // No split: one driver, nothing shared
+        ladders = [shared.splice(0)];
+    } else {
+        const branches = forward.map(c => {
+            const ladder = [];
+            const end = walk(takeSeries(c, split, ladder), ladder);
+            if (end.forward.length > 0) {
+                throw new Error(`Node "${end.node}" splits again; only one split into driver branches can be imported`);
+            }
+            return { line: c.line, ladder };
+        });
+        if (loadNodes.has(split)) branches.push({ line: loadNodes.get(split), ladder: [] });
+        ladders = branches.sort((a, b) => a.line - b.line).map(b => b.ladder);
+    }
+
+    const unplaced = components.filter(c => !used.has(c));
+    if (unplaced.length > 0) {
+        throw new Error(`${unplaced.map(c => c.name.toUpperCase()).join(', ')} could not be placed on a ladder`);
+    }
+
+    return { shared, ladders, skipped };
+};
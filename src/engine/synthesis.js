@@ -0,0 +1,167 @@
+import { complexMagnitude } from './complex.js';
+import { getDriverImpedance } from './crossover.js';
+
+export const FILTER_FAMILIES = {
+    butterworth: { name: 'Butterworth', orders: [1, 2, 3, 4] },
+    'linkwitz-riley': { name: 'Linkwitz-Riley', orders: [2, 4] },
+    bessel: { name: 'Bessel', orders: [1, 2, 3, 4] }
+};
+
+export const FILTER_TYPES = {
+    lowpass: 'Low-pass',
+    highpass: 'High-pass',
+    bandpass: 'Band-pass'
+};
+
+// Reverse Bessel polynomials, ascending powers of s
+const BESSEL_POLYNOMIALS = {
+    1: [1, 1],
+    2: [3, 3, 1],
+    3: [15, 15, 6, 1],
+    4: [105, 105, 45, 10, 1]
+};
+
+// Scale s so the constant and leading terms are both 1 (asymptotes meet
+// at the crossover frequency, the usual phase-matched Bessel crossover).
+const normalizeAsymptotes = (coeffs) => {
+    const n = coeffs.length - 1;
+    const k = Math.pow(coeffs[0] / coeffs[n], 1 / n);
+    return coeffs.map((c, i) => c * Math.pow(k, i) / coeffs[0]);
+};
+
+/**
+ * Normalised low-pass denominator D(s) for a family/order,
+ * ascending powers of s with D(0) = 1 and a crossover at 1 rad/s.
+ */
+export const getFilterPolynomial = (family, order) => {
+    const spec = FILTER_FAMILIES[family];
+    if (!spec) throw new Error(`Unknown filter family "${family}"`);
+    if (!spec.orders.includes(order)) {
+        throw new Error(`${spec.name} filters are available in orders ${spec.orders.join(', ')}`);
+    }
+
+    if (family === 'butterworth') {
+        return {
+            1: [1, 1],
+            2: [1, Math.SQRT2, 1],
+            3: [1, 2, 2, 1],
+            4: [1, 2.613126, 3.414214, 2.613126, 1]
+        }[order];
+    }
+    if (family === 'linkwitz-riley') {
+        // Squared Butterworth of half the order
+        return order === 2
+            ? [1, 2, 1]
+            : [1, 2 * Math.SQRT2, 4, 2 * Math.SQRT2, 1];
+    }
+    return normalizeAsymptotes(BESSEL_POLYNOMIALS[order]);
+};
+
+// Polynomial long division of ascending-power arrays: returns [quotient term, remainder]
+// for a numerator exactly one degree above the denominator.
+const divideOnce = (num, den) => {
+    const q = num[num.length - 1] / den[den.length - 1];
+    // q * s * den
+    const shifted = [0, ...den.map(c => c * q)];
+    const rem = num.map((c, i) => c - (shifted[i] || 0));
+    while (rem.length > 0 && Math.abs(rem[rem.length - 1]) < 1e-9) rem.pop();
+    return [q, rem];
+};
+
+/**
+ * Normalised ladder values for a singly-terminated low-pass filter
+ * (ideal voltage source, 1 Ohm load), found by continued-fraction
+ * expansion of the ratio of D(s)'s even and odd parts.
+ * Values run from the LOAD outwards: for odd orders the element next to
+ * the load is a series inductor, for even orders a shunt capacitor.
+ */
+export const getLadderPrototype = (polynomial) => {
+    const even = polynomial.map((c, i) => (i % 2 === 0 ? c : 0));
+    const odd = polynomial.map((c, i) => (i % 2 === 1 ? c : 0));
+    const trim = (p) => {
+        const out = [...p];
+        while (out.length > 0 && Math.abs(out[out.length - 1]) < 1e-12) out.pop();
+        return out;
+    };
+
+    let num = trim(polynomial.length % 2 === 0 ? odd : even);
+    let den = trim(polynomial.length % 2 === 0 ? even : odd);
+    const values = [];
+
+    while (den.length > 0) {
+        const [q, rem] = divideOnce(num, den);
+        values.push(q);
+        num = den;
+        den = rem;
+    }
+    return values;
+};
+
+/**
+ * Elements for one low- or high-pass section, ordered from the source
+ * towards the driver, denormalised to `loadOhms` and `freq`.
+ */
+const synthesizeSection = (family, order, kind, freq, loadOhms) => {
+    const omega = 2 * Math.PI * freq;
+    const prototype = getLadderPrototype(getFilterPolynomial(family, order));
+
+    // prototype[0] sits next to the load; odd orders start with a series element
+    const fromLoad = prototype.map((g, i) => {
+        const series = (order % 2 === 1) ? (i % 2 === 0) : (i % 2 === 1);
+        if (kind === 'lowpass') {
+            return series
+                ? { type: 'inductor', series: true, value: (g * loadOhms / omega) * 1e3 }
+                : { type: 'capacitor', series: false, value: (g / (omega * loadOhms)) * 1e6 };
+        }
+        // High-pass: s -> 1/s turns series L into series C and shunt C into shunt L
+        return series
+            ? { type: 'capacitor', series: true, value: (1 / (g * omega * loadOhms)) * 1e6 }
+            : { type: 'inductor', series: false, value: (loadOhms / (g * omega)) * 1e3 };
+    });
+
+    return fromLoad.reverse();
+};
+
+/**
+ * Designs a passive crossover section for a driver.
+ *
+ * spec: { family, order, type, frequency, highFrequency }
+ *   type 'bandpass' uses `frequency` as the high-pass corner and
+ *   `highFrequency` as the low-pass corner.
+ * The load is the driver's ZMA magnitude at each corner frequency, or
+ * its `impedanceModel` without ZMA data (8 Ohm without either). Band-pass sections are simply cascaded,
+ * high-pass at the source side, which is accurate when the corners
+ * are well separated.
+ *
+ * Returns { elements, loads } where elements are { type, value, series }
+ * ordered from the source towards the driver (value in uF / mH / Ohm).
+ */
+export const synthesizeFilter = (spec, driverImpedanceData, impedanceModel = null) => {
+    const { family, order, type, frequency, highFrequency } = spec;
+    if (!(frequency > 0)) throw new Error('Crossover frequency must be positive');
+
+    const loadAt = (freq) => complexMagnitude(getDriverImpedance(freq, driverImpedanceData, undefined, impedanceModel));
+
+    if (type === 'lowpass' || type === 'highpass') {
+        const load = loadAt(frequency);
+        return {
+            elements: synthesizeSection(family, order, type, frequency, load),
+            loads: [{ freq: frequency, ohms: load }]
+        };
+    }
+    if (type === 'bandpass') {
+        if (!(highFrequency > frequency)) {
+            throw new Error('Band-pass upper frequency must be above the lower frequency');
+        }
+        const lowLoad = loadAt(frequency);
+        const highLoad = loadAt(highFrequency);
+        return {
+            elements: [
+                ...synthesizeSection(family, order, 'highpass', frequency, lowLoad),
+                ...synthesizeSection(family, order, 'lowpass', highFrequency, highLoad)
+            ],
+            loads: [{ freq: frequency, ohms: lowLoad }, { freq: highFrequency, ohms: highLoad }]
+        };
+    }
+    throw new Error(`Unknown filter type "${type}"`);
+};
@@ -0,0 +1,95 @@
+import { interpolateFrequencyData } from './interpolation.js';
+
+// Tilt pivots around 1 kHz so the offset keeps its meaning there
+const TILT_PIVOT_HZ = 1000;
+
+// Bands reported in the deviation table. `weight` scales each band's
+// contribution to the overall error; the top octave matters least
+// because coupler measurements are least reliable there.
+export const DEVIATION_BANDS = [
+    { key: 'bass', name: 'Bass', min: 20, max: 250, weight: 1 },
+    { key: 'mids', name: 'Mids', min: 250, max: 2000, weight: 1 },
+    { key: 'treble', name: 'Treble', min: 2000, max: 10000, weight: 1 },
+    { key: 'air', name: 'Air', min: 10000, max: 20000, weight: 0.5 }
+];
+
+export const DEFAULT_TARGET_SETTINGS = { offset: 0, tilt: 0 };
+
+/**
+ * Parses a target curve from FRD or CSV text (Freq, SPL[, ...]).
+ * Accepts whitespace, comma or semicolon separators and skips
+ * comment and header lines. Throws if fewer than two points remain.
+ */
+export const parseTargetCurve = (text) => {
+    const points = [];
+
+    for (const line of text.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('*') || trimmed.startsWith('#') || trimmed.startsWith('//')) continue;
+
+        const parts = trimmed.split(/[\s,;]+/);
+        const freq = parseFloat(parts[0]);
+        const spl = parseFloat(parts[1]);
+        if (Number.isFinite(freq) && Number.isFinite(spl) && freq > 0) {
+            points.push({ freq, spl });
+        }
+    }
+
+    if (points.length < 2) {
+        throw new Error('Target curve needs at least two "frequency, SPL" rows');
+    }
+    return points.sort((a, b) => a.freq - b.freq);
+};
+
+/**
+ * Target SPL at `freq` after applying the level offset (dB) and
+ * tilt (dB/octave around 1 kHz).
+ */
+export const getTargetLevel = (targetPoints, freq, { offset = 0, tilt = 0 } = {}) => {
+    const base = interpolateFrequencyData(targetPoints, freq, (p) => p.spl);
+    if (base === null) return null;
+    return base + offset + tilt * Math.log2(freq / TILT_PIVOT_HZ);
+};
+
+/**
+ * Compares simulated `total_spl` against the adjusted target.
+ * Returns per-band mean/RMS deviation (simulated minus target, dB)
+ * and the band-weighted overall RMS error, or null without overlap.
+ */
+export const computeDeviation = (points, targetPoints, settings = DEFAULT_TARGET_SETTINGS, bands = DEVIATION_BANDS) => {
+    const bandStats = bands.map(band => ({ ...band, sum: 0, sumSq: 0, count: 0 }));
+    let weightedSumSq = 0;
+    let weightTotal = 0;
+
+    for (const point of points) {
+        if (typeof point.total_spl !== 'number') continue;
+        const target = getTargetLevel(targetPoints, point.freq, settings);
+        if (target === null) continue;
+
+        const error = point.total_spl - target;
+        const band = bandStats.find(b => point.freq >= b.min && point.freq < b.max)
+            || (point.freq === bandStats[bandStats.length - 1].max ? bandStats[bandStats.length - 1] : null);
+        if (!band) continue;
+
+        band.sum += error;
+        band.sumSq += error * error;
+        band.count++;
+        weightedSumSq += band.weight * error * error;
+        weightTotal += band.weight;
+    }
+
+    if (weightTotal === 0) return null;
+
+    return {
+        bands: bandStats.map(({ key, name, min, max, weight, sum, sumSq, count }) => ({
+            key,
+            name,
+            min,
+            max,
+            weight,
+            mean: count > 0 ? sum / count : null,
+            rms: count > 0 ? Math.sqrt(sumSq / count) : null
+        })),
+        weightedRms: Math.sqrt(weightedSumSq / weightTotal)
+    };
+};
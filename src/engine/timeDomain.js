@@ -0,0 +1,115 @@
+import { fft } from './fft.js';
+import { unwrapPhase } from './phase.js';
+
+// Linear FFT grid: 96 kHz keeps Nyquist above the audio band, and
+// 16384 bins resolve 5.9 Hz (170 ms of response)
+export const TIME_SAMPLE_RATE = 96000;
+const TIME_BINS = 16384;
+
+// Span of the returned response around t = 0 (seconds)
+const PRE_RESPONSE = 0.0005;
+const POST_RESPONSE = 0.01;
+
+// Complex spectrum of one series on the linear grid. Inside the data the
+// dB and unwrapped phase are interpolated in log-frequency; below it the
+// lowest point is held, and above it the last level and group delay are
+// continued under a half-Hann taper that reaches zero at Nyquist.
+const resampleSpectrum = (freqs, splDb, phaseDeg) => {
+    const n = TIME_BINS;
+    const binWidth = TIME_SAMPLE_RATE / n;
+    const nyquist = TIME_SAMPLE_RATE / 2;
+    const last = freqs.length - 1;
+    const topSlope = (phaseDeg[last] - phaseDeg[last - 1]) / (freqs[last] - freqs[last - 1]);
+    // Real-valued DC: the nearest multiple of 180° to the lowest phase
+    const dcPhase = 180 * Math.round(phaseDeg[0] / 180);
+
+    const re = new Float64Array(n);
+    const im = new Float64Array(n);
+    let i = 0;
+    for (let k = 0; k <= n / 2; k++) {
+        const freq = k * binWidth;
+        let db;
+        let phase;
+        let taper = 1;
+        if (freq <= freqs[0]) {
+            db = splDb[0];
+            phase = dcPhase + (phaseDeg[0] - dcPhase) * freq / freqs[0];
+        } else if (freq >= freqs[last]) {
+            db = splDb[last];
+            phase = phaseDeg[last] + topSlope * (freq - freqs[last]);
+            taper = 0.5 * (1 + Math.cos(Math.PI * (freq - freqs[last]) / (nyquist - freqs[last])));
+        } else {
+            while (freqs[i + 1] < freq) i++;
+            const t = Math.log(freq / freqs[i]) / Math.log(freqs[i + 1] / freqs[i]);
+            db = splDb[i] + (splDb[i + 1] - splDb[i]) * t;
+            phase = phaseDeg[i] + (phaseDeg[i + 1] - phaseDeg[i]) * t;
+        }
+
+        const magnitude = Math.pow(10, db / 20) * taper;
+        const radians = phase * Math.PI / 180;
+        re[k] = magnitude * Math.cos(radians);
+        im[k] = k === 0 || k === n / 2 ? 0 : magnitude * Math.sin(radians);
+        if (k > 0 && k < n / 2) {
+            re[n - k] = re[k];
+            im[n - k] = -im[k];
+        }
+    }
+    return { re, im };
+};
+
+// Impulse response (circular: the end of the buffer is negative time)
+const impulseOf = (freqs, points, splKey, phaseKey) => {
+    const { re, im } = resampleSpectrum(
+        freqs,
+        points.map(p => p[splKey]),
+        unwrapPhase(points.map(p => p[phaseKey]))
+    );
+    fft(re, im, true);
+    return re;
+};
+
+/**
+ * Impulse and step response of the summed pressure and of each driver,
+ * by inverse FFT of the simulated spectrum. Both are scaled so the total
+ * peaks at 1, keeping the drivers' relative levels.
+ *
+ * Returns rows of { time (ms), total_impulse, total_step,
+ * driver{idx}_impulse, driver{idx}_step }, or null without a total response.
+ */
+export const computeTimeResponse = (points, driverCount) => {
+    const valid = points.filter(p => p.total_spl !== undefined && p.total_spl_phase !== undefined);
+    if (valid.length < 2) return null;
+
+    const freqs = valid.map(p => p.freq);
+    const series = [{ key: 'total', impulse: impulseOf(freqs, valid, 'total_spl', 'total_spl_phase') }];
+    for (let idx = 0; idx < driverCount; idx++) {
+        const splKey = `driver${idx}_spl`;
+        const phaseKey = `driver${idx}_spl_phase`;
+        if (valid.every(p => p[splKey] !== undefined && p[phaseKey] !== undefined)) {
+            series.push({ key: `driver${idx}`, impulse: impulseOf(freqs, valid, splKey, phaseKey) });
+        }
+    }
+
+    // Reorder each buffer to run from -PRE_RESPONSE, integrating for the step
+    const n = TIME_BINS;
+    const pre = Math.round(PRE_RESPONSE * TIME_SAMPLE_RATE);
+    const post = Math.round(POST_RESPONSE * TIME_SAMPLE_RATE);
+    series.forEach(s => {
+        s.impulse = Array.from({ length: pre + post + 1 }, (_, j) => s.impulse[(j - pre + n) % n]);
+        let sum = 0;
+        s.step = s.impulse.map(value => (sum += value));
+    });
+
+    const peak = (values) => Math.max(...values.map(Math.abs)) || 1;
+    const impulseScale = peak(series[0].impulse);
+    const stepScale = peak(series[0].step);
+
+    return series[0].impulse.map((_, j) => {
+        const row = { time: (j - pre) * 1000 / TIME_SAMPLE_RATE };
+        series.forEach(s => {
+            row[`${s.key}_impulse`] = s.impulse[j] / impulseScale;
+            row[`${s.key}_step`] = s.step[j] / stepScale;
+        });
+        return row;
+    });
+};
@@ -0,0 +1,206 @@
+import { simulate, getFrequencyGrid } from './simulate.js';
+import { BRANCH_FIELDS } from './design.js';
+
+// Per-type tolerances in percent; `parasitic` applies to ESR and DCR
+export const DEFAULT_TOLERANCES = {
+    capacitor: 10,
+    inductor: 10,
+    resistor: 5,
+    parasitic: 20
+};
+
+export const TOLERANCE_DISTRIBUTIONS = {
+    uniform: 'Uniform',
+    gaussian: 'Gaussian (tolerance = 3σ)'
+};
+
+// Percentile bands reported around the nominal response
+export const MONTE_CARLO_BANDS = [[5, 95], [25, 75]];
+
+// Part type setting the tolerance of each branch field
+const BRANCH_FIELD_TYPES = { resistance: 'resistor', inductance: 'inductor', capacitance: 'capacitor' };
+
+// Runs between progress reports (and yields to the UI)
+const PROGRESS_INTERVAL = 5;
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Seeded uniform generator in [0, 1) (mulberry32), so runs are repeatable
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Relative deviation in [-1, 1] scaled by the tolerance; the Gaussian is
+// clipped at 3σ as parts outside their tolerance are rejected
+const sampleDeviation = (random, distribution) => {
+    if (distribution === 'gaussian') {
+        const u = Math.max(random(), Number.EPSILON);
+        const normal = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+        return Math.max(-1, Math.min(1, normal / 3));
+    }
+    return random() * 2 - 1;
+};
+
+const percentile = (sorted, p) => {
+    const position = (sorted.length - 1) * p / 100;
+    const low = Math.floor(position);
+    const high = Math.min(low + 1, sorted.length - 1);
+    return sorted[low] + (sorted[high] - sorted[low]) * (position - low);
+};
+
+// Value fields of an element or netlist component with their part type
+const valueFields = (element) => element.type === 'branch'
+    ? BRANCH_FIELDS.map(field => ({ field, type: BRANCH_FIELD_TYPES[field] }))
+    : [{ field: 'value', type: element.type }];
+
+/**
+ * Every element value, ESR and DCR that varies under `tolerances`
+ * ({ byType, byElement: { [id]: { value, parasitic } } }, percent):
+ * ladder and shared-path elements plus driver netlist components.
+ * Per-element settings override the per-type ones. Zero values and zero
+ * tolerances are left out. Returns [{ id, driverIndex, element, field, tolerance }]
+ * with `tolerance` as a fraction; `driverIndex` is set for netlist parts.
+ */
+export const collectToleranceParameters = (design, tolerances = {}) => {
+    const byType = { ...DEFAULT_TOLERANCES, ...tolerances.byType };
+    const byElement = tolerances.byElement || {};
+    const parameters = [];
+
+    const addElement = (element, driverIndex) => {
+        const own = byElement[element.id] || {};
+        const add = (field, percent) => {
+            if (element[field] > 0 && percent > 0) {
+                parameters.push({ id: element.id, driverIndex, element, field, tolerance: percent / 100 });
+            }
+        };
+        valueFields(element).forEach(({ field, type }) => add(field, own.value ?? byType[type]));
+        ['esr', 'dcr'].forEach(field => add(field, own.parasitic ?? byType.parasitic));
+    };
+
+    (design.crossoverElements || []).forEach(element => addElement(element, null));
+    (design.drivers || []).forEach((driver, idx) => {
+        if (driver.netlist) driver.netlist.components.forEach(component => addElement(component, idx));
+    });
+    return parameters;
+};
+
+// Copy of `design` with each parameter scaled by its multiplier
+const perturbDesign = (design, parameters, multipliers) => {
+    const changes = new Map();
+    parameters.forEach((p, i) => {
+        const key = `${p.driverIndex ?? 'x'}:${p.id}`;
+        changes.set(key, { ...changes.get(key), [p.field]: p.element[p.field] * multipliers[i] });
+    });
+    const apply = (element, driverIndex) => {
+        const change = changes.get(`${driverIndex ?? 'x'}:${element.id}`);
+        return change ? { ...element, ...change } : element;
+    };
+
+    return {
+        ...design,
+        crossoverElements: design.crossoverElements.map(el => apply(el, null)),
+        drivers: design.drivers.map((driver, idx) => driver.netlist
+            ? { ...driver, netlist: { ...driver.netlist, components: driver.netlist.components.map(c => apply(c, idx)) } }
+            : driver)
+    };
+};
+
+/**
+ * Monte Carlo tolerance analysis of the total SPL.
+ *
+ * Each run scales every parameter from collectToleranceParameters by
+ * 1 + tolerance * d, with d drawn per part from `distribution` (uniform
+ * over ±1, or Gaussian with the tolerance at 3σ), and simulates the
+ * design. Per frequency the runs give the min/max envelope and the
+ * MONTE_CARLO_BANDS percentiles.
+ *
+ * Contributions are found one part at a time: each parameter is set to
+ * both ends of its tolerance with the rest nominal, and the largest and
+ * RMS change of the total SPL is recorded.
+ *
+ * options:
+ *   sourceVoltage  drive voltage
+ *   tolerances     see collectToleranceParameters
+ *   runs           number of random designs
+ *   distribution   key of TOLERANCE_DISTRIBUTIONS
+ *   seed           random seed, for repeatable results
+ *   onProgress     ({ run, runs }) => void
+ *   signal         optional AbortSignal; stops early and summarises the runs so far
+ *
+ * Resolves to { envelope: [{ freq, nominal, min, max, p5, p25, p75, p95 }],
+ * contributions: [{ id, driverIndex, element, field, tolerance, maxDeviation,
+ * rmsDeviation }] (largest RMS first), runs }.
+ */
+export const runMonteCarlo = async (design, options) => {
+    const {
+        sourceVoltage,
+        tolerances,
+        runs = 200,
+        distribution = 'uniform',
+        seed = 1,
+        onProgress,
+        signal
+    } = options;
+
+    const parameters = collectToleranceParameters(design, tolerances);
+    if (parameters.length === 0) {
+        throw new Error('No crossover element has a tolerance to vary');
+    }
+
+    const frequencies = getFrequencyGrid(design.frequencyGrid, design.drivers);
+    const responseOf = (candidate) => simulate(candidate, { sourceVoltage, frequencies }).map(p => p.total_spl);
+    const nominal = responseOf(design);
+    if (!nominal.some(Number.isFinite)) {
+        throw new Error('Load an FRD for at least one driver to analyse its response');
+    }
+
+    const random = createRandom(seed);
+    const curves = [];
+    while (curves.length < runs && !signal?.aborted) {
+        const multipliers = parameters.map(p => 1 + p.tolerance * sampleDeviation(random, distribution));
+        curves.push(responseOf(perturbDesign(design, parameters, multipliers)));
+
+        if (curves.length % PROGRESS_INTERVAL === 0 || curves.length === runs) {
+            if (onProgress) onProgress({ run: curves.length, runs });
+            await nextTick();
+        }
+    }
+    if (curves.length === 0) {
+        throw new Error('Stopped before the first run');
+    }
+
+    const percentiles = MONTE_CARLO_BANDS.flat();
+    const envelope = frequencies.map((freq, i) => {
+        const point = { freq, nominal: nominal[i] };
+        const values = curves.map(curve => curve[i]).filter(Number.isFinite).sort((a, b) => a - b);
+        if (values.length === 0) return point;
+        point.min = values[0];
+        point.max = values[values.length - 1];
+        percentiles.forEach(p => { point[`p${p}`] = percentile(values, p); });
+        return point;
+    });
+
+    const contributions = parameters.map((parameter, i) => {
+        let maxDeviation = 0;
+        let rmsDeviation = 0;
+        [1, -1].forEach(direction => {
+            const multipliers = parameters.map((p, j) => i === j ? 1 + direction * p.tolerance : 1);
+            const deviations = responseOf(perturbDesign(design, parameters, multipliers))
+                .map((spl, k) => spl - nominal[k])
+                .filter(Number.isFinite);
+            if (deviations.length === 0) return;
+            maxDeviation = Math.max(maxDeviation, ...deviations.map(Math.abs));
+            rmsDeviation = Math.max(rmsDeviation, Math.sqrt(deviations.reduce((sum, d) => sum + d * d, 0) / deviations.length));
+        });
+        return { ...parameter, maxDeviation, rmsDeviation };
+    }).sort((a, b) => b.rmsDeviation - a.rmsDeviation);
+
+    return { envelope, contributions, runs: curves.length };
+};
@@ -0,0 +1,79 @@
+import { useEffect, useState } from 'react';
+import { parseProject, serializeProject } from '../engine';
+
+const STORAGE_KEY = 'iem-crossover-simulator:autosave';
+// The last visit's session while the restore prompt is unanswered
+const PENDING_KEY = 'iem-crossover-simulator:autosave-pending';
+const SAVE_DELAY_MS = 500;
+
+const readSession = (key) => {
+    try {
+        const text = window.localStorage.getItem(key);
+        if (!text) return null;
+        return { text, savedAt: JSON.parse(text).savedAt, project: parseProject(text) };
+    } catch (err) {
+        // Unreadable or outdated autosave: nothing to offer
+        return null;
+    }
+};
+
+const isBlank = (project) => project.drivers.length === 0 && project.crossoverElements.length === 0;
+
+// Moves the last visit's autosave aside before this visit starts saving.
+// A blank autosave (a visit that left the prompt unanswered) keeps the
+// session that was already waiting.
+const takeSavedSession = () => {
+    const last = readSession(STORAGE_KEY);
+    const session = last && !isBlank(last.project) ? last : readSession(PENDING_KEY);
+    if (!session) return null;
+    try {
+        window.localStorage.setItem(PENDING_KEY, session.text);
+    } catch (err) {
+        // Still offered for this visit
+    }
+    return { savedAt: session.savedAt, project: session.project };
+};
+
+const clearSavedSession = () => {
+    try {
+        window.localStorage.removeItem(PENDING_KEY);
+    } catch (err) {
+        // Storage unavailable: nothing to clear
+    }
+};
+
+/**
+ * Persists the design to localStorage shortly after every change.
+ *
+ * A session saved by an earlier visit is exposed as `savedSession` until
+ * the user restores or discards it. It is kept under its own key
+ * meanwhile, so autosave carries on and the session is offered again if
+ * the page is closed before the user answers.
+ */
+const useAutosave = (design) => {
+    const [savedSession, setSavedSession] = useState(takeSavedSession);
+    const [saveError, setSaveError] = useState(null);
+
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            try {
+                window.localStorage.setItem(STORAGE_KEY, JSON.stringify(serializeProject(design)));
+                setSaveError(null);
+            } catch (err) {
+                setSaveError('Autosave failed: browser storage is full or unavailable');
+            }
+        }, SAVE_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [design]);
+
+    return {
+        savedSession,
+        saveError,
+        dismissSavedSession: () => {
+            clearSavedSession();
+            setSavedSession(null);
+        }
+    };
+};
+
+export default useAutosave;
@@ -0,0 +1,105 @@
+import { useCallback, useEffect, useReducer } from 'react';
+
+// Oldest entries are dropped beyond this many undo steps
+const HISTORY_LIMIT = 100;
+
+// Edits sharing a key within this window collapse into one undo step,
+// so typing "10.5" into a field is a single entry rather than four.
+const COALESCE_MS = 1000;
+
+const historyReducer = (state, action) => {
+    switch (action.type) {
+        case 'commit': {
+            const next = action.update(state.present);
+            if (next === state.present) return state;
+
+            const coalesce = action.key
+                && action.key === state.lastKey
+                && action.time - state.lastTime < COALESCE_MS;
+
+            return {
+                past: coalesce ? state.past : [...state.past, state.present].slice(-HISTORY_LIMIT),
+                present: next,
+                future: [],
+                lastKey: action.key || null,
+                lastTime: action.time
+            };
+        }
+        case 'undo': {
+            if (state.past.length === 0) return state;
+            return {
+                past: state.past.slice(0, -1),
+                present: state.past[state.past.length - 1],
+                future: [state.present, ...state.future],
+                lastKey: null,
+                lastTime: 0
+            };
+        }
+        case 'redo': {
+            if (state.future.length === 0) return state;
+            return {
+                past: [...state.past, state.present],
+                present: state.future[0],
+                future: state.future.slice(1),
+                lastKey: null,
+                lastTime: 0
+            };
+        }
+        default:
+            return state;
+    }
+};
+
+// Text fields keep the browser's own undo for the text being typed
+const isTextEntry = (target) => target.tagName === 'TEXTAREA'
+    || (target.tagName === 'INPUT' && target.type === 'text');
+
+/**
+ * Undo/redo history for the design state.
+ *
+ * `commit(update, key)` applies `update(present)` as a new history entry;
+ * pass a `key` to merge rapid repeated edits of the same field.
+ * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo.
+ */
+const useDesignHistory = (initialDesign) => {
+    const [state, dispatch] = useReducer(historyReducer, {
+        past: [],
+        present: initialDesign,
+        future: [],
+        lastKey: null,
+        lastTime: 0
+    });
+
+    const commit = useCallback((update, key) => {
+        dispatch({ type: 'commit', update, key, time: Date.now() });
+    }, []);
+    const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+    const redo = useCallback(() => dispatch({ type: 'redo' }), []);
+
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || isTextEntry(e.target)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [undo, redo]);
+
+    return {
+        design: state.present,
+        commit,
+        undo,
+        redo,
+        canUndo: state.past.length > 0,
+        canRedo: state.future.length > 0
+    };
+};
+
+export default useDesignHistory;
@@ -0,0 +1,87 @@
+import { useCallback, useEffect, useState } from 'react';
+import { createLibraryEntry, mergeLibraryEntries, parseLibraryBundle, serializeLibraryBundle } from '../engine';
+
+const DB_NAME = 'iem-crossover-simulator';
+const DB_VERSION = 1;
+const STORE = 'drivers';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+    }
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Runs `work(store)` in one transaction, resolving with the request it
+// returns (if any) once the transaction completes
+const withStore = async (mode, work) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE, mode);
+        const request = work(transaction.objectStore(STORE));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request ? request.result : undefined);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+};
+
+/**
+ * Driver library persisted in IndexedDB, shared by every design.
+ *
+ * `entries` mirrors the store; each change writes through and reloads
+ * it. Failures (private browsing, quota) are reported as `error`
+ * rather than thrown, except `importBundle`, which rejects with the
+ * reason a file cannot be imported.
+ */
+const useDriverLibrary = () => {
+    const [entries, setEntries] = useState([]);
+    const [error, setError] = useState(null);
+
+    const reload = useCallback(() => withStore('readonly', store => store.getAll())
+        .then(all => {
+            setEntries(all);
+            setError(null);
+        })
+        .catch(err => setError(`Driver library unavailable: ${err.message}`)), []);
+
+    useEffect(() => {
+        reload();
+    }, [reload]);
+
+    const write = (work) => withStore('readwrite', work)
+        .then(reload)
+        .catch(err => setError(`Driver library could not be saved: ${err.message}`));
+
+    // A driver saved under an existing name replaces that entry, keeping its notes
+    const saveDriver = (driver) => {
+        const match = entries.find(e => e.name.toLowerCase() === (driver.name || '').toLowerCase());
+        const entry = createLibraryEntry(driver, match ? { id: match.id, notes: match.notes } : {});
+        return write(store => store.put(entry));
+    };
+
+    const updateEntry = (entry) => write(store => store.put(entry));
+
+    const removeEntry = (id) => write(store => store.delete(id));
+
+    // Resolves with the number of entries imported
+    const importBundle = async (text) => {
+        const incoming = mergeLibraryEntries(entries, parseLibraryBundle(text));
+        await write(store => incoming.forEach(entry => store.put(entry)));
+        return incoming.length;
+    };
+
+    const exportBundle = () => JSON.stringify(serializeLibraryBundle(entries), null, 2);
+
+    return { entries, error, saveDriver, updateEntry, removeEntry, importBundle, exportBundle };
+};
+
+export default useDriverLibrary;
@@ -0,0 +1,92 @@
+// Synthetic measurements and designs shared by the engine tests
+import assert from 'node:assert/strict';
+
+import { DEFAULT_EAR_SIMULATOR, DEFAULT_IMPEDANCE_MODELS, getFrequencyGrid, simulate } from '../src/engine/index.js';
+
+// 20 Hz - 20 kHz at 12 points per octave
+export const GRID = getFrequencyGrid({ start: 20, stop: 20000, pointsPerOctave: 12 });
+
+export const flatFrd = (spl = 100, phase = 0) => GRID.map(freq => ({ freq, spl, phase }));
+
+export const resistiveZma = (ohms = 8) => GRID.map(freq => ({ freq, impedance: ohms, phase: 0 }));
+
+let nextId = 1;
+
+export const element = (type, value, fields = {}) => ({
+    id: nextId++,
+    type,
+    value,
+    esr: 0,
+    dcr: 0,
+    series: true,
+    order: 0,
+    driverIndex: 0,
+    ...fields
+});
+
+// Series RLC branch; zero inductance or capacitance leaves that part out
+export const branch = (resistance, inductance, capacitance, fields = {}) => {
+    const { value, ...rest } = element('branch', 0, fields);
+    return { ...rest, resistance, inductance, capacitance };
+};
+
+export const driver = (fields = {}) => ({
+    id: nextId++,
+    name: 'Driver',
+    frd: flatFrd(),
+    zma: resistiveZma(),
+    polarity: false,
+    frdCompensated: true,
+    ...fields
+});
+
+export const design = (drivers, crossoverElements = [], fields = {}) => ({
+    drivers,
+    crossoverElements,
+    earSimulator: DEFAULT_EAR_SIMULATOR,
+    sourcePreset: 'apple',
+    customVoltage: 1,
+    frequencyGrid: { start: 20, stop: 20000, pointsPerOctave: 12, useMeasured: false },
+    ...fields
+});
+
+// Closest point of a simulation to `freq`
+export const pointAt = (results, freq) => results.reduce((best, p) =>
+    Math.abs(Math.log(p.freq / freq)) < Math.abs(Math.log(best.freq / freq)) ? p : best);
+
+// Two-way design using most of the design's features, for file round-trips
+export const sampleDesign = () => design([
+    driver({
+        name: 'Woofer',
+        minimumPhase: true,
+        delay: 12,
+        delayUnit: 'us',
+        levelTrim: -1.5,
+        impedanceModel: { ...DEFAULT_IMPEDANCE_MODELS.ba, overrideZma: true }
+    }),
+    driver({
+        name: 'Tweeter',
+        frd: flatFrd(94, -20),
+        polarity: true,
+        frdExtrapolation: 'rolloff2',
+        zmaExtrapolation: 'slope',
+        acousticPath: { source: 'velocity', elements: [{ id: 99, type: 'tube', length: 8, diameter: 1 }] }
+    })
+], [
+    element('resistor', 2.2, { series: true, order: 0, driverIndex: null }),
+    element('inductor', 0.47, { series: true, order: 0, driverIndex: 0, dcr: 1.1 }),
+    element('capacitor', 10, { series: false, order: 1, driverIndex: 0, esr: 0.05 }),
+    element('capacitor', 1.5, { series: true, order: 0, driverIndex: 1 }),
+    branch(15, 0, 2.2, { series: false, order: 1, driverIndex: 1 })
+], {
+    frequencyGrid: { start: 10, stop: 30000, pointsPerOctave: 24, useMeasured: false }
+});
+
+// Electrical and acoustic response, for comparing designs read back from a file
+export const response = (state) => simulate(state).map(p => [p.total_spl, p.total_spl_phase, p.total_impedance, p.total_phase]);
+
+export const assertSameResponse = (actual, expected, tolerance) => {
+    expected.forEach((values, i) => values.forEach((value, k) => {
+        assert.ok(Math.abs(actual[i][k] - value) <= tolerance, `point ${i}, value ${k}: ${actual[i][k]} vs ${value}`);
+    }));
+};
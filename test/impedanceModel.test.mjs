@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    DEFAULT_IMPEDANCE_MODELS,
+    defaultFrequencyGrid,
+    fitImpedanceModel,
+    sampleImpedanceModel
+} from '../src/engine/index.js';
+
+const FITTED = ['re', 'le', 'exponent', 'f0', 'qms', 'qes'];
+
+// Fitted values are rounded to four significant figures
+const assertRecovered = (model, expected) => {
+    FITTED.forEach(key => {
+        const error = Math.abs(model[key] / expected[key] - 1);
+        assert.ok(error < 1e-3, `${key}: ${model[key]} vs ${expected[key]}`);
+    });
+};
+
+const KNOWN_MODELS = {
+    'balanced armature': { ...DEFAULT_IMPEDANCE_MODELS.ba, re: 22, le: 3.3, exponent: 0.62, f0: 1800, qms: 4, qes: 12 },
+    'dynamic driver': { ...DEFAULT_IMPEDANCE_MODELS.dd, re: 32, le: 0.05, exponent: 0.9, f0: 95, qms: 2.5, qes: 1.8 }
+};
+
+Object.entries(KNOWN_MODELS).forEach(([name, known]) => {
+    test(`fitting recovers a ${name} model from its ZMA`, async () => {
+        const { model, rmsError } = await fitImpedanceModel(sampleImpedanceModel(known, defaultFrequencyGrid()), known.type);
+        assert.equal(model.type, known.type);
+        assertRecovered(model, known);
+        assert.ok(rmsError < 1e-3, `RMS error ${rmsError}`);
+    });
+});
+
+test('fitting works from the magnitude alone and reports its progress', async () => {
+    const known = KNOWN_MODELS['balanced armature'];
+    const zma = sampleImpedanceModel(known, defaultFrequencyGrid()).map(p => ({ ...p, phase: 0 }));
+    const progress = [];
+    const { model } = await fitImpedanceModel(zma, 'ba', { onProgress: p => progress.push(p) });
+
+    assertRecovered(model, known);
+    assert.ok(progress.length > 1);
+    const last = progress[progress.length - 1];
+    assert.equal(last.step, last.steps);
+});
+
+test('fitting needs at least three ZMA points', async () => {
+    await assert.rejects(fitImpedanceModel([{ freq: 100, impedance: 8, phase: 0 }], 'ba'), /at least three points/);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    appendLadderToNetlist,
+    ladderToNetlist,
+    solveLadder,
+    solveNetlist
+} from '../src/engine/index.js';
+import { branch, element } from './helpers.mjs';
+
+const FREQUENCIES = [20, 150, 1000, 4500, 20000];
+
+// Inductive driver load, as a BA coil looks at high frequencies
+const loadAt = (freq) => ({ real: 12, imag: 2 * Math.PI * freq * 0.4e-3 });
+
+// The netlist's GMIN leak and 1 µOhm wires stay far below this
+const RELATIVE_TOLERANCE = 1e-6;
+
+const assertComplexClose = (actual, expected, label) => {
+    const scale = Math.max(1, Math.hypot(expected.real, expected.imag));
+    const error = Math.hypot(actual.real - expected.real, actual.imag - expected.imag) / scale;
+    assert.ok(error < RELATIVE_TOLERANCE, `${label}: ${JSON.stringify(actual)} differs from ${JSON.stringify(expected)}`);
+};
+
+const LADDERS = {
+    'series capacitor': [
+        element('capacitor', 4.7, { series: true, order: 0 })
+    ],
+    'parallel elements only': [
+        element('resistor', 22, { series: false, order: 0 }),
+        element('capacitor', 1, { series: false, order: 1, esr: 0.2 })
+    ],
+    'second-order low-pass with parasitics': [
+        element('inductor', 1.2, { series: true, order: 0, dcr: 1.5 }),
+        element('capacitor', 6.8, { series: false, order: 1, esr: 0.05 })
+    ],
+    'third-order high-pass': [
+        element('capacitor', 2.2, { series: true, order: 0 }),
+        element('inductor', 0.8, { series: false, order: 1, dcr: 0.9 }),
+        element('capacitor', 3.3, { series: true, order: 2 })
+    ],
+    'RLC branch and trailing shunt': [
+        element('resistor', 5.6, { series: true, order: 0 }),
+        branch(10, 0.6, 3.9, { series: false, order: 1 }),
+        element('resistor', 47, { series: false, order: 2 })
+    ]
+};
+
+Object.entries(LADDERS).forEach(([name, ladder]) => {
+    test(`solveNetlist matches solveLadder: ${name}`, () => {
+        const netlist = ladderToNetlist(ladder);
+        FREQUENCIES.forEach(freq => {
+            const expected = solveLadder(freq, ladder, loadAt(freq));
+            const actual = solveNetlist(netlist, freq, loadAt(freq));
+            assertComplexClose(actual.Z, expected.Z, `${freq} Hz Z`);
+            assertComplexClose(actual.H, expected.H, `${freq} Hz H`);
+        });
+    });
+});
+
+test('appending a ladder to a netlist matches the combined ladder', () => {
+    const front = LADDERS['second-order low-pass with parasitics'];
+    const back = [element('resistor', 3.3, { series: true, order: 0 }), element('capacitor', 10, { series: false, order: 1 })];
+    const combined = [...front, ...back.map(el => ({ ...el, order: el.order + front.length }))];
+    const netlist = appendLadderToNetlist(ladderToNetlist(front), back);
+
+    FREQUENCIES.forEach(freq => {
+        const expected = solveLadder(freq, combined, loadAt(freq));
+        const actual = solveNetlist(netlist, freq, loadAt(freq));
+        assertComplexClose(actual.Z, expected.Z, `${freq} Hz Z`);
+        assertComplexClose(actual.H, expected.H, `${freq} Hz H`);
+    });
+});
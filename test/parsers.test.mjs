@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { importMeasurement, parseFrequencyData } from '../src/engine/index.js';
+
+const rows = (count, line) => Array.from({ length: count }, (_, i) => line(i, 20 * Math.pow(2, i / 4))).join('\n');
+
+test('reads a REW export with its commented header', () => {
+    const text = [
+        '* Measurement data measured by REW',
+        '* Freq(Hz)\tSPL(dB)\tPhase(degrees)',
+        '20.0\t95.1\t-10.5',
+        '40.0\t96.2\t-20.25',
+        '80.0\t97.3\t-30.0'
+    ].join('\n');
+    const { data, report } = importMeasurement(text, 'frd');
+
+    assert.deepEqual(data, [
+        { freq: 20, spl: 95.1, phase: -10.5 },
+        { freq: 40, spl: 96.2, phase: -20.25 },
+        { freq: 80, spl: 97.3, phase: -30 }
+    ]);
+    assert.equal(report.delimiter, 'tab');
+    assert.deepEqual(report.columns, { freq: 0, value: 1, phase: 2 });
+    assert.equal(report.phaseUnit, 'deg');
+    assert.equal(report.ambiguous, false);
+});
+
+test('reads semicolons with decimal commas', () => {
+    const { data, report } = importMeasurement('20,5;8,1;-10,5\n40;8,4;-20\n80;9;-30,25', 'zma');
+    assert.equal(report.delimiter, 'semicolon');
+    assert.equal(report.decimalComma, true);
+    assert.deepEqual(data[0], { freq: 20.5, impedance: 8.1, phase: -10.5 });
+    assert.equal(data.length, 3);
+});
+
+test('maps columns from the header names in any order', () => {
+    const text = 'Phase (deg), Frequency, Impedance\n10, 20, 8\n20, 40, 9\n30, 80, 10';
+    const { data, report } = importMeasurement(text, 'zma');
+    assert.deepEqual(report.columns, { freq: 1, value: 2, phase: 0 });
+    assert.deepEqual(data[1], { freq: 40, impedance: 9, phase: 20 });
+});
+
+test('converts phase in radians named in the header', () => {
+    const text = 'Freq,SPL,Phase (rad)\n20,90,0.5\n40,91,1.5707963\n80,92,-0.25';
+    const { data, report } = importMeasurement(text, 'frd');
+    assert.equal(report.phaseUnit, 'rad');
+    assert.equal(report.phaseUnitGuessed, false);
+    assert.ok(Math.abs(data[1].phase - 90) < 1e-5);
+});
+
+test('reads headerless phase as radians only when it wraps across ±π', () => {
+    const wrapped = rows(40, (i, f) => `${f} 90 ${Math.atan2(Math.sin(-0.4 * i), Math.cos(-0.4 * i))}`);
+    const { report } = importMeasurement(wrapped, 'frd');
+    assert.equal(report.phaseUnit, 'rad');
+    assert.equal(report.ambiguous, false);
+});
+
+test('flags headerless phase that could be degrees or radians', () => {
+    const small = rows(20, (i, f) => `${f} 90 ${-0.1 * i}`);
+    const { data, report } = importMeasurement(small, 'frd');
+    assert.equal(report.phaseUnit, 'deg');
+    assert.equal(report.phaseUnitGuessed, true);
+    assert.equal(report.columnsGuessed, false);
+    assert.equal(report.ambiguous, true);
+    assert.ok(Math.abs(data[10].phase + 1) < 1e-9);
+});
+
+test('headerless phase beyond ±π is degrees without a warning', () => {
+    const { report } = importMeasurement(rows(20, (i, f) => `${f} 90 ${-10 * i}`), 'frd');
+    assert.equal(report.phaseUnit, 'deg');
+    assert.equal(report.ambiguous, false);
+});
+
+test('a chosen phase unit clears the ambiguity', () => {
+    const small = rows(20, (i, f) => `${f} 90 ${-0.1 * i}`);
+    const { data, report } = importMeasurement(small, 'frd', { phaseUnit: 'rad' });
+    assert.equal(report.phaseUnit, 'rad');
+    assert.equal(report.ambiguous, false);
+    assert.ok(Math.abs(data[10].phase + 180 / Math.PI) < 1e-9);
+});
+
+test('flags extra headerless columns as guessed', () => {
+    const { report } = importMeasurement('20 90 -10 1\n40 91 -20 1\n80 92 -30 1', 'frd');
+    assert.equal(report.columnsGuessed, true);
+    assert.equal(report.ambiguous, true);
+});
+
+test('explicit columns override the detection', () => {
+    const text = '20 1 90 -10\n40 1 91 -20\n80 1 92 -30';
+    const { data, report } = importMeasurement(text, 'frd', { columns: { freq: 0, value: 2, phase: 3 }, phaseUnit: 'deg' });
+    assert.equal(report.ambiguous, false);
+    assert.deepEqual(data[2], { freq: 80, spl: 92, phase: -30 });
+});
+
+test('reports skipped lines, sorts frequencies and drops duplicates', () => {
+    const text = '40 91 0\nbroken line\n20 90 0\n40 95 0\n80 92 0';
+    const { data, report } = importMeasurement(text, 'frd');
+    assert.deepEqual(data.map(p => p.freq), [20, 40, 80]);
+    assert.equal(report.skippedCount, 1);
+    assert.equal(report.skipped[0].line, 2);
+    assert.equal(report.outOfOrder, 1);
+    assert.equal(report.duplicates, 1);
+});
+
+test('unwraps the phase across ±180°', () => {
+    const data = parseFrequencyData('Freq SPL Phase(deg)\n20 90 170\n40 90 -170\n80 90 -150', 'frd');
+    assert.deepEqual(data.map(p => p.phase), [170, 190, 210]);
+});
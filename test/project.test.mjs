@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    DEFAULT_EAR_SIMULATOR,
+    DEFAULT_FREQUENCY_GRID,
+    PROJECT_VERSION,
+    parseProject,
+    serializeProject,
+    simulate
+} from '../src/engine/index.js';
+import { assertSameResponse, design, driver, element, response, sampleDesign } from './helpers.mjs';
+
+// A project file as the first release with project files saved it
+const VERSION_1_FILE = {
+    format: 'iem-crossover-project',
+    version: 1,
+    savedAt: '2025-03-02T10:15:00.000Z',
+    design: {
+        drivers: [
+            {
+                id: 1700000000001,
+                name: 'Full range BA',
+                frd: [{ freq: 20, spl: 98, phase: 0 }, { freq: 1000, spl: 100, phase: -30 }, { freq: 20000, spl: 92, phase: -160 }],
+                zma: [{ freq: 20, impedance: 16, phase: 2 }, { freq: 1000, impedance: 19, phase: 25 }, { freq: 20000, impedance: 80, phase: 60 }],
+                polarity: false,
+                frdCompensated: false
+            },
+            { id: 1700000000002, name: 'Driver 2', frd: null, zma: null, polarity: true, frdCompensated: true }
+        ],
+        crossoverElements: [
+            { id: 1700000000003, driverIndex: 0, type: 'resistor', value: 4.7, series: true, order: 0, esr: 0.05, dcr: 0.1 },
+            { id: 1700000000004, driverIndex: 0, type: 'capacitor', value: 10, series: false, order: 1, esr: 0.05, dcr: 0.1 }
+        ],
+        earSimulator: { enabled: true, canalVolume: 1.2, canalLength: 1.2, drumCompliance: 1, leakage: 0.1 },
+        sourcePreset: 'custom',
+        customVoltage: 0.7
+    }
+};
+
+test('project files keep the whole design', () => {
+    const state = sampleDesign();
+    const doc = serializeProject(state);
+    assert.equal(doc.version, PROJECT_VERSION);
+
+    const opened = parseProject(JSON.stringify(doc));
+    assert.deepEqual(opened.crossoverElements, state.crossoverElements);
+    assert.deepEqual(opened.frequencyGrid, state.frequencyGrid);
+    opened.drivers.forEach((d, i) => {
+        const original = state.drivers[i];
+        Object.keys(original).forEach(field => {
+            assert.deepEqual(d[field], original[field], `${original.name}.${field}`);
+        });
+    });
+    assertSameResponse(response(opened), response(state), 1e-9);
+});
+
+test('version 1 project files open with defaults for the later fields', () => {
+    const opened = parseProject(JSON.stringify(VERSION_1_FILE));
+    const saved = VERSION_1_FILE.design;
+
+    opened.drivers.forEach((d, i) => {
+        Object.entries(saved.drivers[i]).forEach(([field, value]) => assert.deepEqual(d[field], value, `${d.name}.${field}`));
+        assert.equal(d.minimumPhase, false);
+        assert.equal(d.netlist, null);
+        assert.equal(d.acousticPath, null);
+        assert.equal(d.delay, 0);
+        assert.equal(d.levelTrim, 0);
+        assert.equal(d.impedanceModel, null);
+    });
+    assert.deepEqual(opened.crossoverElements, saved.crossoverElements);
+    assert.deepEqual(opened.earSimulator, { ...DEFAULT_EAR_SIMULATOR, ...saved.earSimulator });
+    assert.equal(opened.customVoltage, 0.7);
+    assert.deepEqual(opened.frequencyGrid, DEFAULT_FREQUENCY_GRID);
+    assert.equal(opened.target, null);
+
+    // Simulates as the same design built today
+    const today = design(saved.drivers.map(d => driver(d)), saved.crossoverElements.map(el => element(el.type, el.value, el)), {
+        earSimulator: saved.earSimulator,
+        frequencyGrid: DEFAULT_FREQUENCY_GRID
+    });
+    const options = { sourceVoltage: 0.7 };
+    assert.deepEqual(simulate(opened, options), simulate(today, options));
+});
+
+test('project files newer than this release or older than version 1 are refused', () => {
+    const doc = serializeProject(sampleDesign());
+    assert.throws(() => parseProject(JSON.stringify({ ...doc, version: PROJECT_VERSION + 1 })), /newer release/);
+    assert.throws(() => parseProject(JSON.stringify({ ...VERSION_1_FILE, version: 0 })), /too old/);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    DEFAULT_FREQUENCY_GRID,
+    SHARE_PARAM,
+    SHARE_VERSION,
+    decodeShareLink,
+    encodeShareLink
+} from '../src/engine/index.js';
+import { GRID, assertSameResponse, design, driver, response, sampleDesign } from './helpers.mjs';
+
+// Share fragment for a hand-built payload, as an older or newer release wrote it
+const fragmentFor = async (payload) => {
+    const stream = new Blob([JSON.stringify(payload)]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    const base64 = Buffer.from(bytes).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return `${SHARE_PARAM}=${base64}`;
+};
+
+const roundTrip = async (state, options) => decodeShareLink((await encodeShareLink(state, options)).fragment);
+
+test('share links keep the topology and settings', async () => {
+    const state = sampleDesign();
+    const { fragment, measurementsIncluded } = await encodeShareLink(state, { includeMeasurements: false });
+    assert.equal(measurementsIncluded, false);
+
+    const shared = await decodeShareLink(`#${fragment}`);
+    assert.deepEqual(shared.drivers.map(d => d.name), ['Woofer', 'Tweeter']);
+    assert.deepEqual(shared.drivers.map(d => d.polarity), [false, true]);
+    assert.deepEqual(shared.drivers[0].impedanceModel, state.drivers[0].impedanceModel);
+    assert.equal(shared.drivers[1].frdExtrapolation, 'rolloff2');
+    assert.equal(shared.drivers[1].frd, null);
+    assert.deepEqual(shared.frequencyGrid, state.frequencyGrid);
+
+    const strip = ({ id, ...rest }) => rest;
+    assert.deepEqual(shared.crossoverElements.map(strip), state.crossoverElements.map(strip));
+});
+
+test('share links with measurements reproduce the response', async () => {
+    const state = sampleDesign();
+    const { fragment, measurementsIncluded } = await encodeShareLink(state);
+    assert.equal(measurementsIncluded, true);
+
+    const shared = await decodeShareLink(fragment);
+    // Flat files survive down-sampling, so only rounding separates the results
+    assertSameResponse(response(shared), response(state), 1e-3);
+});
+
+test('share links keep the target curve without the measurements', async () => {
+    const target = { name: 'harman.txt', offset: -2, tilt: 0.5, points: GRID.map(freq => ({ freq, spl: 100 - Math.log2(freq / 20) })) };
+    const shared = await roundTrip(design([driver()], [], { target }), { includeMeasurements: false });
+
+    assert.equal(shared.target.name, 'harman.txt');
+    assert.equal(shared.target.offset, -2);
+    assert.equal(shared.target.tilt, 0.5);
+    assert.ok(shared.target.points.length <= 65);
+    assert.deepEqual(shared.target.points[0], { freq: 20, spl: 100 });
+    assert.equal(shared.target.points[shared.target.points.length - 1].freq, 20000);
+
+    assert.equal((await roundTrip(design([driver()]))).target, null);
+});
+
+test('share links keep the acoustic path source without elements', async () => {
+    const state = design([driver({ acousticPath: { source: 'pressure', elements: [] } })]);
+    const shared = await roundTrip(state);
+    assert.deepEqual(shared.drivers[0].acousticPath, { source: 'pressure', elements: [] });
+});
+
+test('version 1 share links decode with defaults for the later fields', async () => {
+    // As the first release with share links packed a design
+    const v1 = await fragmentFor({
+        v: 1,
+        d: [
+            ['Full range BA', 0, 0, [[20, 98, 0], [1000, 100, -30], [20000, 92, -160]], [[20, 16, 2], [1000, 19, 25], [20000, 80, 60]]],
+            ['Driver 2', 1, 1, 0, 0]
+        ],
+        x: [[0, 'r', 4.7, 1, 0, 0.05, 0.1], [0, 'c', 10, 0, 1, 0.05, 0.1]],
+        e: { enabled: true, canalVolume: 1.2, canalLength: 1.2, drumCompliance: 1, leakage: 0.1 },
+        s: ['custom', 0.7]
+    });
+    const shared = await decodeShareLink(v1);
+
+    assert.deepEqual(shared.drivers.map(d => [d.name, d.polarity, d.frdCompensated]), [['Full range BA', false, false], ['Driver 2', true, true]]);
+    assert.deepEqual(shared.drivers[0].zma[1], { freq: 1000, impedance: 19, phase: 25 });
+    assert.equal(shared.drivers[1].frd, null);
+    shared.drivers.forEach(d => {
+        assert.equal(d.minimumPhase, false);
+        assert.equal(d.netlist, null);
+        assert.equal(d.acousticPath, null);
+        assert.equal(d.delay, 0);
+        assert.equal(d.impedanceModel, null);
+    });
+    assert.deepEqual(shared.crossoverElements.map(el => [el.type, el.value, el.series, el.order]), [['resistor', 4.7, true, 0], ['capacitor', 10, false, 1]]);
+    assert.equal(shared.customVoltage, 0.7);
+    assert.deepEqual(shared.frequencyGrid, DEFAULT_FREQUENCY_GRID);
+    assert.equal(shared.target, null);
+});
+
+test('share links from newer releases are refused', async () => {
+    const newer = await fragmentFor({ v: SHARE_VERSION + 1, d: [], x: [], e: {}, s: ['apple', 1], g: 0 });
+    await assert.rejects(decodeShareLink(newer), /newer release/);
+    assert.equal(await decodeShareLink('#other=1'), null);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    DEFAULT_IMPEDANCE_MODELS,
+    defaultFrequencyGrid,
+    sampleImpedanceModel,
+    simulate,
+    wrapPhase
+} from '../src/engine/index.js';
+import { design, driver, element } from './helpers.mjs';
+
+const close = (actual, expected, tolerance, label) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} is not within ${tolerance} of ${expected}`);
+};
+
+// SPL of a one-driver design relative to the same driver without a network
+const relativeSpl = (elements) => {
+    const bare = simulate(design([driver()]));
+    const filtered = simulate(design([driver()], elements));
+    return filtered.map((p, i) => ({
+        freq: p.freq,
+        gain: p.total_spl - bare[i].total_spl,
+        phase: wrapPhase(p.total_spl_phase - bare[i].total_spl_phase)
+    }));
+};
+
+test('series resistor into a resistive load halves the voltage', () => {
+    relativeSpl([element('resistor', 8)]).forEach(p => {
+        close(p.gain, 20 * Math.log10(0.5), 1e-9, `${p.freq} Hz`);
+        close(p.phase, 0, 1e-9, `${p.freq} Hz phase`);
+    });
+});
+
+test('series capacitor into a resistive load is a first-order high-pass', () => {
+    const rc = 8 * 10e-6;
+    relativeSpl([element('capacitor', 10)]).forEach(p => {
+        const x = 2 * Math.PI * p.freq * rc;
+        close(p.gain, 20 * Math.log10(x / Math.hypot(1, x)), 1e-9, `${p.freq} Hz`);
+        close(p.phase, 90 - Math.atan(x) * 180 / Math.PI, 1e-6, `${p.freq} Hz phase`);
+    });
+});
+
+test('input impedance of a series resistor adds to the driver', () => {
+    const results = simulate(design([driver()], [element('resistor', 4.7)]));
+    results.forEach(p => {
+        close(p.total_impedance, 12.7, 1e-9, `${p.freq} Hz`);
+        close(p.total_phase, 0, 1e-9, `${p.freq} Hz phase`);
+    });
+});
+
+test('drivers in opposite polarity with equal output cancel', () => {
+    const results = simulate(design([driver(), driver({ polarity: true })]));
+    results.forEach(p => assert.ok(p.total_spl < 0, `${p.freq} Hz: ${p.total_spl} dB`));
+});
+
+// The original App's sweep: 20 Hz upwards in steps of 1.5% (464 points)
+const LEGACY_GRID = [];
+for (let f = 20; f <= 20000; f *= 1.015) LEGACY_GRID.push(f);
+
+const legacyFrd = (spl, phase) => LEGACY_GRID.map(freq => ({ freq, spl: spl(freq), phase: phase(freq) }));
+
+// Two-way BA design, using only what the original App supported. Values
+// come from the original App's runSimulation on LEGACY_GRID.
+const BASELINE = [
+    // grid index, total_spl, total_impedance, total_phase, driver0_spl, driver1_spl
+    [0, 106.94138, 25.391578, 0.94479282, 106.94138, 8.504287],
+    [92, 103.15493, 26.146102, 1.3249365, 103.15482, 27.20514],
+    [231, 98.375838, 31.540077, -15.19029, 98.209332, 67.87176],
+    [324, 108.63794, 11.870228, -63.080235, 94.721863, 106.70895],
+    [417, 112.57142, 8.7703614, 15.202477, 83.671952, 112.78975],
+    [463, 117.88678, 9.6869796, 5.2013389, 75.991453, 117.95272]
+];
+
+test('two-way design matches the original App', () => {
+    const ba = sampleImpedanceModel(DEFAULT_IMPEDANCE_MODELS.ba, LEGACY_GRID);
+    const results = simulate(design([
+        driver({ name: 'Woofer', frd: legacyFrd(f => 100 - 2 * Math.log2(f / 1000), () => 0), zma: ba }),
+        driver({
+            name: 'Tweeter',
+            frd: legacyFrd(f => 92 + 3 * Math.log2(f / 1000), f => -0.003 * f),
+            zma: ba,
+            polarity: true,
+            frdCompensated: false
+        })
+    ], [
+        element('resistor', 10, { series: true, order: 0, driverIndex: 0 }),
+        element('capacitor', 4.7, { series: false, order: 1, driverIndex: 0, esr: 0.1 }),
+        element('capacitor', 2.2, { series: true, order: 0, driverIndex: 1 }),
+        element('inductor', 0.5, { series: false, order: 1, driverIndex: 1, dcr: 2 })
+    ]), { frequencies: LEGACY_GRID });
+
+    assert.equal(results.length, LEGACY_GRID.length);
+    BASELINE.forEach(([index, spl, impedance, phase, woofer, tweeter]) => {
+        const p = results[index];
+        const label = `${p.freq.toFixed(1)} Hz`;
+        close(p.total_spl, spl, 1e-5, `${label} SPL`);
+        close(p.total_impedance, impedance, 1e-5, `${label} impedance`);
+        close(p.total_phase, phase, 1e-5, `${label} phase`);
+        close(p.driver0_spl, woofer, 1e-5, `${label} woofer SPL`);
+        close(p.driver1_spl, tweeter, 1e-5, `${label} tweeter SPL`);
+    });
+});
+
+test('the default grid keeps the original 1.5% steps up to 20 kHz', () => {
+    const grid = defaultFrequencyGrid();
+    assert.equal(grid.length, LEGACY_GRID.length + 1);
+    LEGACY_GRID.forEach((freq, i) => close(grid[i] / freq, 1, 1e-12, `point ${i}`));
+    assert.equal(grid[grid.length - 1], 20000);
+});
+
+test('simulate leaves the design untouched', () => {
+    const input = design([driver()], [element('capacitor', 10)]);
+    const copy = JSON.parse(JSON.stringify(input));
+    simulate(input);
+    assert.deepEqual(input, copy);
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    DEFAULT_IMPEDANCE_MODELS,
+    complexAdd,
+    complexDivide,
+    complexMagnitude,
+    exportSpiceNetlist,
+    getModelImpedance,
+    parseSpiceNetlist,
+    parseSpiceValue,
+    sampleImpedanceModel
+} from '../src/engine/index.js';
+import { GRID, assertSameResponse, design, driver, element, response, sampleDesign } from './helpers.mjs';
+
+// Cards ngspice reads: two-terminal R/L/C parts with a plain value, V
+// sources, subcircuit calls and the directives the export writes
+const NGSPICE_CARDS = [
+    /^[rlc]\w* \w+ \w+ [\d.e+-]+(meg|[tgkmunpf])?$/i,
+    /^v\w* \w+ \w+ (0|ac [\d.e+-]+)$/i,
+    /^x\w* \w+ \w+ \w+$/i,
+    /^\.subckt \w+ \w+ \w+$/i,
+    /^\.ends \w+$/i,
+    /^\.ac (oct|dec) \d+ [\d.]+(meg|k)? [\d.]+(meg|k)?$/i,
+    /^\.print ac( (vdb|vp|v|i)\(\w+\))+$/i,
+    /^\.end$/i
+];
+
+// Impedance of a driver subcircuit, read as the export writes it: a chain
+// of parallel groups between consecutive nodes from `a` to `b`
+const subcircuitImpedance = (cir, name, freq) => {
+    const omega = 2 * Math.PI * freq;
+    const body = cir.split(`.subckt ${name} a b\n`)[1].split(`.ends ${name}`)[0];
+    const groups = new Map();
+    body.split('\n').filter(line => line && !line.startsWith('*')).forEach(line => {
+        const [card, from, to, value] = line.split(' ');
+        const v = parseSpiceValue(value);
+        const Y = { r: { real: 1 / v, imag: 0 }, l: { real: 0, imag: -1 / (omega * v) }, c: { real: 0, imag: omega * v } }[card[0].toLowerCase()];
+        const key = `${from} ${to}`;
+        groups.set(key, complexAdd(groups.get(key) || { real: 0, imag: 0 }, Y));
+    });
+    return [...groups.values()].reduce((Z, Y) => complexAdd(Z, complexDivide({ real: 1, imag: 0 }, Y)), { real: 0, imag: 0 });
+};
+
+const relativeError = (actual, expected) => complexMagnitude({ real: actual.real - expected.real, imag: actual.imag - expected.imag })
+    / complexMagnitude(expected);
+
+test('SPICE export reads back into the same ladders', async () => {
+    const state = sampleDesign();
+    const { shared, ladders, skipped } = parseSpiceNetlist(await exportSpiceNetlist(state));
+    assert.deepEqual(skipped, []);
+    assert.equal(ladders.length, 2);
+
+    const rebuilt = {
+        ...state,
+        crossoverElements: [
+            ...shared.map((el, i) => ({ ...el, id: `s${i}`, driverIndex: null })),
+            ...ladders.flatMap((ladder, idx) => ladder.map((el, i) => ({ ...el, id: `${idx}-${i}`, driverIndex: idx })))
+        ]
+    };
+    assertSameResponse(response(rebuilt), response(state), 1e-4);
+});
+
+test('SPICE export sweeps log grids exactly and marks approximated ones', async () => {
+    const state = sampleDesign();
+    const exact = await exportSpiceNetlist(state);
+    assert.match(exact, /^\.ac oct 24 10 30k$/m);
+    assert.doesNotMatch(exact, /Approximates/);
+
+    const measured = await exportSpiceNetlist(state, { frequencies: [20, 31, 55, 100, 430, 1000] });
+    assert.match(measured, /^\.ac dec \d+ 20 1k$/m);
+    assert.match(measured, /Approximates the simulator's 6-point grid/);
+});
+
+test('SPICE export only uses cards ngspice reads', async () => {
+    const cir = await exportSpiceNetlist(sampleDesign());
+    const cards = cir.split('\n').slice(1).filter(line => line && !line.startsWith('*'));
+    cards.forEach(card => {
+        assert.ok(NGSPICE_CARDS.some(pattern => pattern.test(card)), `not ngspice syntax: ${card}`);
+    });
+    assert.doesNotMatch(cir, /FREQ|[{}]|\bi[mp]\(/i);
+    assert.match(cir, /^VSENSE src in 0$/m);
+    assert.match(cir, /^\.print ac v\(in\) i\(vsense\)$/m);
+});
+
+test('SPICE driver subcircuits follow the impedance model', async () => {
+    for (const model of [DEFAULT_IMPEDANCE_MODELS.ba, DEFAULT_IMPEDANCE_MODELS.dd, { ...DEFAULT_IMPEDANCE_MODELS.ba, exponent: 0.3 }]) {
+        const cir = await exportSpiceNetlist(design([driver({ zma: null, impedanceModel: model })], [element('resistor', 1)]));
+        GRID.forEach(freq => {
+            const error = relativeError(subcircuitImpedance(cir, 'DRIVER0', freq), getModelImpedance(freq, model));
+            assert.ok(error < 1e-3, `exponent ${model.exponent}, ${freq} Hz: ${error}`);
+        });
+    }
+});
+
+test('SPICE driver subcircuits fit a model to a ZMA', async () => {
+    const model = { ...DEFAULT_IMPEDANCE_MODELS.ba, re: 22, f0: 1800 };
+    const cir = await exportSpiceNetlist(design([driver({ zma: sampleImpedanceModel(model, GRID) })]));
+    assert.match(cir, /ZMA fitted as balanced armature model/);
+    GRID.forEach(freq => {
+        const error = relativeError(subcircuitImpedance(cir, 'DRIVER0', freq), getModelImpedance(freq, model));
+        assert.ok(error < 0.02, `${freq} Hz: ${error}`);
+    });
+});